@@ -0,0 +1,410 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import decode from 'audio-decode';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+// Shared analysis code, the same modules the web app runs
+import { preprocess, describeAudio, downsampleArray, sampleAudio, getPatchSegments, normalizeSampling, describeSampling } from '../src/audioUtils.js';
+import {
+    computeKeyBPM,
+    computeDescriptors,
+    computeTempoCNNPatches,
+    applyTempoCNN,
+    normalizeTempo,
+    normalizeKeyDetection,
+    normalizeDescriptors,
+    TEMPOCNN_PARAMS,
+    TEMPOCNN_MODEL_NAME
+} from '../src/essentiaAnalysis.js';
+import { summarizePredictions, segmentPredictions } from '../src/predictionUtils.js';
+import {
+    getModelNames,
+    getModelDirectoryName,
+    getFeatureExtractor,
+    getFeatureFamilies,
+    getPatchSampleLength,
+    getModelMetadataURL,
+    loadModelMetadata,
+    FEATURE_EXTRACTORS
+} from '../src/modelRegistry.js';
+import { normalizeEmbeddings, getEmbeddingLayer, summarizeEmbeddings } from '../src/embeddings.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const nodeRequire = createRequire(import.meta.url);
+
+/**
+ * Headless, in-process analysis engine.
+ * Runs the web app's pipeline (preprocess -> key/BPM -> sampleAudio -> MusiCNN/VGGish features -> models)
+ * directly in Node using the bundled Essentia.js and TensorFlow.js WASM builds, without a browser or server.
+ */
+class AnalysisEngine {
+    constructor(config = {}) {
+        this.config = {
+            libDirectory: path.resolve(__dirname, '..', 'src', 'lib'),
+            wasmDirectory: path.resolve(__dirname, '..', 'src'),
+            modelsDirectory: path.resolve(__dirname, '..', 'models'),
+            modelNames: getModelNames(),
+            sampling: {}, // see SAMPLING_STRATEGIES in audioUtils.js, defaults match the web app
+            tempo: {}, // see TEMPO_BACKENDS in essentiaAnalysis.js
+            keyDetection: {}, // see KEY_PROFILES in essentiaAnalysis.js
+            descriptors: {}, // { enabled }, loudness/dynamics/spectral descriptor stage
+            embeddings: {}, // { enabled, model, perPatch }, see src/embeddings.js
+            hopSize: 256, // MusiCNN frame hop, other families use their FEATURE_EXTRACTORS hop
+            ...config
+        };
+        this.config.sampling = normalizeSampling(this.config.sampling);
+        this.config.tempo = normalizeTempo(this.config.tempo);
+        this.config.keyDetection = normalizeKeyDetection(this.config.keyDetection);
+        this.config.descriptors = normalizeDescriptors(this.config.descriptors);
+        this.config.embeddings = normalizeEmbeddings(this.config.embeddings);
+        this.featureFamilies = getFeatureFamilies(this.config.modelNames);
+
+        this.tf = null;
+        this.EssentiaModel = null;
+        this.essentiaWASM = null;
+        this.essentia = null;
+        this.extractor = null;
+        this.models = {};
+        this.tempoModel = null;
+        this.versions = null;
+        this.isInitialized = false;
+    }
+
+    async initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        const initStart = Date.now();
+
+        // Load the bundled UMD builds through their CommonJS branch
+        this.tf = this._loadBundledScript('tf.min.3.5.0.js');
+        const tfWasm = this._loadBundledScript('tf-backend-wasm-3.5.0.js', {
+            '@tensorflow/tfjs-core': this.tf
+        });
+        this.EssentiaModel = this._loadBundledScript('essentia.js-model.umd.js');
+        this.essentiaWASM = this._loadBundledScript('essentia-wasm.module.js');
+
+        await this._waitForEssentiaRuntime();
+
+        // The WASM backend fetches its binaries through the platform fetch, which cannot read local paths
+        this.tf.env().platform.fetch = (filePath) => this._readLocalFile(filePath);
+        tfWasm.setWasmPaths(this.config.wasmDirectory + path.sep, true);
+        await this.tf.setBackend('wasm');
+        await this.tf.ready();
+
+        // models listed without labels in the manifest take them from their metadata JSON
+        await loadModelMetadata(modelName => fs.readJson(getModelMetadataURL(modelName, this.config.modelsDirectory)), this.config.modelNames);
+
+        this.essentia = new this.essentiaWASM.EssentiaJS(false);
+        this.essentia.arrayToVector = this.essentiaWASM.arrayToVector;
+        this.extractor = new this.EssentiaModel.EssentiaTFInputExtractor(this.essentiaWASM, 'musicnn', false);
+
+        for (const modelName of this.config.modelNames) {
+            const { modelClass } = getFeatureExtractor(modelName);
+            const model = new this.EssentiaModel[modelClass](
+                this.tf,
+                this._createModelHandler(this._getModelPath(modelName))
+            );
+            await model.initialize();
+            this.models[modelName] = model;
+        }
+
+        if (this.config.tempo.backend === 'tempocnn') {
+            await this._loadTempoCNNModel();
+        }
+
+        this.versions = {
+            essentia: this.essentia.version,
+            tfjs: this.tf.version_core,
+            tfjsBackend: this.tf.getBackend()
+        };
+
+        this.isInitialized = true;
+        console.log(chalk.green(`✓ Analysis engine ready (${this.config.modelNames.length} models, tfjs ${this.tf.getBackend()} backend, ${Date.now() - initStart}ms)`));
+    }
+
+    /**
+     * Analyses a single audio file
+     * @param {string} filePath - Path to the audio file
+     * @returns {Object} Track object in the shape `generateCSV` consumes ({ file, audio, predictions, essentia, descriptors, embeddings, segments, sampling, analyzedAt })
+     */
+    async analyzeFile(filePath) {
+        if (!this.isInitialized) {
+            throw new Error('Analysis engine not initialized. Call initialize() first.');
+        }
+
+        const fileBuffer = await fs.readFile(filePath);
+        const audioBuffer = await decode(fileBuffer);
+
+        const preprocessedAudio = preprocess(audioBuffer);
+        let essentiaAnalysis = computeKeyBPM(this.essentia, preprocessedAudio, {
+            tempo: this.config.tempo,
+            keyDetection: this.config.keyDetection
+        });
+        if (this.tempoModel) {
+            essentiaAnalysis = applyTempoCNN(essentiaAnalysis, await this._predictTempoCNN(preprocessedAudio));
+        }
+        const descriptors = this.config.descriptors.enabled ? computeDescriptors(this.essentia, preprocessedAudio) : null;
+
+        // reduce amount of audio to analyse
+        const audioData = sampleAudio(preprocessedAudio, this.config.sampling);
+
+        // input features are computed once per family and shared by its models
+        const predictions = {};
+        const segments = [];
+        let embeddings = null;
+        for (const family of this.featureFamilies) {
+            const features = this._computeFeatures(audioData, family);
+            const familyModels = this.config.modelNames.filter(name => getFeatureExtractor(name).name === family.name);
+
+            const activationsByModel = {};
+            let patchEmbeddings = null;
+            for (const modelName of familyModels) {
+                let activations;
+                if (this.config.embeddings.enabled && modelName === this.config.embeddings.model) {
+                    ({ activations, embeddings: patchEmbeddings } = await this._predictWithEmbeddings(modelName, features));
+                } else {
+                    activations = await this.models[modelName].predict(features, true);
+                }
+                activationsByModel[modelName] = activations;
+                predictions[modelName] = summarizePredictions(modelName, activations);
+            }
+
+            // per-patch activations with their position in the original track
+            const numPatches = Math.max(0, ...Object.values(activationsByModel).map(a => a.length));
+            const patchSegments = getPatchSegments(preprocessedAudio.length, numPatches, this.config.sampling, 16000, getPatchSampleLength(family));
+            segments.push(...segmentPredictions(activationsByModel, patchSegments));
+            if (patchEmbeddings) {
+                embeddings = summarizeEmbeddings(this.config.embeddings.model, patchEmbeddings, patchSegments, this.config.embeddings.perPatch);
+            }
+        }
+        segments.sort((a, b) => a.start - b.start);
+
+        return {
+            file: {
+                name: path.basename(filePath),
+                path: filePath,
+                size: fileBuffer.length
+            },
+            audio: describeAudio(audioBuffer),
+            predictions,
+            essentia: essentiaAnalysis,
+            descriptors,
+            embeddings,
+            segments,
+            sampling: describeSampling(this.config.sampling),
+            analyzedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Analyses a list of audio files one after another
+     * @param {Array<string>} filePaths - Paths to the audio files
+     * @param {Function} onProgress - Optional callback (filePath, index, total, error)
+     * @returns {Object} Analysed tracks and failed files
+     */
+    async analyzeFiles(filePaths, onProgress = null) {
+        const tracks = [];
+        const failed = [];
+
+        for (let i = 0; i < filePaths.length; i++) {
+            const filePath = filePaths[i];
+            let error = null;
+
+            try {
+                tracks.push(await this.analyzeFile(filePath));
+            } catch (err) {
+                error = err;
+                failed.push({ file: filePath, error: err.message || String(err) });
+            }
+
+            if (onProgress) {
+                onProgress(filePath, i + 1, filePaths.length, error);
+            }
+        }
+
+        return { tracks, failed };
+    }
+
+    async dispose() {
+        Object.values(this.models).forEach(model => model.dispose());
+        this.models = {};
+
+        if (this.tempoModel) {
+            this.tempoModel.dispose();
+            this.tempoModel = null;
+        }
+
+        if (this.extractor) {
+            this.extractor.delete();
+            this.extractor = null;
+        }
+        if (this.essentia) {
+            this.essentia.delete();
+            this.essentia = null;
+        }
+
+        this.isInitialized = false;
+    }
+
+    /**
+     * Frame-wise input features of one family (see FEATURE_EXTRACTORS), equivalent to EssentiaTFInputExtractor.computeFrameWise.
+     * The bundled implementation never frees its intermediate vectors, which is harmless in a
+     * short-lived browser worker but exhausts the WASM heap after a few hundred tracks here.
+     */
+    _computeFeatures(audioData, family) {
+        const essentia = this.extractor.essentia;
+        const hopSize = family.name === 'musicnn' ? this.config.hopSize : family.hopSize;
+        const frames = essentia.FrameGenerator(audioData, family.frameSize, hopSize);
+        const melSpectrum = [];
+
+        for (let i = 0; i < frames.size(); i++) {
+            const frame = frames.get(i);
+            const spectrum = essentia[family.inputAlgorithm](frame);
+            melSpectrum.push(this.extractor.vectorToArray(spectrum.bands));
+            spectrum.bands.delete();
+            frame.delete();
+        }
+
+        const frameSize = frames.size();
+        frames.delete();
+
+        return {
+            melSpectrum,
+            frameSize,
+            patchSize: family.patchSize,
+            melBandsSize: family.melBandsSize
+        };
+    }
+
+    /**
+     * Same as TensorflowMusiCNN/TensorflowVGGish.predict, additionally returning the model's embedding layer activations
+     * from the same forward pass
+     */
+    async _predictWithEmbeddings(modelName, features) {
+        const model = this.models[modelName];
+        const { layer } = getEmbeddingLayer(modelName);
+
+        const featureTensor = model.arrayToTensorAsBatches(features.melSpectrum, [features.frameSize, features.melBandsSize], features.patchSize, true);
+        const modelInputs = model.disambiguateExtraInputs();
+        modelInputs.push(featureTensor);
+        const [output, embedding] = model.model.execute(modelInputs, [model.model.outputs[0].name, layer]);
+        featureTensor.dispose();
+
+        const activations = await output.array();
+        const embeddings = await embedding.array();
+        output.dispose();
+        embedding.dispose();
+        return { activations, embeddings };
+    }
+
+    async _loadTempoCNNModel() {
+        const modelDirectory = path.join(this.config.modelsDirectory, TEMPOCNN_MODEL_NAME);
+
+        if (!(await fs.pathExists(path.join(modelDirectory, 'model.json')))) {
+            throw new Error(`TempoCNN model not found in ${modelDirectory}. Place a TensorFlow.js conversion of ${TEMPOCNN_MODEL_NAME} (see https://essentia.upf.edu/models.html) there or choose another tempo backend.`);
+        }
+
+        this.tempoModel = new this.EssentiaModel[FEATURE_EXTRACTORS.tempocnn.modelClass](this.tf, this._createModelHandler(modelDirectory));
+        await this.tempoModel.initialize();
+    }
+
+    /**
+     * Per-patch TempoCNN class probabilities for a preprocessed (16kHz) signal
+     */
+    async _predictTempoCNN(preprocessedAudio) {
+        const { patchSize, numberBands } = TEMPOCNN_PARAMS;
+        const audio = downsampleArray(preprocessedAudio, 16000, TEMPOCNN_PARAMS.sampleRate);
+        const { patches, numPatches } = computeTempoCNNPatches(this.essentia, audio);
+
+        const output = this.tf.tidy(() => {
+            let input = this.tf.tensor3d(patches, [numPatches, patchSize, numberBands]);
+            const inputShape = this.tempoModel.model.inputs[0].shape;
+            // deeptemp models take [batch, bands, frames, 1]
+            if (inputShape[1] === numberBands) {
+                input = input.transpose([0, 2, 1]);
+            }
+            if (inputShape.length === 4) {
+                input = input.expandDims(3);
+            }
+
+            const modelInputs = this.tempoModel.disambiguateExtraInputs();
+            modelInputs.push(input);
+            return this.tempoModel.model.execute(modelInputs);
+        });
+
+        const activations = await output.array();
+        output.dispose();
+        return activations;
+    }
+
+    _getModelPath(modelName) {
+        return path.join(this.config.modelsDirectory, getModelDirectoryName(modelName));
+    }
+
+    /**
+     * tfjs IOHandler reading a graph model and its weight shards from disk
+     */
+    _createModelHandler(modelDirectory) {
+        return {
+            load: async () => {
+                const modelJSON = await fs.readJson(path.join(modelDirectory, 'model.json'));
+                const weightBuffers = [];
+
+                for (const group of modelJSON.weightsManifest) {
+                    for (const shardPath of group.paths) {
+                        weightBuffers.push(await fs.readFile(path.join(modelDirectory, shardPath)));
+                    }
+                }
+
+                const weightData = Buffer.concat(weightBuffers);
+
+                return {
+                    modelTopology: modelJSON.modelTopology,
+                    format: modelJSON.format,
+                    generatedBy: modelJSON.generatedBy,
+                    convertedBy: modelJSON.convertedBy,
+                    userDefinedMetadata: modelJSON.userDefinedMetadata,
+                    weightSpecs: modelJSON.weightsManifest.flatMap(group => group.weights),
+                    weightData: weightData.buffer.slice(weightData.byteOffset, weightData.byteOffset + weightData.byteLength)
+                };
+            }
+        };
+    }
+
+    async _readLocalFile(filePath) {
+        const content = await fs.readFile(filePath);
+        return {
+            ok: true,
+            arrayBuffer: async () => content.buffer.slice(content.byteOffset, content.byteOffset + content.byteLength)
+        };
+    }
+
+    _loadBundledScript(filename, modules = {}) {
+        const scriptPath = path.join(this.config.libDirectory, filename);
+        const source = fs.readFileSync(scriptPath, 'utf8');
+        const module = { exports: {} };
+        const scopedRequire = (id) => modules[id] || nodeRequire(id);
+
+        const run = new Function('require', 'module', 'exports', '__dirname', '__filename', source);
+        run(scopedRequire, module, module.exports, this.config.libDirectory, scriptPath);
+
+        return module.exports;
+    }
+
+    _waitForEssentiaRuntime() {
+        return new Promise((resolve) => {
+            if (this.essentiaWASM.calledRun) {
+                resolve();
+            } else {
+                this.essentiaWASM.onRuntimeInitialized = resolve;
+            }
+        });
+    }
+}
+
+export default AnalysisEngine;
@@ -0,0 +1,282 @@
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+import { Worker } from 'worker_threads';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Number of worker threads, 0 (or unset) for one per CPU core
+ * @param {number|string} concurrency - Worker count from config.json or --concurrency
+ * @returns {number} Positive worker count
+ */
+function normalizeConcurrency(concurrency) {
+    if (concurrency === undefined || concurrency === null || concurrency === '') {
+        return os.cpus().length;
+    }
+
+    const workers = Number.parseInt(concurrency, 10);
+    if (!Number.isInteger(workers) || workers < 0 || String(workers) !== String(concurrency).trim()) {
+        throw new RangeError(`Invalid concurrency "${concurrency}", expected a non-negative integer (0 = one worker per CPU core)`);
+    }
+    return workers > 0 ? workers : os.cpus().length;
+}
+
+/**
+ * Pool of worker threads, each owning its own AnalysisEngine.
+ * Exposes the same initialize/analyzeFile/analyzeFiles/dispose interface as AnalysisEngine,
+ * so workflows can use either interchangeably.
+ */
+class AnalysisPool {
+    constructor(config = {}) {
+        const { concurrency, shutdownTimeout, ...engineConfig } = config;
+
+        this.config = {
+            concurrency: normalizeConcurrency(concurrency),
+            shutdownTimeout: shutdownTimeout || 10000,
+            workerScript: path.join(__dirname, 'analysis-worker.js')
+        };
+        this.engineConfig = engineConfig;
+
+        this.workers = [];
+        this.taskQueue = [];
+        this.nextTaskId = 1;
+        this.versions = null; // library versions reported by the workers
+        this.isInitialized = false;
+        this.isDisposing = false;
+    }
+
+    async initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        const initStart = Date.now();
+        this.isDisposing = false;
+
+        try {
+            await Promise.all(
+                Array.from({ length: this.config.concurrency }, () => this._spawnWorker())
+            );
+        } catch (error) {
+            await this.dispose();
+            throw error;
+        }
+
+        this.isInitialized = true;
+        console.log(chalk.green(`✓ Analysis pool ready (${this.workers.length} workers, ${Date.now() - initStart}ms)`));
+    }
+
+    /**
+     * Queues a single audio file for analysis on the next idle worker
+     * @param {string} filePath - Path to the audio file
+     * @returns {Promise<Object>} Track object in the shape `generateCSV` consumes
+     */
+    analyzeFile(filePath) {
+        if (!this.isInitialized) {
+            return Promise.reject(new Error('Analysis pool not initialized. Call initialize() first.'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.taskQueue.push({ taskId: this.nextTaskId++, filePath, resolve, reject });
+            this._dispatch();
+        });
+    }
+
+    /**
+     * Analyses a list of audio files in parallel.
+     * At most `concurrency` files are in flight at any time, so decoded audio held in memory
+     * stays bounded regardless of the number of files.
+     * @param {Array<string>} filePaths - Paths to the audio files
+     * @param {Function} onProgress - Optional callback (filePath, completedCount, total, error)
+     * @returns {Object} Analysed tracks (in input order) and failed files
+     */
+    async analyzeFiles(filePaths, onProgress = null) {
+        const results = new Array(filePaths.length);
+        const failed = [];
+        let nextIndex = 0;
+        let completed = 0;
+
+        const runNext = async () => {
+            while (nextIndex < filePaths.length) {
+                const index = nextIndex++;
+                const filePath = filePaths[index];
+                let error = null;
+
+                try {
+                    results[index] = await this.analyzeFile(filePath);
+                } catch (err) {
+                    error = err;
+                    failed.push({ file: filePath, error: err.message || String(err) });
+                }
+
+                completed++;
+                if (onProgress) {
+                    onProgress(filePath, completed, filePaths.length, error);
+                }
+            }
+        };
+
+        const runnerCount = Math.min(this.config.concurrency, filePaths.length);
+        await Promise.all(Array.from({ length: runnerCount }, runNext));
+
+        return {
+            tracks: results.filter(Boolean),
+            failed
+        };
+    }
+
+    async dispose() {
+        this.isDisposing = true;
+        this.isInitialized = false;
+
+        // Reject anything still queued or in flight
+        const disposedError = new Error('Analysis pool disposed');
+        this.taskQueue.splice(0).forEach(task => task.reject(disposedError));
+        this.workers.filter(slot => slot.task).forEach((slot) => {
+            slot.task.reject(disposedError);
+            slot.task = null;
+        });
+
+        await Promise.all(this.workers.map(slot => this._shutdownWorker(slot)));
+        this.workers = [];
+    }
+
+    _spawnWorker() {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(this.config.workerScript, {
+                workerData: { engineConfig: this.engineConfig }
+            });
+            const slot = { worker, task: null, ready: false };
+
+            worker.on('message', (message) => {
+                switch (message.type) {
+                    case 'ready':
+                        if (this.isDisposing) {
+                            // Pool was disposed (e.g. another worker failed) while this one was loading
+                            worker.terminate();
+                            resolve(slot);
+                            break;
+                        }
+                        slot.ready = true;
+                        this.versions = message.versions;
+                        this.workers.push(slot);
+                        resolve(slot);
+                        this._dispatch();
+                        break;
+
+                    case 'init-error':
+                        reject(new Error(`Analysis worker failed to initialize: ${message.error}`));
+                        worker.terminate();
+                        break;
+
+                    case 'result':
+                    case 'error':
+                        this._completeTask(slot, message);
+                        break;
+                }
+            });
+
+            worker.on('error', (error) => {
+                if (!slot.ready) {
+                    reject(error);
+                    return;
+                }
+                this._handleWorkerFailure(slot, error);
+            });
+
+            worker.on('exit', (code) => {
+                if (!slot.ready) {
+                    reject(new Error(`Analysis worker exited during initialization (code ${code})`));
+                    return;
+                }
+                if (!this.isDisposing) {
+                    this._handleWorkerFailure(slot, new Error(`Analysis worker exited unexpectedly (code ${code})`));
+                }
+            });
+        });
+    }
+
+    _dispatch() {
+        for (const slot of this.workers) {
+            if (this.taskQueue.length === 0) {
+                break;
+            }
+            if (!slot.task) {
+                slot.task = this.taskQueue.shift();
+                slot.worker.postMessage({
+                    type: 'analyze',
+                    taskId: slot.task.taskId,
+                    filePath: slot.task.filePath
+                });
+            }
+        }
+    }
+
+    _completeTask(slot, message) {
+        const task = slot.task;
+        if (!task || task.taskId !== message.taskId) {
+            return;
+        }
+
+        slot.task = null;
+
+        if (message.type === 'result') {
+            task.resolve(message.track);
+        } else {
+            task.reject(new Error(message.error));
+        }
+
+        this._dispatch();
+    }
+
+    _handleWorkerFailure(slot, error) {
+        const index = this.workers.indexOf(slot);
+        if (index === -1) {
+            return;
+        }
+
+        this.workers.splice(index, 1);
+        slot.worker.removeAllListeners();
+        slot.worker.terminate();
+
+        if (slot.task) {
+            slot.task.reject(error);
+            slot.task = null;
+        }
+
+        if (this.isDisposing) {
+            return;
+        }
+
+        // Replace the crashed worker so the pool keeps its configured concurrency
+        console.warn(chalk.yellow(`⚠️ Analysis worker failed (${error.message}), starting a replacement`));
+        this._spawnWorker().catch((spawnError) => {
+            console.error(chalk.red('Failed to replace analysis worker:'), spawnError.message);
+
+            if (this.workers.length === 0) {
+                this.taskQueue.splice(0).forEach(task => task.reject(spawnError));
+            }
+        });
+    }
+
+    _shutdownWorker(slot) {
+        return new Promise((resolve) => {
+            const timeout = setTimeout(() => {
+                slot.worker.terminate().then(() => resolve());
+            }, this.config.shutdownTimeout);
+
+            slot.worker.once('exit', () => {
+                clearTimeout(timeout);
+                resolve();
+            });
+
+            slot.worker.postMessage({ type: 'shutdown' });
+        });
+    }
+}
+
+export { normalizeConcurrency };
+export default AnalysisPool;
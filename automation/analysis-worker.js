@@ -0,0 +1,34 @@
+import { parentPort, workerData } from 'worker_threads';
+import AnalysisEngine from './analysis-engine.js';
+
+/**
+ * Worker thread entry point used by AnalysisPool.
+ * Each worker owns a complete AnalysisEngine (Essentia instance, feature extractor and loaded models)
+ * and analyses one file at a time on request from the pool.
+ */
+const engine = new AnalysisEngine(workerData.engineConfig);
+
+parentPort.on('message', async (message) => {
+    switch (message.type) {
+        case 'analyze':
+            try {
+                const track = await engine.analyzeFile(message.filePath);
+                parentPort.postMessage({ type: 'result', taskId: message.taskId, track });
+            } catch (error) {
+                parentPort.postMessage({ type: 'error', taskId: message.taskId, error: error.message || String(error) });
+            }
+            break;
+
+        case 'shutdown':
+            await engine.dispose();
+            parentPort.close();
+            break;
+    }
+});
+
+try {
+    await engine.initialize();
+    parentPort.postMessage({ type: 'ready', versions: engine.versions });
+} catch (error) {
+    parentPort.postMessage({ type: 'init-error', error: error.message || String(error) });
+}
@@ -0,0 +1,454 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import path from 'path';
+import fs from 'fs-extra';
+import { generateCSV, generateSegmentCSV } from '../src/csvExport.js';
+import { buildEmbeddingExport } from '../src/embeddings.js';
+import { flagAudio } from '../src/audioUtils.js';
+
+class AnalyzeWorkflow {
+    constructor(analysisEngine, fileManager, config = {}) {
+        this.engine = analysisEngine;
+        this.fileManager = fileManager;
+        this.config = {
+            outputDirectory: './csv_exports',
+            batchCSVDirectory: 'batch_csvs',
+            segmentCSVDirectory: 'segment_csvs',
+            exportSegments: true,
+            embeddingDirectory: 'embedding_batches',
+            embeddings: {}, // { enabled, perPatch }, see src/embeddings.js
+            audioChecks: {}, // { minDuration, sampleRates }, see normalizeAudioChecks in src/audioUtils.js
+            ...config
+        };
+
+        this.spinner = null;
+        this.runId = null;
+        this.resultsStore = null;
+        this.workflowStats = {
+            totalBatches: 0,
+            processedBatches: 0,
+            failedBatches: 0,
+            totalFiles: 0,
+            processedFiles: 0,
+            failedFiles: 0,
+            startTime: null,
+            endTime: null,
+            csvExports: [],
+            failedTracks: [],
+            suspiciousTracks: []
+        };
+    }
+
+    async executeFullWorkflow(directoryPath, options = {}) {
+        try {
+            console.log(chalk.blue.bold('🎵 Starting MIR Headless Analysis Workflow'));
+            console.log(chalk.blue.bold('═'.repeat(40)));
+
+            this.workflowStats.startTime = new Date();
+            this.runId = options.runId || null;
+            this.resultsStore = options.resultsStore || null;
+
+            // Step 1: Clean up previous batch files for fresh start
+            await this.cleanupPreviousBatchFiles();
+
+            // Step 2: Discover and batch files
+            const discovery = await this.prepareFilesForProcessing(directoryPath, options);
+
+            // nothing new to analyse: the engine and models are not loaded at all
+            if (discovery.totalFiles === 0) {
+                this.workflowStats.endTime = new Date();
+                return {
+                    success: false,
+                    nothingToDo: true,
+                    message: this.describeNothingToDo(discovery),
+                    stats: this.workflowStats
+                };
+            }
+
+            // Step 3: Load WASM backends and models
+            await this.initializeEngine();
+
+            // Step 4: Analyse batches and write batch CSVs
+            await this.executeBatchProcessing(options);
+
+            this.workflowStats.endTime = new Date();
+
+            // Step 5: Generate final report
+            this.generateWorkflowReport();
+
+            return {
+                success: this.workflowStats.processedBatches > 0,
+                stats: this.workflowStats
+            };
+
+        } catch (error) {
+            if (this.spinner) {
+                this.spinner.fail('Analysis workflow failed');
+            }
+            console.error(chalk.red.bold('\n❌ Analysis workflow failed:'), error.message);
+            throw error;
+        }
+    }
+
+    async cleanupPreviousBatchFiles() {
+        this.spinner = ora('Cleaning up previous batch files for fresh start...').start();
+
+        try {
+            let removedCount = 0;
+
+            for (const batchDir of [this.getBatchDirectory(), this.getSegmentDirectory(), this.getEmbeddingDirectory()]) {
+                if (!(await fs.pathExists(batchDir))) continue;
+
+                const files = await fs.readdir(batchDir);
+                const batchFiles = files.filter(file => file.startsWith('batch_') && /\.(csv|npy|json)$/.test(file));
+
+                for (const file of batchFiles) {
+                    await fs.remove(path.join(batchDir, file));
+                }
+                removedCount += batchFiles.length;
+            }
+
+            this.spinner.succeed(removedCount > 0
+                ? `Cleaned up ${removedCount} previous batch files`
+                : 'No previous batch files to clean up');
+        } catch (error) {
+            this.spinner.warn(`Could not clean up batch files: ${error.message}`);
+            // Don't fail the workflow for cleanup issues
+        }
+    }
+
+    async initializeEngine() {
+        this.spinner = ora('Loading analysis engine and models...').start();
+
+        try {
+            await this.engine.initialize();
+            this.spinner.succeed('Analysis engine initialized');
+        } catch (error) {
+            this.spinner.fail('Failed to initialize analysis engine');
+            throw error;
+        }
+    }
+
+    async prepareFilesForProcessing(directoryPath, options) {
+        this.spinner = ora('Discovering and preparing files...').start();
+
+        try {
+            const discovery = await this.fileManager.discoverFiles(directoryPath);
+
+            if (discovery.totalFiles === 0) {
+                this.spinner.info('Discovery finished, no files to analyse');
+                return discovery;
+            }
+
+            const batchInfo = this.fileManager.createBatches(
+                null,
+                options.batchSize || this.config.batchSize
+            );
+
+            this.workflowStats.totalBatches = batchInfo.totalBatches;
+            this.workflowStats.totalFiles = batchInfo.totalFiles;
+
+            this.spinner.succeed(`Prepared ${batchInfo.totalBatches} batches (${batchInfo.totalFiles} files)`);
+            return discovery;
+
+        } catch (error) {
+            this.spinner.fail('File preparation failed');
+            throw error;
+        }
+    }
+
+    // Why a run has no files to analyse, with where the results of the skipped files are
+    describeNothingToDo(discovery) {
+        if (discovery.skippedFiles + discovery.skippedDuplicates === 0) {
+            return 'No audio files found';
+        }
+
+        const skipped = Object.entries(this.fileManager.getSkippedResults())
+            .map(([results, count]) => `${count} in ${results}`);
+        return `No new audio files: ${discovery.skippedFiles} already analysed with the same settings`
+            + (skipped.length > 0 ? ` (${skipped.join(', ')})` : '')
+            + `, ${discovery.skippedDuplicates} duplicates. Use --force to re-analyse`;
+    }
+
+    async executeBatchProcessing(options = {}) {
+        console.log(chalk.blue.bold('\n📦 Executing Headless Batch Analysis'));
+        console.log(chalk.blue('─'.repeat(35)));
+
+        let batch;
+
+        while ((batch = this.fileManager.getNextBatch())) {
+            console.log(chalk.blue(`\n🔄 Processing Batch ${batch.id}/${this.workflowStats.totalBatches}`));
+
+            const batchResult = await this.processSingleBatch(batch);
+
+            if (batchResult.success) {
+                this.workflowStats.processedBatches++;
+                this.workflowStats.processedFiles += batchResult.processedFiles;
+                this.workflowStats.failedFiles += batchResult.failedTracks.length;
+                this.workflowStats.failedTracks.push(...batchResult.failedTracks);
+                this.workflowStats.suspiciousTracks.push(...batchResult.suspiciousTracks);
+                this.workflowStats.csvExports.push(batchResult.csvExport);
+            } else {
+                this.workflowStats.failedBatches++;
+
+                if (options.strict) {
+                    throw new Error(`Batch ${batch.id} failed: ${batchResult.error}`);
+                }
+            }
+        }
+    }
+
+    async processSingleBatch(batch) {
+        const batchResult = {
+            batchId: batch.id,
+            success: false,
+            processedFiles: 0,
+            failedTracks: [],
+            suspiciousTracks: [],
+            analysisTime: 0,
+            csvExport: null,
+            error: null
+        };
+
+        try {
+            console.log(chalk.gray(`   Files: ${batch.files.length}, Attempt: ${batch.attempts + 1}/${batch.maxAttempts}`));
+
+            this.fileManager.markBatchStarted(batch.id);
+
+            // Step 1: Analyse files in-process
+            const analysisStartTime = Date.now();
+            this.spinner = ora(`Analyzing ${batch.files.length} files...`).start();
+            const { tracks, failed } = await this.engine.analyzeFiles(batch.files, (filePath, index, total) => {
+                this.spinner.text = `Analyzing ${index}/${total}: ${path.basename(filePath)}`;
+            });
+            batchResult.analysisTime = Date.now() - analysisStartTime;
+
+            if (tracks.length === 0) {
+                throw new Error(`No tracks could be analyzed (${failed.length} failed)`);
+            }
+
+            this.spinner.succeed(`Analyzed ${tracks.length} tracks in ${this.formatDuration(batchResult.analysisTime)}`);
+
+            if (failed.length > 0) {
+                console.log(chalk.yellow(`   ⚠️ ${failed.length} files could not be analyzed:`));
+                failed.forEach(item => console.log(chalk.gray(`     - ${path.basename(item.file)}: ${item.error}`)));
+            }
+
+            if (this.config.tags) {
+                await this.attachTags(tracks);
+            }
+            
+            batchResult.suspiciousTracks = this.flagSuspiciousTracks(tracks);
+            
+            // Step 2: Write batch CSV in the same layout the browser workflow downloads
+            batchResult.csvExport = await this.writeBatchCSV(batch, tracks);
+            await this.storeBatchResults(batch, batchResult.csvExport.filePath);
+
+            await this.fileManager.markBatchCompleted(batch.id, tracks.map(track => track.file.path));
+
+            batchResult.success = true;
+            batchResult.processedFiles = tracks.length;
+            batchResult.failedTracks = failed;
+
+            return batchResult;
+
+        } catch (error) {
+            if (this.spinner) {
+                this.spinner.fail(`Batch ${batch.id} failed: ${error.message}`);
+            }
+            batchResult.error = error.message;
+            this.fileManager.markBatchFailed(batch.id, error, batch.files);
+            return batchResult;
+        }
+    }
+
+    async writeBatchCSV(batch, tracks) {
+        const result = generateCSV(tracks, {
+            tags: this.config.tags,
+            tempoCandidates: this.config.tempoCandidates,
+            keyNotation: this.config.keyNotation,
+            topK: this.config.topK,
+            provenanceColumns: this.config.provenanceColumns,
+            runId: this.runId
+        });
+
+        if (!result.success) {
+            throw new Error(`CSV generation failed: ${result.error}`);
+        }
+
+        const batchDir = this.getBatchDirectory();
+        await fs.ensureDir(batchDir);
+
+        const batchFilename = `batch_${String(batch.id).padStart(3, '0')}_${this.generateCSVFilename()}`;
+        const batchFilePath = path.join(batchDir, batchFilename);
+        await fs.writeFile(batchFilePath, result.csvContent, 'utf8');
+
+        console.log(chalk.gray(`   📄 Batch CSV written: ${batchFilename} (${result.statistics.processedTracks} rows)`));
+
+        // Long-format per-segment predictions, kept in their own directory so the summary merge ignores them
+        if (this.config.exportSegments) {
+            const segmentResult = generateSegmentCSV(tracks);
+            const segmentDir = this.getSegmentDirectory();
+            await fs.ensureDir(segmentDir);
+
+            const segmentFilename = `batch_${String(batch.id).padStart(3, '0')}_${this.generateCSVFilename('music_segments')}`;
+            await fs.writeFile(path.join(segmentDir, segmentFilename), segmentResult.csvContent, 'utf8');
+
+            console.log(chalk.gray(`   📄 Segment CSV written: ${segmentFilename} (${segmentResult.statistics.totalRows} rows)`));
+        }
+
+        if (this.config.embeddings?.enabled) {
+            await this.writeBatchEmbeddings(batch, tracks);
+        }
+
+        return {
+            success: true,
+            filename: batchFilename,
+            filePath: batchFilePath,
+            batchId: batch.id,
+            statistics: result.statistics
+        };
+    }
+
+    // Embedded tags of each analysed file, a file without readable tags only gets empty tag columns
+    async attachTags(tracks) {
+        for (const track of tracks) {
+            try {
+                track.tags = await this.fileManager.readTags(track.file.path);
+            } catch (error) {
+                console.warn(chalk.yellow(`   ⚠️ Could not read tags of ${path.basename(track.file.path)}: ${error.message}`));
+                track.tags = null;
+            }
+        }
+    }
+    
+    // Tracks whose duration, channel layout or sample rate looks wrong for a music file, for the workflow report
+    flagSuspiciousTracks(tracks) {
+        const suspicious = tracks
+            .map(track => ({ file: track.file.path, ...track.audio, flags: flagAudio(track.audio, this.config.audioChecks) }))
+            .filter(track => track.flags.length > 0);
+        
+        if (suspicious.length > 0) {
+            console.log(chalk.yellow(`   ⚠️ ${suspicious.length} suspicious inputs:`));
+            suspicious.forEach(track => console.log(chalk.gray(`     - ${path.basename(track.file)}: ${track.flags.join(', ')}`)));
+        }
+        return suspicious;
+    }
+    
+    // Upsert the batch into the SQLite results store (--db); a failure only leaves the store behind, not the batch
+    async storeBatchResults(batch, csvPath) {
+        if (!this.resultsStore) return;
+
+        try {
+            const stats = await this.resultsStore.upsertBatchCSV(csvPath, batch.files, {
+                runId: this.runId,
+                getContentHash: filePath => this.fileManager.getContentHash(filePath)
+            });
+            console.log(chalk.gray(`   🗄️ Results store: ${stats.inserted} new, ${stats.updated} updated`
+                + (stats.unmatched > 0 ? `, ${stats.unmatched} rows without a matching file` : '')));
+        } catch (error) {
+            console.warn(chalk.yellow(`   ⚠️ Results store update failed: ${error.message}`));
+        }
+    }
+
+    // Embedding vectors (.npy) and their manifest (.json) for one batch, combined with the other batches on merge
+    async writeBatchEmbeddings(batch, tracks) {
+        const embeddingExport = buildEmbeddingExport(tracks, {
+            perPatch: this.config.embeddings.perPatch,
+            runId: this.runId
+        });
+        if (!embeddingExport) return;
+
+        const embeddingDir = this.getEmbeddingDirectory();
+        await fs.ensureDir(embeddingDir);
+
+        const baseName = `batch_${String(batch.id).padStart(3, '0')}_${this.generateCSVFilename('music_embeddings').replace(/\.csv$/, '')}`;
+        const { manifest } = embeddingExport;
+        manifest.vectors = `${baseName}.npy`;
+        await fs.writeFile(path.join(embeddingDir, manifest.vectors), embeddingExport.vectors);
+        if (embeddingExport.patches) {
+            manifest.patches = `${baseName}_patches.npy`;
+            await fs.writeFile(path.join(embeddingDir, manifest.patches), embeddingExport.patches);
+        }
+        await fs.writeJson(path.join(embeddingDir, `${baseName}.json`), manifest, { spaces: 2 });
+
+        console.log(chalk.gray(`   🧬 Embeddings written: ${baseName}.npy (${manifest.shape.join('x')})`));
+    }
+
+    getBatchDirectory() {
+        return path.join(this.config.outputDirectory, this.config.batchCSVDirectory);
+    }
+
+    getSegmentDirectory() {
+        return path.join(this.config.outputDirectory, this.config.segmentCSVDirectory);
+    }
+
+    getEmbeddingDirectory() {
+        return path.join(this.config.outputDirectory, this.config.embeddingDirectory);
+    }
+
+    generateCSVFilename(prefix = 'music_analysis') {
+        // Same naming as the web app's CSV download
+        const now = new Date();
+        const year = now.getFullYear();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const day = String(now.getDate()).padStart(2, '0');
+        const hours = String(now.getHours()).padStart(2, '0');
+        const minutes = String(now.getMinutes()).padStart(2, '0');
+        const seconds = String(now.getSeconds()).padStart(2, '0');
+
+        return `${prefix}_${year}-${month}-${day}_${hours}${minutes}${seconds}.csv`;
+    }
+
+    generateWorkflowReport() {
+        const totalTime = this.workflowStats.endTime.getTime() - this.workflowStats.startTime.getTime();
+
+        console.log(chalk.green.bold('\n📋 Analysis Workflow Report'));
+        console.log(chalk.green.bold('═'.repeat(30)));
+
+        console.log(chalk.white.bold('\nBatch Processing:'));
+        console.log(chalk.white(`  Total batches: ${this.workflowStats.totalBatches}`));
+        console.log(chalk.green(`  Successful: ${this.workflowStats.processedBatches}`));
+        console.log(chalk.red(`  Failed: ${this.workflowStats.failedBatches}`));
+
+        console.log(chalk.white.bold('\nFile Processing:'));
+        console.log(chalk.white(`  Total files: ${this.workflowStats.totalFiles}`));
+        console.log(chalk.green(`  Processed: ${this.workflowStats.processedFiles}`));
+        console.log(chalk.red(`  Failed: ${this.workflowStats.failedFiles}`));
+
+        if (this.workflowStats.suspiciousTracks.length > 0) {
+            const counts = {};
+            this.workflowStats.suspiciousTracks.forEach(track => track.flags.forEach((flag) => {
+                counts[flag] = (counts[flag] || 0) + 1;
+            }));
+            console.log(chalk.white.bold('\nSuspicious Inputs:'));
+            Object.entries(counts).forEach(([flag, count]) => console.log(chalk.yellow(`  ${flag}: ${count}`)));
+        }
+
+        console.log(chalk.white.bold('\nTiming:'));
+        console.log(chalk.white(`  Total time: ${this.formatDuration(totalTime)}`));
+
+        if (this.workflowStats.processedFiles > 0) {
+            const avgTimePerFile = totalTime / this.workflowStats.processedFiles;
+            console.log(chalk.white(`  Average per file: ${this.formatDuration(avgTimePerFile)}`));
+        }
+    }
+
+    formatDuration(milliseconds) {
+        if (!milliseconds || milliseconds < 0) return '0s';
+
+        const seconds = Math.floor(milliseconds / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+
+        if (hours > 0) {
+            return `${hours}h ${minutes % 60}m ${seconds % 60}s`;
+        } else if (minutes > 0) {
+            return `${minutes}m ${seconds % 60}s`;
+        } else {
+            return `${seconds}s`;
+        }
+    }
+}
+
+export default AnalyzeWorkflow;
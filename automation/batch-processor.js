@@ -13,6 +13,19 @@ import BrowserAutomation from './browser-automation.js';
 import FileManager from './file-manager.js';
 import UploadWorkflow from './upload-workflow.js';
 import MergeWorkflow from './merge-workflow.js';
+import AnalysisPool, { normalizeConcurrency } from './analysis-pool.js';
+import AnalyzeWorkflow from './analyze-workflow.js';
+import Provenance from './provenance.js';
+import ResultsStore, { normalizeResultsStore } from './results-store.js';
+import ColumnarWriter, { COLUMNAR_FORMATS, normalizeMergeOutputFormat } from './columnar-writer.js';
+import { normalizeDuplicates, linkDuplicateRows, linkDuplicateRecords } from './duplicate-detector.js';
+import { normalizeSampling, describeSampling, normalizeAudioChecks } from '../src/audioUtils.js';
+import { normalizeTempo, normalizeKeyDetection, normalizeDescriptors } from '../src/essentiaAnalysis.js';
+import { normalizeEmbeddings, mergeEmbeddingExports } from '../src/embeddings.js';
+import { normalizePredictionOutput } from '../src/predictionUtils.js';
+import { normalizeExportFormat, parseRecords, serializeRecords } from '../src/jsonExport.js';
+import { normalizeTags } from '../src/audioTags.js';
+import { loadModelMetadata, getModelMetadataURL } from '../src/modelRegistry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -25,6 +38,9 @@ class BatchProcessor {
         this.fileManager = null;
         this.uploadWorkflow = null;
         this.mergeWorkflow = null;
+        this.analysisEngine = null;
+        this.analyzeWorkflow = null;
+        this.provenance = null;
         this.spinner = null;
         
         // Load configuration
@@ -36,11 +52,17 @@ class BatchProcessor {
             ...this.config.browser,
             ...this.config.uploadAutomation,
             ...this.config.memoryManagement,
-            ...this.config.processingMonitoring
+            ...this.config.processingMonitoring,
+            sampling: this.config.sampling,
+            tempo: this.config.tempo,
+            keyDetection: this.config.keyDetection,
+            descriptors: this.config.descriptors,
+            predictions: this.config.predictions
         });
         this.fileManager = new FileManager({
             ...this.config.fileDiscovery,
-            ...this.config.batchProcessing
+            ...this.config.batchProcessing,
+            duplicates: this.config.duplicates
         });
         this.uploadWorkflow = new UploadWorkflow(
             this.server, 
@@ -50,7 +72,8 @@ class BatchProcessor {
                 ...this.config.batchProcessing,
                 ...this.config.uploadAutomation,
                 ...this.config.memoryManagement,
-                ...this.config.csvExport
+                ...this.config.csvExport,
+                audioChecks: normalizeAudioChecks(this.config.audioChecks)
             }
         );
         this.mergeWorkflow = new MergeWorkflow({
@@ -58,6 +81,31 @@ class BatchProcessor {
             workflow: this.config.mergeWorkflow || {},
             integration: this.config.mergeIntegration || {}
         });
+        this.provenance = new Provenance();
+        this.resultsStore = new ResultsStore(this.config.resultsStore);
+        this.analysisEngine = new AnalysisPool({
+            ...this.config.analysisEngine,
+            sampling: this.config.sampling,
+            tempo: this.config.tempo,
+            keyDetection: this.config.keyDetection,
+            descriptors: this.config.descriptors,
+            tags: this.config.tags,
+            embeddings: this.config.embeddings
+        });
+        this.analyzeWorkflow = new AnalyzeWorkflow(
+            this.analysisEngine,
+            this.fileManager,
+            {
+                ...this.config.batchProcessing,
+                ...this.config.csvExport,
+                tempoCandidates: normalizeTempo(this.config.tempo).candidates,
+                keyNotation: normalizeKeyDetection(this.config.keyDetection).notation,
+                topK: normalizePredictionOutput(this.config.predictions).topK,
+                tags: normalizeTags(this.config.tags).enabled,
+                embeddings: normalizeEmbeddings(this.config.embeddings),
+                audioChecks: normalizeAudioChecks(this.config.audioChecks)
+            }
+        );
         
         // Setup graceful shutdown
         this.setupGracefulShutdown();
@@ -74,6 +122,235 @@ class BatchProcessor {
         }
     }
     
+    // Apply sampling CLI options on top of config.json, shared by the browser and headless workflows
+    applySamplingOptions(options = {}) {
+        const sampling = normalizeSampling({
+            ...this.config.sampling,
+            strategy: options.sampling,
+            keepRatio: options.keepRatio,
+            numPatches: options.patches,
+            seconds: options.seconds,
+            seed: options.seed,
+            ...(options.trim === false ? { trim: false } : {})
+        });
+        
+        this.config.sampling = sampling;
+        this.analysisEngine.engineConfig.sampling = sampling;
+        this.browser.config.sampling = sampling;
+        
+        console.log(chalk.blue(`🎚️ Sampling: ${describeSampling(sampling)}`));
+        return sampling;
+    }
+    
+    // Apply tempo CLI options on top of config.json, shared by the browser and headless workflows
+    applyTempoOptions(options = {}) {
+        const tempo = normalizeTempo({
+            ...this.config.tempo,
+            backend: options.tempo,
+            ...(options.tempoCandidates ? { candidates: true } : {})
+        });
+        
+        this.config.tempo = tempo;
+        this.analysisEngine.engineConfig.tempo = tempo;
+        this.analyzeWorkflow.config.tempoCandidates = tempo.candidates;
+        this.browser.config.tempo = tempo;
+        
+        console.log(chalk.blue(`🥁 Tempo: ${tempo.backend}${tempo.candidates ? ' (with half/double candidates)' : ''}`));
+        return tempo;
+    }
+    
+    // Apply key detection CLI options on top of config.json, shared by the browser and headless workflows
+    applyKeyDetectionOptions(options = {}) {
+        const keyDetection = normalizeKeyDetection({
+            ...this.config.keyDetection,
+            profile: options.keyProfile,
+            notation: options.keyNotation
+        });
+        
+        this.config.keyDetection = keyDetection;
+        this.analysisEngine.engineConfig.keyDetection = keyDetection;
+        this.analyzeWorkflow.config.keyNotation = keyDetection.notation;
+        this.browser.config.keyDetection = keyDetection;
+        
+        console.log(chalk.blue(`🎹 Key profile: ${keyDetection.profile}${keyDetection.notation !== 'none' ? ` (${keyDetection.notation} notation)` : ''}`));
+        return keyDetection;
+    }
+    
+    // Enable the loudness/dynamics/spectral descriptor stage from the CLI, shared by the browser and headless workflows
+    applyDescriptorOptions(options = {}) {
+        const descriptors = normalizeDescriptors({
+            ...this.config.descriptors,
+            ...(options.descriptors ? { enabled: true } : {})
+        });
+        
+        this.config.descriptors = descriptors;
+        this.analysisEngine.engineConfig.descriptors = descriptors;
+        this.browser.config.descriptors = descriptors;
+        
+        if (descriptors.enabled) {
+            console.log(chalk.blue('📈 Descriptors: loudness, dynamic complexity, RMS, spectral centroid, ZCR, onset rate'));
+        }
+        return descriptors;
+    }
+    
+    // Embedded tag columns (tag_artist, tag_title, ...): read by FileManager in the headless workflow, by the web app on upload
+    applyTagOptions(options = {}) {
+        const tags = normalizeTags({
+            ...this.config.tags,
+            ...(options.tags ? { enabled: true } : {})
+        });
+        
+        this.config.tags = tags;
+        this.analyzeWorkflow.config.tags = tags.enabled;
+        this.browser.config.tags = tags;
+        
+        if (tags.enabled) {
+            console.log(chalk.blue('🔖 Tags: artist, title, album, year, ISRC and duration columns'));
+        }
+        return tags;
+    }
+    
+    // Thresholds of the suspicious input checks (short clips, unusual sample rates) in the workflow reports
+    applyAudioCheckOptions(options = {}) {
+        const audioChecks = normalizeAudioChecks({
+            ...this.config.audioChecks,
+            minDuration: options.minDuration,
+            sampleRates: options.sampleRates
+        });
+        
+        this.config.audioChecks = audioChecks;
+        this.uploadWorkflow.config.audioChecks = audioChecks;
+        this.analyzeWorkflow.config.audioChecks = audioChecks;
+        
+        if (options.minDuration !== undefined || options.sampleRates !== undefined) {
+            console.log(chalk.blue(`🔎 Audio checks: clips under ${audioChecks.minDuration}s, sample rates other than ${audioChecks.sampleRates.join(', ')} Hz`));
+        }
+        return audioChecks;
+    }
+    
+    // Apply the top-k label output of multi-class/multi-label models, shared by the browser and headless workflows
+    applyPredictionOutputOptions(options = {}) {
+        const predictions = normalizePredictionOutput({
+            ...this.config.predictions,
+            topK: options.topK
+        });
+        
+        this.config.predictions = predictions;
+        this.analyzeWorkflow.config.topK = predictions.topK;
+        this.browser.config.predictions = predictions;
+        
+        if (predictions.topK > 0) {
+            console.log(chalk.blue(`🏷️ Top labels: ${predictions.topK} per multi-class/multi-label model`));
+        }
+        return predictions;
+    }
+    
+    // Results file format of the upload workflow: csv, or json/ndjson downloaded through the web app's JSON button
+    applyExportFormatOptions(options = {}) {
+        const format = normalizeExportFormat(options.format ?? this.config.csvExport?.format);
+        
+        this.config.csvExport = { ...this.config.csvExport, format };
+        this.uploadWorkflow.config.format = format;
+        this.browser.config.format = format;
+        
+        if (format !== 'csv') {
+            console.log(chalk.blue(`🗂️ Export format: ${format}`));
+        }
+        return format;
+    }
+    
+    // SQLite results store (--db [path]), upserted by both workflows as batches complete
+    applyResultsStoreOptions(options = {}) {
+        const resultsStore = normalizeResultsStore({
+            ...this.config.resultsStore,
+            ...(options.db ? { enabled: true } : {}),
+            // a path given on the command line is relative to the working directory
+            path: typeof options.db === 'string' ? path.resolve(options.db) : undefined
+        });
+        
+        this.config.resultsStore = resultsStore;
+        this.resultsStore.config = resultsStore;
+        
+        if (resultsStore.enabled) {
+            console.log(chalk.blue(`🗄️ Results store: ${this.resultsStore.databasePath}`));
+        }
+        return resultsStore;
+    }
+    
+    // Files whose content an earlier run already analysed with the same settings are skipped at discovery
+    // unless --force is given; applied after the options that change the results
+    applySkipAnalysedOptions(options = {}) {
+        const skipAnalysed = options.force ? false : this.fileManager.config.skipAnalysed !== false;
+        this.fileManager.config.skipAnalysed = skipAnalysed;
+        this.fileManager.setAnalysisSettings(this.getAnalysisSettings());
+        
+        if (!skipAnalysed) {
+            console.log(chalk.yellow('♻️ Re-analysing all files, including those already analysed'));
+        }
+        return skipAnalysed;
+    }
+    
+    // Settings that change the values or columns of the results, normalized so config and CLI values compare equal
+    getAnalysisSettings() {
+        return {
+            sampling: normalizeSampling(this.config.sampling),
+            tempo: normalizeTempo(this.config.tempo),
+            keyDetection: normalizeKeyDetection(this.config.keyDetection),
+            descriptors: normalizeDescriptors(this.config.descriptors),
+            tags: normalizeTags(this.config.tags).enabled,
+            predictions: normalizePredictionOutput(this.config.predictions),
+            embeddings: normalizeEmbeddings(this.config.embeddings),
+            provenanceColumns: this.config.csvExport?.provenanceColumns === true
+        };
+    }
+    
+    // Duplicate detection at discovery: policy for copies of the same audio and optional near-duplicate fingerprints
+    applyDuplicateOptions(options = {}) {
+        const duplicates = normalizeDuplicates({
+            ...this.config.duplicates,
+            policy: options.duplicates,
+            ...(options.nearDuplicates ? { nearDuplicates: true } : {})
+        });
+        
+        this.config.duplicates = duplicates;
+        this.fileManager.duplicateDetector.config = duplicates;
+        
+        if (duplicates.policy !== 'keep-all' || duplicates.nearDuplicates) {
+            console.log(chalk.blue(`👯 Duplicates: ${duplicates.policy}${duplicates.nearDuplicates ? `, near-duplicates from similarity ${duplicates.threshold}` : ''}`));
+        }
+        return duplicates;
+    }
+    
+    // Worker threads of the headless analysis pool, set before the pool starts its workers
+    applyConcurrencyOptions(options = {}) {
+        const concurrency = normalizeConcurrency(options.concurrency ?? this.config.analysisEngine?.concurrency);
+        this.analysisEngine.config.concurrency = concurrency;
+        
+        if (options.concurrency !== undefined) {
+            console.log(chalk.blue(`🧵 Analysis workers: ${concurrency}`));
+        }
+        return concurrency;
+    }
+    
+    // Embedding export is headless only: the analyze workflow writes the vectors next to its batch CSVs
+    applyEmbeddingOptions(options = {}) {
+        const embeddings = normalizeEmbeddings({
+            ...this.config.embeddings,
+            ...(options.embeddings ? { enabled: true } : {}),
+            ...(options.embeddingPatches ? { perPatch: true } : {}),
+            model: options.embeddingModel
+        });
+        
+        this.config.embeddings = embeddings;
+        this.analysisEngine.engineConfig.embeddings = embeddings;
+        this.analyzeWorkflow.config.embeddings = embeddings;
+        
+        if (embeddings.enabled) {
+            console.log(chalk.blue(`🧬 Embeddings: ${embeddings.model}${embeddings.perPatch ? ' (per track and per patch)' : ''}`));
+        }
+        return embeddings;
+    }
+    
     setupGracefulShutdown() {
         const gracefulShutdown = async (signal) => {
             console.log(chalk.yellow(`\n🛑 Received ${signal}, shutting down gracefully...`));
@@ -101,6 +378,14 @@ class BatchProcessor {
                 await this.server.stop();
             }
             
+            if (this.analysisEngine) {
+                await this.analysisEngine.dispose();
+            }
+            
+            if (this.resultsStore) {
+                this.resultsStore.close();
+            }
+            
             console.log(chalk.green('✓ Cleanup completed'));
         } catch (error) {
             console.error(chalk.red('Cleanup error:'), error.message);
@@ -115,99 +400,421 @@ class BatchProcessor {
             console.log(chalk.blue.bold('🎵 MIR Upload Automation Framework'));
             console.log(chalk.blue.bold('═'.repeat(40)));
             
+            const run = {
+                runId: this.provenance.createRunId(),
+                workflow: 'upload',
+                startedAt: new Date().toISOString()
+            };
+            this.fileManager.runId = run.runId;
+            const resultsStore = await this.openResultsStore(run);
+            
             // Execute the complete upload workflow
-            const workflowResult = await this.uploadWorkflow.executeFullWorkflow(directoryPath, {
+            const workflowOptions = {
                 batchSize: parseInt(options.batchSize) || this.config.batchProcessing.batchSize,
                 strict: options.strict || false,
                 enableMemoryMonitoring: this.config.memoryManagement.enableMemoryMonitoring,
                 enableProgressTracking: this.config.processingMonitoring.enableProgressTracking
+            };
+            const workflowResult = await this.uploadWorkflow.executeFullWorkflow(directoryPath, {
+                ...workflowOptions,
+                runId: run.runId,
+                resultsStore
             });
             
+            run.runConfig = {
+                directory: path.resolve(directoryPath),
+                ...workflowOptions,
+                browser: this.browser.config.headless ? 'headless' : 'visible'
+            };
+            await this.finishResultsStoreRun(resultsStore, run);
+            
             console.log(chalk.green.bold('\n🎉 Upload workflow completed successfully!'));
             
             // Save workflow report
             await this.saveWorkflowReport(workflowResult.stats || workflowResult);
             
             // Execute auto-merge if enabled and upload was successful
-            let mergeResult = null;
-            console.log(chalk.blue(`\n🔍 Merge check: mergeCSVs=${this.config.csvExport?.mergeCSVs}, workflowSuccess=${workflowResult.success}`));
+            const mergeResult = await this.mergeBatchResults(workflowResult, run, this.uploadWorkflow.config.format);
+            
+            return {
+                ...workflowResult,
+                mergeResult
+            };
+            
+        } catch (error) {
+            console.error(chalk.red.bold('\n❌ Upload workflow failed:'), error.message);
+            throw error;
+        }
+    }
+    
+    // Headless analysis workflow - runs the analysis pipeline in Node, no server or browser
+    async executeAnalyzeWorkflow(directoryPath, options = {}) {
+        try {
+            const run = {
+                runId: this.provenance.createRunId(),
+                workflow: 'analyze',
+                startedAt: new Date().toISOString()
+            };
+            this.fileManager.runId = run.runId;
             
-            if (this.config.csvExport?.mergeCSVs && workflowResult.success) {
-                try {
-                    console.log(chalk.blue('\n🔄 Creating final results CSV...'));
+            // labels of models listed without them in the manifest are needed for the CSV columns
+            const modelsDirectory = path.resolve(__dirname, '..', 'models');
+            await loadModelMetadata(modelName => fs.readJson(getModelMetadataURL(modelName, modelsDirectory)));
+            
+            const workflowOptions = {
+                batchSize: parseInt(options.batchSize) || this.config.batchProcessing.batchSize,
+                strict: options.strict || false
+            };
+            const resultsStore = await this.openResultsStore(run);
+            const workflowResult = await this.analyzeWorkflow.executeFullWorkflow(directoryPath, {
+                ...workflowOptions,
+                runId: run.runId,
+                resultsStore
+            });
+            
+            if (workflowResult.nothingToDo) {
+                await this.finishResultsStoreRun(resultsStore, run);
+                console.log(chalk.yellow.bold(`\n⏭️ Nothing to analyse. ${workflowResult.message}`));
+                return workflowResult;
+            }
+            
+            run.libraries = this.analysisEngine.versions || {};
+            run.runConfig = {
+                directory: path.resolve(directoryPath),
+                ...workflowOptions,
+                concurrency: this.analysisEngine.config.concurrency,
+                hopSize: this.analysisEngine.engineConfig.hopSize || 256
+            };
+            await this.finishResultsStoreRun(resultsStore, run);
+            
+            // Save workflow report
+            await this.saveWorkflowReport(workflowResult.stats, 'analyze-workflow-report');
+            
+            // no batch analysed: nothing to merge, and the command exits with an error
+            if (!workflowResult.success) {
+                const { totalFiles, totalBatches } = workflowResult.stats;
+                console.error(chalk.red.bold(`\n❌ Analysis workflow failed: none of the ${totalBatches} batches (${totalFiles} files) could be analysed`));
+                process.exitCode = 1;
+                return workflowResult;
+            }
+            
+            console.log(chalk.green.bold('\n🎉 Analysis workflow completed successfully!'));
+            
+            const mergeResult = await this.mergeBatchResults(workflowResult, run);
+            
+            return {
+                ...workflowResult,
+                mergeResult
+            };
+            
+        } catch (error) {
+            console.error(chalk.red.bold('\n❌ Analysis workflow failed:'), error.message);
+            throw error;
+        }
+    }
+    
+    // Results store of a run when enabled (null otherwise), with the run recorded before its first batch
+    async openResultsStore(run) {
+        if (!this.config.resultsStore?.enabled) {
+            return null;
+        }
+        
+        await this.resultsStore.recordRun(run);
+        return this.resultsStore;
+    }
+    
+    async finishResultsStoreRun(resultsStore, run) {
+        if (!resultsStore) return;
+        
+        try {
+            await resultsStore.recordRun({
+                ...run,
+                finishedAt: new Date().toISOString(),
+                settings: {
+                    sampling: this.config.sampling,
+                    tempo: this.config.tempo,
+                    keyDetection: this.config.keyDetection,
+                    descriptors: this.config.descriptors,
+                    predictions: this.config.predictions,
+                    runConfig: run.runConfig
+                }
+            });
+        } catch (error) {
+            console.warn(chalk.yellow(`Failed to record the run in the results store: ${error.message}`));
+        }
+    }
+    
+    // Regenerate the results CSV from the SQLite results store (export --from-db)
+    async exportFromResultsStore(outputPath = null) {
+        const { csvContent, rowCount } = await this.resultsStore.exportCSV();
+        if (rowCount === 0) {
+            throw new Error(`No results in ${this.resultsStore.databasePath}`);
+        }
+        
+        if (!outputPath) {
+            const resultsDir = path.resolve(__dirname, '..', 'results');
+            await fs.ensureDir(resultsDir);
+            const nextNumber = await this.getNextResultNumber(resultsDir);
+            outputPath = path.join(resultsDir, `music_analysis_results_${String(nextNumber).padStart(2, '0')}.csv`);
+        }
+        
+        await fs.ensureDir(path.dirname(outputPath));
+        await fs.writeFile(outputPath, csvContent, 'utf8');
+        console.log(chalk.green.bold('✅ Results CSV exported from the results store'));
+        console.log(chalk.gray(`   📊 File: ${path.basename(outputPath)} (${rowCount} data rows)`));
+        console.log(chalk.gray(`   📍 Location: ${outputPath}`));
+        
+        return { outputPath, rowCount };
+    }
+    
+    // Next free NN of results/music_analysis_results_NN.* (any results format, Arrow/Parquet copy or manifest)
+    async getNextResultNumber(resultsDir) {
+        const existingResults = await fs.readdir(resultsDir).catch(() => []);
+        const resultNumbers = existingResults
+            .map(file => parseInt(file.match(/^music_analysis_results_(\d+)\.(csv|json|ndjson|arrow|parquet|manifest\.json)$/)?.[1]))
+            .filter(num => !isNaN(num));
+        return resultNumbers.length > 0 ? Math.max(...resultNumbers) + 1 : 1;
+    }
+    
+    // Combine the batch CSVs of a finished workflow into results/music_analysis_results_NN.csv
+    // (or .json/.ndjson for the batch record files of `upload --format`),
+    // with a provenance manifest (music_analysis_results_NN.manifest.json) describing the run
+    async mergeBatchResults(workflowResult, run = null, format = 'csv') {
+        let mergeResult = null;
+        console.log(chalk.blue(`\n🔍 Merge check: mergeCSVs=${this.config.csvExport?.mergeCSVs}, workflowSuccess=${workflowResult.success}`));
+        
+        if (this.config.csvExport?.mergeCSVs && workflowResult.success) {
+            try {
+                console.log(chalk.blue('\n🔄 Creating final results CSV...'));
+                
+                // Simple merge: find batch files and combine them
+                const batchDir = path.join(process.cwd(), 'csv_exports', 'batch_csvs');
+                const batchFiles = await fs.readdir(batchDir).catch(() => []);
+                const csvFiles = batchFiles.filter(file => file.startsWith('batch_') && file.endsWith(`.${format}`));
+                
+                console.log(chalk.gray(`   📁 Found ${csvFiles.length} batch ${format.toUpperCase()} files`));
+                
+                if (csvFiles.length > 0) {
+                    const resultsDir = path.resolve(__dirname, '..', 'results');
+                    await fs.ensureDir(resultsDir);
                     
-                    // Simple merge: find batch files and combine them
-                    const batchDir = path.join(process.cwd(), 'csv_exports', 'batch_csvs');
-                    const batchFiles = await fs.readdir(batchDir).catch(() => []);
-                    const csvFiles = batchFiles.filter(file => file.startsWith('batch_') && file.endsWith('.csv'));
+                    // Find next available result number
+                    const nextNumber = await this.getNextResultNumber(resultsDir);
+                    const outputFilename = `music_analysis_results_${String(nextNumber).padStart(2, '0')}.${format}`;
+                    const outputPath = path.join(resultsDir, outputFilename);
                     
-                    console.log(chalk.gray(`   📁 Found ${csvFiles.length} batch CSV files`));
+                    // Duplicates left out of the analysis by the link policy reuse the rows of the copy that was analysed
+                    const duplicateLinks = this.fileManager.getDuplicateLinks();
+                    let linkResult = null;
                     
-                    if (csvFiles.length > 0) {
-                        const resultsDir = path.resolve(__dirname, '..', 'results');
-                        await fs.ensureDir(resultsDir);
-                        
-                        // Find next available result number
-                        const existingResults = await fs.readdir(resultsDir).catch(() => []);
-                        const resultNumbers = existingResults
-                            .filter(file => file.startsWith('music_analysis_results_') && file.endsWith('.csv'))
-                            .map(file => parseInt(file.match(/music_analysis_results_(\d+)\.csv/)?.[1] || '0'))
-                            .filter(num => !isNaN(num));
-                        const nextNumber = resultNumbers.length > 0 ? Math.max(...resultNumbers) + 1 : 1;
-                        const outputFilename = `music_analysis_results_${String(nextNumber).padStart(2, '0')}.csv`;
-                        const outputPath = path.join(resultsDir, outputFilename);
-                        
-                        // Simple merge: read first file to get header, then append all data rows
-                        let allData = [];
-                        let header = '';
-                        
-                        for (let i = 0; i < csvFiles.length; i++) {
-                            const csvPath = path.join(batchDir, csvFiles[i]);
-                            const content = await fs.readFile(csvPath, 'utf8');
-                            const lines = content.split('\n').filter(line => line.trim());
-                            
-                            if (i === 0) {
-                                header = lines[0]; // Save header from first file
-                                allData.push(...lines.slice(1)); // Add data rows
-                            } else {
-                                allData.push(...lines.slice(1)); // Add only data rows (skip header)
-                            }
+                    let allData;
+                    if (format === 'csv') {
+                        let { header, rows } = await this.concatenateCSVFiles(batchDir, csvFiles);
+                        if (duplicateLinks.length > 0) {
+                            linkResult = linkDuplicateRows(header, rows, duplicateLinks);
+                            ({ header, rows } = linkResult);
                         }
+                        allData = rows;
                         
                         // Write combined CSV
-                        const finalContent = header + '\n' + allData.join('\n') + '\n';
-                        await fs.writeFile(outputPath, finalContent, 'utf8');
-                        
-                        console.log(chalk.green.bold('✅ Final results CSV created successfully!'));
-                        console.log(chalk.gray(`   📊 File: ${outputFilename}`));
-                        console.log(chalk.gray(`   📍 Location: ${outputPath}`));
-                        console.log(chalk.gray(`   📈 Rows: ${allData.length} data rows`));
-                        
-                        mergeResult = { success: true, outputPath, filename: outputFilename };
+                        await fs.writeFile(outputPath, header + '\n' + allData.join('\n') + '\n', 'utf8');
                     } else {
-                        console.log(chalk.yellow('⚠️ No batch CSV files found to merge'));
-                        mergeResult = { success: false, error: 'No batch files found' };
+                        allData = await this.concatenateRecordFiles(batchDir, csvFiles, format);
+                        if (duplicateLinks.length > 0) {
+                            linkResult = linkDuplicateRecords(allData, duplicateLinks);
+                            allData = linkResult.records;
+                        }
+                        await fs.writeFile(outputPath, serializeRecords(allData, format), 'utf8');
+                    }
+                    
+                    console.log(chalk.green.bold(`✅ Final results ${format.toUpperCase()} created successfully!`));
+                    console.log(chalk.gray(`   📊 File: ${outputFilename}`));
+                    console.log(chalk.gray(`   📍 Location: ${outputPath}`));
+                    console.log(chalk.gray(`   📈 Rows: ${allData.length} data rows`));
+                    if (linkResult) {
+                        console.log(chalk.gray(`   👯 Linked duplicates: ${linkResult.linked}${linkResult.unlinked > 0 ? ` (${linkResult.unlinked} without results in this run)` : ''}`));
+                    }
+                    
+                    mergeResult = { success: true, outputPath, filename: outputFilename };
+                    
+                    // Files skipped as already analysed keep their rows in the earlier results files
+                    const skipped = this.fileManager.skippedFiles.length > 0 ? this.fileManager.getSkippedResults() : null;
+                    if (skipped) {
+                        console.log(chalk.gray(`   ⏭️ Already analysed, not in this file: ${this.fileManager.skippedFiles.length} tracks`));
+                        Object.entries(skipped).forEach(([results, count]) => console.log(chalk.gray(`      ${count} in ${results}`)));
+                    }
+                    if (run) {
+                        await this.fileManager.recordResultsFile(run.runId, outputFilename);
+                    }
+                    
+                    // Per-segment predictions (headless workflow) get the matching results number
+                    const segmentDir = path.join(process.cwd(), 'csv_exports', this.config.csvExport?.segmentCSVDirectory || 'segment_csvs');
+                    const segmentFiles = (await fs.readdir(segmentDir).catch(() => []))
+                        .filter(file => file.startsWith('batch_') && file.endsWith('.csv'));
+                    
+                    if (segmentFiles.length > 0) {
+                        const segments = await this.concatenateCSVFiles(segmentDir, segmentFiles);
+                        const segmentFilename = `music_analysis_segments_${String(nextNumber).padStart(2, '0')}.csv`;
+                        const segmentPath = path.join(resultsDir, segmentFilename);
+                        await fs.writeFile(segmentPath, segments.header + '\n' + segments.rows.join('\n') + '\n', 'utf8');
+                        
+                        console.log(chalk.gray(`   📊 Segments: ${segmentFilename} (${segments.rows.length} data rows)`));
+                        mergeResult.segmentsPath = segmentPath;
+                    }
+                    
+                    // Typed Arrow/Parquet copies of the results and segment CSVs (csvMerge.outputFormat)
+                    const columnarFormat = normalizeMergeOutputFormat(this.config.csvMerge?.outputFormat);
+                    if (format === 'csv' && COLUMNAR_FORMATS.includes(columnarFormat)) {
+                        mergeResult.columnarPaths = await this.writeColumnarResults(
+                            [outputPath, mergeResult.segmentsPath].filter(Boolean), columnarFormat);
                     }
-                } catch (mergeError) {
-                    console.error(chalk.red('⚠️ Results CSV creation failed:'), mergeError.message);
-                    console.log(chalk.yellow('Upload completed successfully. Check batch files manually.'));
-                    mergeResult = { success: false, error: mergeError.message };
+                    
+                    mergeResult.embeddingsPath = await this.mergeBatchEmbeddings(resultsDir, nextNumber, outputFilename, run);
+                    
+                    if (run) {
+                        mergeResult.manifestPath = await this.writeRunManifest(run, outputPath, {
+                            file: outputFilename,
+                            rows: allData.length,
+                            batchFiles: csvFiles,
+                            segments: mergeResult.segmentsPath ? path.basename(mergeResult.segmentsPath) : null,
+                            embeddings: mergeResult.embeddingsPath ? path.basename(mergeResult.embeddingsPath) : null,
+                            columnar: mergeResult.columnarPaths ? mergeResult.columnarPaths.map(file => path.basename(file)) : null,
+                            skipped: skipped ? { files: this.fileManager.skippedFiles.length, results: skipped } : null,
+                            duplicates: this.fileManager.duplicateReport ? {
+                                policy: this.fileManager.duplicateReport.policy,
+                                groups: this.fileManager.duplicateReport.groups,
+                                duplicateFiles: this.fileManager.duplicateReport.duplicateFiles,
+                                linked: linkResult ? linkResult.linked : 0,
+                                report: this.fileManager.duplicateReport.reportPath ? path.basename(this.fileManager.duplicateReport.reportPath) : null
+                            } : null
+                        });
+                    }
+                } else {
+                    console.log(chalk.yellow('⚠️ No batch CSV files found to merge'));
+                    mergeResult = { success: false, error: 'No batch files found' };
                 }
-            } else if (!this.config.csvExport?.mergeCSVs) {
-                console.log(chalk.blue('ℹ️ Auto-merge disabled. Batch CSV files available for manual merge.'));
-            } else {
-                console.log(chalk.yellow('⚠️ Auto-merge not executed: workflow may not have completed successfully'));
+            } catch (mergeError) {
+                console.error(chalk.red('⚠️ Results CSV creation failed:'), mergeError.message);
+                console.log(chalk.yellow('Batch processing completed successfully. Check batch files manually.'));
+                mergeResult = { success: false, error: mergeError.message };
             }
+        } else if (!this.config.csvExport?.mergeCSVs) {
+            console.log(chalk.blue('ℹ️ Auto-merge disabled. Batch CSV files available for manual merge.'));
             
-            return {
-                ...workflowResult,
-                mergeResult
-            };
-            
+            // Keep the provenance with the batch files so a later manual merge can still be traced
+            if (run) {
+                const batchDir = path.join(process.cwd(), 'csv_exports', 'batch_csvs');
+                await this.writeRunManifest(run, path.join(batchDir, `run_${run.runId}.csv`), {});
+            }
+        } else {
+            console.log(chalk.yellow('⚠️ Auto-merge not executed: workflow may not have completed successfully'));
+        }
+        
+        return mergeResult;
+    }
+    
+    // Combine the batch embedding files (headless workflow) into results/music_analysis_embeddings_NN.npy
+    // with a manifest mapping each row to the `filename` column of the results CSV
+    async mergeBatchEmbeddings(resultsDir, resultNumber, resultsFilename, run = null) {
+        const embeddingDir = path.join(process.cwd(), 'csv_exports', this.config.csvExport?.embeddingDirectory || 'embedding_batches');
+        const manifestFiles = (await fs.readdir(embeddingDir).catch(() => []))
+            .filter(file => file.startsWith('batch_') && file.endsWith('.json'))
+            .sort();
+        
+        if (manifestFiles.length === 0) {
+            return null;
+        }
+        
+        const parts = [];
+        for (const file of manifestFiles) {
+            const manifest = await fs.readJson(path.join(embeddingDir, file));
+            parts.push({
+                manifest,
+                vectors: await fs.readFile(path.join(embeddingDir, manifest.vectors)),
+                patches: manifest.patches ? await fs.readFile(path.join(embeddingDir, manifest.patches)) : null
+            });
+        }
+        
+        const merged = mergeEmbeddingExports(parts, { results: resultsFilename, runId: run?.runId });
+        const baseName = `music_analysis_embeddings_${String(resultNumber).padStart(2, '0')}`;
+        merged.manifest.vectors = `${baseName}.npy`;
+        await fs.writeFile(path.join(resultsDir, merged.manifest.vectors), merged.vectors);
+        if (merged.patches) {
+            merged.manifest.patches = `${baseName}_patches.npy`;
+            await fs.writeFile(path.join(resultsDir, merged.manifest.patches), merged.patches);
+        }
+        const manifestPath = path.join(resultsDir, `${baseName}.json`);
+        await fs.writeJson(manifestPath, merged.manifest, { spaces: 2 });
+        
+        console.log(chalk.gray(`   🧬 Embeddings: ${merged.manifest.vectors} (${merged.manifest.shape.join('x')})`));
+        return manifestPath;
+    }
+    
+    async writeRunManifest(run, csvPath, results) {
+        if (this.config.csvExport?.writeManifest === false) {
+            return null;
+        }
+        
+        try {
+            const manifest = await this.provenance.buildManifest({
+                ...run,
+                sampling: this.config.sampling,
+                tempo: this.config.tempo,
+                keyDetection: this.config.keyDetection,
+                descriptors: this.config.descriptors,
+                embeddings: this.config.embeddings,
+                predictions: this.config.predictions,
+                results
+            });
+            const manifestPath = await this.provenance.writeSidecar(csvPath, manifest);
+            console.log(chalk.gray(`   🧾 Provenance: ${path.basename(manifestPath)}`));
+            return manifestPath;
         } catch (error) {
-            console.error(chalk.red.bold('\n❌ Upload workflow failed:'), error.message);
-            throw error;
+            console.warn(chalk.yellow(`Failed to write provenance manifest: ${error.message}`));
+            return null;
+        }
+    }
+    
+    // Arrow/Parquet file next to each merged CSV, with the same name and rows
+    async writeColumnarResults(csvPaths, format) {
+        const writer = new ColumnarWriter();
+        const columnarPaths = [];
+        for (const csvPath of csvPaths) {
+            const rows = await this.mergeWorkflow.csvMerger.readCSVData(csvPath);
+            const columnarPath = csvPath.replace(/\.csv$/i, `.${format}`);
+            const size = await writer.writeFile(columnarPath, rows, format);
+            console.log(chalk.gray(`   🧱 ${format === 'arrow' ? 'Arrow' : 'Parquet'}: ${path.basename(columnarPath)} (${(size / 1024).toFixed(2)} KB)`));
+            columnarPaths.push(columnarPath);
+        }
+        return columnarPaths;
+    }
+    
+    // Records of batch JSON/NDJSON files, in batch order
+    async concatenateRecordFiles(directory, recordFiles, format) {
+        const records = [];
+        for (const file of recordFiles) {
+            records.push(...parseRecords(await fs.readFile(path.join(directory, file), 'utf8'), format));
+        }
+        return records;
+    }
+    
+    // Simple merge: read first file to get header, then append all data rows
+    async concatenateCSVFiles(directory, csvFiles) {
+        let rows = [];
+        let header = '';
+        
+        for (let i = 0; i < csvFiles.length; i++) {
+            const csvPath = path.join(directory, csvFiles[i]);
+            const content = await fs.readFile(csvPath, 'utf8');
+            const lines = content.split('\n').filter(line => line.trim());
+            
+            if (i === 0) {
+                header = lines[0]; // Save header from first file
+            }
+            rows.push(...lines.slice(1)); // Add only data rows (skip header)
         }
+        
+        return { header, rows };
     }
     
     async processDirectory(directoryPath, options = {}) {
@@ -226,7 +833,9 @@ class BatchProcessor {
             this.spinner.succeed(`Discovered ${discovery.totalFiles} audio files`);
             
             if (discovery.totalFiles === 0) {
-                console.log(chalk.yellow('⚠️ No audio files found. Exiting...'));
+                console.log(chalk.yellow(discovery.skippedFiles + discovery.skippedDuplicates > 0
+                    ? `⚠️ No new audio files: ${discovery.skippedFiles} already analysed (use --force to re-analyse), ${discovery.skippedDuplicates} duplicates. Exiting...`
+                    : '⚠️ No audio files found. Exiting...'));
                 return;
             }
             
@@ -312,7 +921,7 @@ class BatchProcessor {
                 }
                 
                 // Mark batch as completed
-                this.fileManager.markBatchCompleted(batch.id, batch.files);
+                await this.fileManager.markBatchCompleted(batch.id, batch.files);
                 
                 // Display progress
                 this.displayProgress();
@@ -365,6 +974,12 @@ class BatchProcessor {
         console.log(chalk.blue('─'.repeat(20)));
         console.log(chalk.white(`Total files: ${discovery.statistics.totalFiles}`));
         console.log(chalk.white(`Total size: ${discovery.statistics.totalSizeFormatted}`));
+        if (discovery.skippedFiles > 0) {
+            console.log(chalk.white(`Already analysed: ${discovery.skippedFiles} (skipped)`));
+        }
+        if (discovery.duplicates?.groups > 0) {
+            console.log(chalk.white(`Duplicates: ${discovery.duplicates.duplicateFiles} files in ${discovery.duplicates.groups} groups (${discovery.duplicates.exactGroups} exact, ${discovery.duplicates.nearGroups} near)`));
+        }
         
         if (discovery.statistics.formatBreakdown.length > 0) {
             console.log(chalk.white('\nFormat breakdown:'));
@@ -436,10 +1051,10 @@ class BatchProcessor {
         }
     }
     
-    async saveWorkflowReport(workflowResult) {
+    async saveWorkflowReport(workflowResult, reportName = 'upload-workflow-report') {
         try {
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const reportPath = path.join(this.config.logging.logDirectory || './logs', `upload-workflow-report-${timestamp}.json`);
+            const reportPath = path.join(this.config.logging.logDirectory || './logs', `${reportName}-${timestamp}.json`);
             
             await fs.ensureDir(path.dirname(reportPath));
             await fs.writeJson(reportPath, workflowResult, { spaces: 2 });
@@ -486,6 +1101,7 @@ program
     .option('--output-dir <directory>', 'Output directory for merged CSV', './csv_exports')
     .option('--cleanup', 'Remove batch files after successful merge')
     .option('--verify', 'Enable comprehensive verification of merge results')
+    .option('--format <format>', 'Output format: csv, json/ndjson to merge the batch files of upload --format, or arrow/parquet')
     .action(async (options) => {
         const processor = new BatchProcessor();
         
@@ -497,6 +1113,7 @@ program
             processor.mergeWorkflow.config.csvMerger.outputDirectory = options.outputDir;
             processor.mergeWorkflow.config.csvMerger.cleanupBatchFiles = options.cleanup || false;
             processor.mergeWorkflow.config.integration.enableWorkflowVerification = options.verify || false;
+            processor.mergeWorkflow.csvMerger.config.outputFormat = normalizeMergeOutputFormat(options.format ?? processor.config.csvMerge?.outputFormat);
             
             const mergeResult = await processor.mergeWorkflow.executeStandaloneMerge({
                 standalone: true,
@@ -557,6 +1174,31 @@ program
         }
     });
 
+program
+    .command('export')
+    .description('Regenerate the results CSV from the SQLite results store')
+    .option('--from-db', 'Read the results from the SQLite results store')
+    .option('--db <path>', 'SQLite results store path (default from config)')
+    .option('-o, --output <file>', 'Output CSV path (default: next results/music_analysis_results_NN.csv)')
+    .action(async (options) => {
+        const processor = new BatchProcessor();
+        
+        try {
+            if (!options.fromDb) {
+                throw new Error('Nothing to export from, use --from-db');
+            }
+            
+            processor.applyResultsStoreOptions({ db: options.db || true });
+            await processor.exportFromResultsStore(options.output ? path.resolve(options.output) : null);
+            
+        } catch (error) {
+            console.error(chalk.red.bold('\n❌ Export failed:'), error.message);
+            process.exit(1);
+        } finally {
+            processor.resultsStore.close();
+        }
+    });
+
 program
     .command('upload')
     .description('Execute automated upload workflow with enhanced browser automation')
@@ -568,10 +1210,42 @@ program
     .option('--headless', 'Run browser in headless mode')
     .option('--visible', 'Run browser in visible mode for debugging')
     .option('--no-merge', 'Disable auto-merge after upload completion')
+    .option('--sampling <strategy>', 'Audio sampling strategy: ratio, full, patches, middle or random')
+    .option('--keep-ratio <ratio>', 'Share of the track to analyse (ratio strategy)')
+    .option('--patches <count>', 'Number of patches (patches and random strategies)')
+    .option('--seconds <seconds>', 'Length of the analysed excerpt (middle strategy)')
+    .option('--seed <seed>', 'Random seed (random strategy)')
+    .option('--no-trim', 'Do not discard the first and last 10% of each track')
+    .option('--tempo <backend>', 'Tempo backend: percival, rhythm2013-multifeature, rhythm2013-degara or tempocnn')
+    .option('--tempo-candidates', 'Add half/double-tempo candidate columns to the CSV')
+    .option('--key-profile <profile>', 'Key profile: bgate, braw, edma, edmm, krumhansl, temperley, ... (see KEY_PROFILES)')
+    .option('--key-notation <notation>', 'Add a key column in camelot or openkey notation')
+    .option('--descriptors', 'Compute loudness, dynamics and spectral descriptors')
+    .option('--tags', 'Add artist, title, album, year, ISRC and duration columns from the files\' tags')
+    .option('--min-duration <seconds>', 'Flag inputs shorter than this in the report')
+    .option('--sample-rates <rates>', 'Comma-separated sample rates not flagged in the report')
+    .option('--top-k <count>', 'Add the most probable labels of each multi-class/multi-label model to the CSV')
+    .option('--format <format>', 'Results format: csv, json or ndjson')
+    .option('--db [path]', 'Upsert results into the SQLite results store (default path from config)')
+    .option('--force', 'Re-analyse files already analysed by an earlier run')
+    .option('--duplicates <policy>', 'Copies of the same audio: keep-all, skip or link')
+    .option('--near-duplicates', 'Also detect re-encoded copies from audio fingerprints')
     .action(async (directory, options) => {
         const processor = new BatchProcessor();
         
         try {
+            processor.applySamplingOptions(options);
+            processor.applyTempoOptions(options);
+            processor.applyKeyDetectionOptions(options);
+            processor.applyDescriptorOptions(options);
+            processor.applyTagOptions(options);
+            processor.applyAudioCheckOptions(options);
+            processor.applyPredictionOutputOptions(options);
+            processor.applyExportFormatOptions(options);
+            processor.applyResultsStoreOptions(options);
+            processor.applySkipAnalysedOptions(options);
+            processor.applyDuplicateOptions(options);
+            
             // Override browser settings based on options
             if (options.headless) {
                 processor.browser.config.headless = true;
@@ -614,6 +1288,88 @@ program
         }
     });
 
+program
+    .command('analyze')
+    .description('Analyze audio files directly in Node, without the web server or browser')
+    .argument('<directory>', 'Directory containing audio files to analyze')
+    .option('-b, --batch-size <size>', 'Number of files per batch CSV', '30')
+    .option('-c, --concurrency <workers>', 'Number of analysis worker threads (default: CPU count)')
+    .option('-s, --strict', 'Stop processing on first batch failure')
+    .option('--resume', 'Resume from previous processing state')
+    .option('--clear-state', 'Clear previous processing state before starting')
+    .option('--no-merge', 'Disable auto-merge after analysis completion')
+    .option('--sampling <strategy>', 'Audio sampling strategy: ratio, full, patches, middle or random')
+    .option('--keep-ratio <ratio>', 'Share of the track to analyse (ratio strategy)')
+    .option('--patches <count>', 'Number of patches (patches and random strategies)')
+    .option('--seconds <seconds>', 'Length of the analysed excerpt (middle strategy)')
+    .option('--seed <seed>', 'Random seed (random strategy)')
+    .option('--no-trim', 'Do not discard the first and last 10% of each track')
+    .option('--tempo <backend>', 'Tempo backend: percival, rhythm2013-multifeature, rhythm2013-degara or tempocnn')
+    .option('--tempo-candidates', 'Add half/double-tempo candidate columns to the CSV')
+    .option('--key-profile <profile>', 'Key profile: bgate, braw, edma, edmm, krumhansl, temperley, ... (see KEY_PROFILES)')
+    .option('--key-notation <notation>', 'Add a key column in camelot or openkey notation')
+    .option('--descriptors', 'Compute loudness, dynamics and spectral descriptors')
+    .option('--tags', 'Add artist, title, album, year, ISRC and duration columns from the files\' tags')
+    .option('--min-duration <seconds>', 'Flag inputs shorter than this in the report')
+    .option('--sample-rates <rates>', 'Comma-separated sample rates not flagged in the report')
+    .option('--top-k <count>', 'Add the most probable labels of each multi-class/multi-label model to the CSV')
+    .option('--embeddings', 'Export model embeddings (NPY) with a manifest linking them to the CSV rows')
+    .option('--embedding-model <model>', 'Model whose penultimate layer is exported (default: genre_dortmund)')
+    .option('--embedding-patches', 'Also export per-patch embeddings')
+    .option('--db [path]', 'Upsert results into the SQLite results store (default path from config)')
+    .option('--force', 'Re-analyse files already analysed by an earlier run')
+    .option('--duplicates <policy>', 'Copies of the same audio: keep-all, skip or link')
+    .option('--near-duplicates', 'Also detect re-encoded copies from audio fingerprints')
+    .action(async (directory, options) => {
+        const processor = new BatchProcessor();
+        
+        try {
+            processor.applySamplingOptions(options);
+            processor.applyTempoOptions(options);
+            processor.applyKeyDetectionOptions(options);
+            processor.applyDescriptorOptions(options);
+            processor.applyTagOptions(options);
+            processor.applyAudioCheckOptions(options);
+            processor.applyPredictionOutputOptions(options);
+            processor.applyEmbeddingOptions(options);
+            processor.applyResultsStoreOptions(options);
+            processor.applySkipAnalysedOptions(options);
+            processor.applyDuplicateOptions(options);
+            
+            processor.applyConcurrencyOptions(options);
+            
+            // Override merge settings (commander maps --no-merge to merge: false)
+            if (options.merge === false) {
+                processor.config.csvExport.mergeCSVs = false;
+                console.log(chalk.yellow('⚠️ Auto-merge disabled by --no-merge flag'));
+            }
+            
+            // Handle state management
+            if (options.clearState) {
+                await processor.fileManager.clearState();
+                console.log(chalk.blue('🗑️ Previous processing state cleared'));
+            } else if (options.resume) {
+                const loaded = await processor.fileManager.loadState();
+                if (loaded) {
+                    console.log(chalk.blue('📄 Resumed from previous processing state'));
+                } else {
+                    console.log(chalk.yellow('⚠️ No previous state found, starting fresh'));
+                }
+            }
+            
+            await processor.executeAnalyzeWorkflow(directory, {
+                batchSize: parseInt(options.batchSize),
+                strict: options.strict
+            });
+            
+        } catch (error) {
+            console.error(chalk.red.bold('\n❌ Analysis workflow failed:'), error.message);
+            process.exit(1);
+        } finally {
+            await processor.cleanup();
+        }
+    });
+
 program
     .command('process')
     .description('Process a directory of audio files (legacy batch processing)')
@@ -622,10 +1378,16 @@ program
     .option('-s, --strict', 'Stop processing on first batch failure')
     .option('--resume', 'Resume from previous processing state')
     .option('--clear-state', 'Clear previous processing state before starting')
+    .option('--force', 'Re-analyse files already analysed by an earlier run')
+    .option('--duplicates <policy>', 'Copies of the same audio: keep-all, skip or link')
+    .option('--near-duplicates', 'Also detect re-encoded copies from audio fingerprints')
     .action(async (directory, options) => {
         const processor = new BatchProcessor();
         
         try {
+            processor.applySkipAnalysedOptions(options);
+            processor.applyDuplicateOptions(options);
+            
             // Handle state management
             if (options.clearState) {
                 await processor.fileManager.clearState();
@@ -679,10 +1441,15 @@ program
     .command('discover')
     .description('Discover and analyze audio files in a directory')
     .argument('<directory>', 'Directory to analyze')
-    .action(async (directory) => {
+    .option('--force', 'Also count files already analysed by an earlier run')
+    .option('--duplicates <policy>', 'Copies of the same audio: keep-all, skip or link')
+    .option('--near-duplicates', 'Also detect re-encoded copies from audio fingerprints')
+    .action(async (directory, options) => {
         const processor = new BatchProcessor();
         
         try {
+            processor.applySkipAnalysedOptions(options);
+            processor.applyDuplicateOptions(options);
             console.log(chalk.blue('🔍 Discovering audio files...'));
             
             const discovery = await processor.fileManager.discoverFiles(directory);
@@ -40,6 +40,7 @@ class BrowserAutomation {
             loader: '#loader',
             loaderText: '.ui.indeterminate.text.loader',
             csvDownloadBtn: '#csv-download-btn',
+            jsonDownloadBtn: '#json-download-btn',
             csvExportFeedback: '#csv-export-feedback',
             trackList: '#track-list',
             trackListItems: '#track-list li',
@@ -102,7 +103,7 @@ class BrowserAutomation {
             this.page.setDefaultNavigationTimeout(this.config.navigationTimeout);
             
             // Navigate to the MIR application (no logging)
-            await this.page.goto(serverUrl, { waitUntil: 'networkidle' });
+            await this.page.goto(this.buildAppUrl(serverUrl), { waitUntil: 'networkidle' });
             
             // Wait for key elements to be ready (no logging)
             await this.waitForAppReady();
@@ -138,6 +139,46 @@ class BrowserAutomation {
         }
     }
     
+    // Pass the sampling strategy, tempo backend, key detection, descriptor, tag, top-k label and export format settings to the web app
+    // as URL parameters (read in src/main.js)
+    buildAppUrl(serverUrl) {
+        const sampling = this.config.sampling || {};
+        const tempo = this.config.tempo || {};
+        const keyDetection = this.config.keyDetection || {};
+        const descriptors = this.config.descriptors || {};
+        const tags = this.config.tags || {};
+        const predictions = this.config.predictions || {};
+        // the JSON button writes JSON or NDJSON, the CSV button is unaffected
+        const format = ['json', 'ndjson'].includes(this.config.format) ? this.config.format : undefined;
+        
+        const url = new URL(serverUrl);
+        const params = {
+            sampling: sampling.strategy,
+            keep: sampling.keepRatio,
+            trim: sampling.trim,
+            patches: sampling.numPatches,
+            seconds: sampling.seconds,
+            seed: sampling.seed,
+            tempo: tempo.backend,
+            candidates: tempo.candidates,
+            keyProfile: keyDetection.profile,
+            keyNotation: keyDetection.notation,
+            descriptors: descriptors.enabled,
+            tags: tags.enabled,
+            topK: predictions.topK,
+            format,
+            // the page is reloaded between batches, restored history would end up in the next batch's download
+            history: false
+        };
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                url.searchParams.set(key, String(value));
+            }
+        });
+        
+        return url.toString();
+    }
+    
     async waitForAppReady() {
         // Reduced logging - no need to announce this step
         
@@ -495,9 +536,9 @@ class BrowserAutomation {
         }
     }
     
-    async isCSVDownloadReady() {
+    async isCSVDownloadReady(format = 'csv') {
         try {
-            const csvBtn = await this.page.locator(this.selectors.csvDownloadBtn);
+            const csvBtn = await this.page.locator(this.getDownloadButtonSelector(format));
             const isVisible = await csvBtn.isVisible();
             const isEnabled = await csvBtn.isEnabled();
             const classes = await csvBtn.getAttribute('class') || '';
@@ -509,30 +550,40 @@ class BrowserAutomation {
         }
     }
     
+    // CSV comes from the CSV button, JSON and NDJSON from the JSON button (format set through buildAppUrl)
+    getDownloadButtonSelector(format = 'csv') {
+        return format === 'csv' ? this.selectors.csvDownloadBtn : this.selectors.jsonDownloadBtn;
+    }
+    
     async downloadCSV(downloadPath = './downloads') {
+        return this.downloadResults(downloadPath, 'csv');
+    }
+    
+    async downloadResults(downloadPath = './downloads', format = 'csv') {
+        const label = format.toUpperCase();
         try {
-            console.log(chalk.blue('📥 Downloading CSV results...'));
+            console.log(chalk.blue(`📥 Downloading ${label} results...`));
             
             // Ensure download directory exists
             await fs.ensureDir(downloadPath);
             
-            // Verify CSV download is ready
-            if (!(await this.isCSVDownloadReady())) {
-                throw new Error('CSV download button is not ready or enabled');
+            // Verify download is ready
+            if (!(await this.isCSVDownloadReady(format))) {
+                throw new Error(`${label} download button is not ready or enabled`);
             }
             
             // Set up download promise before clicking
             const downloadPromise = this.page.waitForEvent('download');
             
-            // Click the CSV download button
-            await this.page.locator(this.selectors.csvDownloadBtn).click();
+            // Click the download button
+            await this.page.locator(this.getDownloadButtonSelector(format)).click();
             
             // Wait for download to start
             const download = await downloadPromise;
             
             // Generate filename with timestamp
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const filename = `music_analysis_${timestamp}.csv`;
+            const filename = `music_analysis_${timestamp}.${format}`;
             const fullPath = path.join(downloadPath, filename);
             
             // Save the download
@@ -546,10 +597,10 @@ class BrowserAutomation {
             
             const stats = await fs.stat(fullPath);
             if (stats.size === 0) {
-                throw new Error('Downloaded CSV file is empty');
+                throw new Error(`Downloaded ${label} file is empty`);
             }
             
-            console.log(chalk.green(`✓ CSV downloaded: ${filename} (${Math.round(stats.size / 1024)}KB)`));
+            console.log(chalk.green(`✓ ${label} downloaded: ${filename} (${Math.round(stats.size / 1024)}KB)`));
             
             return {
                 success: true,
@@ -559,7 +610,7 @@ class BrowserAutomation {
             };
             
         } catch (error) {
-            console.error(chalk.red('CSV download failed:'), error.message);
+            console.error(chalk.red(`${label} download failed:`), error.message);
             throw error;
         }
     }
@@ -0,0 +1,743 @@
+import fs from 'fs-extra';
+import { EXPORT_FORMATS } from '../src/jsonExport.js';
+
+const COLUMNAR_FORMATS = ['arrow', 'parquet'];
+
+// formats CSVMerger can write: the export formats, plus the columnar ones built from batch CSVs
+const MERGE_OUTPUT_FORMATS = [...EXPORT_FORMATS, ...COLUMNAR_FORMATS];
+
+const ARROW_MAGIC = Buffer.from('ARROW1');
+const PARQUET_MAGIC = Buffer.from('PAR1');
+
+// Arrow flatbuffer enums (Schema.fbs, Message.fbs)
+const ARROW_METADATA_V5 = 4;
+const ARROW_TYPE = { Int: 2, FloatingPoint: 3, Utf8: 5 };
+const ARROW_HEADER = { Schema: 1, RecordBatch: 3 };
+const ARROW_DOUBLE_PRECISION = 2;
+
+// Parquet thrift enums (parquet.thrift)
+const PARQUET_TYPE = { INT64: 2, DOUBLE: 5, BYTE_ARRAY: 6 };
+const PARQUET_OPTIONAL = 1;
+const PARQUET_UTF8 = 0;
+const PARQUET_ENCODING = { PLAIN: 0, RLE: 3 };
+const PARQUET_UNCOMPRESSED = 0;
+const PARQUET_DATA_PAGE = 0;
+
+// thrift compact protocol type ids
+const THRIFT = { TRUE: 1, FALSE: 2, I32: 5, I64: 6, BINARY: 8, LIST: 9, STRUCT: 12 };
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Growable little-endian byte buffer
+ */
+class ByteWriter {
+    constructor(size = 1024) {
+        this.buffer = Buffer.alloc(size);
+        this.length = 0;
+    }
+
+    reserve(bytes) {
+        if (this.length + bytes <= this.buffer.length) return;
+        const grown = Buffer.alloc(Math.max(this.buffer.length * 2, this.length + bytes));
+        this.buffer.copy(grown, 0, 0, this.length);
+        this.buffer = grown;
+    }
+
+    align(alignment) {
+        this.pad((alignment - (this.length % alignment)) % alignment);
+    }
+
+    pad(bytes) {
+        this.reserve(bytes);
+        this.buffer.fill(0, this.length, this.length + bytes);
+        this.length += bytes;
+    }
+
+    uint8(value) { this.reserve(1); this.buffer.writeUInt8(value, this.length); this.length += 1; }
+    int16(value) { this.reserve(2); this.buffer.writeInt16LE(value, this.length); this.length += 2; }
+    int32(value) { this.reserve(4); this.buffer.writeInt32LE(value, this.length); this.length += 4; }
+    uint32(value) { this.reserve(4); this.buffer.writeUInt32LE(value, this.length); this.length += 4; }
+    int64(value) { this.reserve(8); this.buffer.writeBigInt64LE(BigInt(value), this.length); this.length += 8; }
+    float64(value) { this.reserve(8); this.buffer.writeDoubleLE(value, this.length); this.length += 8; }
+
+    bytes(data) {
+        this.reserve(data.length);
+        this.buffer.set(data, this.length);
+        this.length += data.length;
+    }
+
+    // zigzag-free unsigned LEB128, numbers up to 2^53
+    varint(value) {
+        while (value >= 0x80) {
+            this.uint8((value % 0x80) | 0x80);
+            value = Math.floor(value / 0x80);
+        }
+        this.uint8(value);
+    }
+
+    patchUint32(position, value) {
+        this.buffer.writeUInt32LE(value, position);
+    }
+
+    toBuffer() {
+        return this.buffer.subarray(0, this.length);
+    }
+}
+
+/*
+    Minimal FlatBuffers encoder for the Arrow IPC metadata.
+    Objects are laid out front to back (each table preceded by its vtable, children after their parent),
+    so every uoffset points forward as the format requires.
+    - table:  { table: [field, ...] }, field ids by position, null for absent fields
+    - field:  { int8|int16|int32|int64|bool: value } or a child object
+    - string: { string: '...' }
+    - vector: { vector: [child, ...] } or { structs: [[int64, ...], ...] } (structs of 8-byte members)
+*/
+const SCALAR_SIZES = { bool: 1, int8: 1, int16: 2, int32: 4, int64: 8 };
+
+function encodeFlatBuffer(root) {
+    const writer = new ByteWriter();
+    writer.uint32(0); // root offset, patched below
+    writer.patchUint32(0, writeFlatObject(writer, root));
+    return writer.toBuffer();
+}
+
+function writeFlatObject(writer, object) {
+    if (object.string !== undefined) {
+        const encoded = textEncoder.encode(object.string);
+        writer.align(4);
+        const position = writer.length;
+        writer.uint32(encoded.length);
+        writer.bytes(encoded);
+        writer.uint8(0);
+        return position;
+    }
+
+    if (object.structs !== undefined) {
+        // struct elements must be 8-byte aligned, right after the length
+        while ((writer.length + 4) % 8 !== 0) writer.uint8(0);
+        const position = writer.length;
+        writer.uint32(object.structs.length);
+        object.structs.forEach(members => members.forEach(member => writer.int64(member)));
+        return position;
+    }
+
+    if (object.vector !== undefined) {
+        writer.align(4);
+        const position = writer.length;
+        writer.uint32(object.vector.length);
+        const slots = object.vector.map(() => {
+            const slot = writer.length;
+            writer.uint32(0);
+            return slot;
+        });
+        object.vector.forEach((child, i) => {
+            writer.patchUint32(slots[i], writeFlatObject(writer, child) - slots[i]);
+        });
+        return position;
+    }
+
+    return writeFlatTable(writer, object.table);
+}
+
+function writeFlatTable(writer, fields) {
+    // inline layout: soffset to the vtable, then fields by decreasing size so each stays aligned
+    const layout = fields
+        .map((field, id) => {
+            if (!field) return null;
+            const kind = Object.keys(field).find(key => SCALAR_SIZES[key]) || 'offset';
+            return { id, field, kind, size: SCALAR_SIZES[kind] || 4 };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.size - a.size);
+
+    const tableAlignment = Math.max(4, ...layout.map(entry => entry.size));
+    let inlineSize = 4;
+    layout.forEach((entry) => {
+        inlineSize += (entry.size - (inlineSize % entry.size)) % entry.size;
+        entry.offset = inlineSize;
+        inlineSize += entry.size;
+    });
+
+    const vtableSize = 4 + 2 * fields.length;
+    writer.align(2);
+    // the table start has to be aligned, so pad before the vtable instead of between them
+    while ((writer.length + vtableSize) % tableAlignment !== 0) writer.uint8(0);
+    const vtablePosition = writer.length;
+    writer.int16(vtableSize);
+    writer.int16(inlineSize);
+    const fieldOffsets = new Array(fields.length).fill(0);
+    layout.forEach((entry) => { fieldOffsets[entry.id] = entry.offset; });
+    fieldOffsets.forEach(offset => writer.int16(offset));
+
+    const tablePosition = writer.length;
+    writer.int32(tablePosition - vtablePosition);
+    const children = [];
+    layout.forEach((entry) => {
+        writer.pad(tablePosition + entry.offset - writer.length);
+        const value = entry.field[entry.kind];
+        switch (entry.kind) {
+            case 'bool': writer.uint8(value ? 1 : 0); break;
+            case 'int8': writer.uint8(value); break;
+            case 'int16': writer.int16(value); break;
+            case 'int32': writer.int32(value); break;
+            case 'int64': writer.int64(value); break;
+            default:
+                children.push({ slot: writer.length, child: entry.field });
+                writer.uint32(0);
+        }
+    });
+    writer.pad(tablePosition + inlineSize - writer.length);
+
+    children.forEach(({ slot, child }) => {
+        writer.patchUint32(slot, writeFlatObject(writer, child) - slot);
+    });
+    return tablePosition;
+}
+
+/**
+ * Minimal thrift compact protocol encoder for the Parquet metadata.
+ * Structs are arrays of [fieldId, type, value] in increasing field id order.
+ */
+function writeThriftStruct(writer, fields) {
+    let lastId = 0;
+    fields.forEach(([id, type, value]) => {
+        if (value === undefined || value === null) return;
+        const wireType = type === 'bool' ? (value ? THRIFT.TRUE : THRIFT.FALSE) : THRIFT[type];
+        const delta = id - lastId;
+        if (delta > 0 && delta <= 15) {
+            writer.uint8((delta << 4) | wireType);
+        } else {
+            writer.uint8(wireType);
+            writer.varint(zigzag(id));
+        }
+        lastId = id;
+        if (type !== 'bool') writeThriftValue(writer, type, value);
+    });
+    writer.uint8(0); // STOP
+}
+
+function writeThriftValue(writer, type, value) {
+    switch (type) {
+        case 'I32':
+        case 'I64':
+            writer.varint(zigzag(value));
+            break;
+        case 'BINARY': {
+            const encoded = textEncoder.encode(value);
+            writer.varint(encoded.length);
+            writer.bytes(encoded);
+            break;
+        }
+        case 'STRUCT':
+            writeThriftStruct(writer, value);
+            break;
+        case 'LIST': {
+            const [elementType, items] = value;
+            if (items.length < 15) {
+                writer.uint8((items.length << 4) | THRIFT[elementType]);
+            } else {
+                writer.uint8(0xf0 | THRIFT[elementType]);
+                writer.varint(items.length);
+            }
+            items.forEach(item => writeThriftValue(writer, elementType, item));
+            break;
+        }
+    }
+}
+
+function zigzag(value) {
+    return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+/**
+ * Typed columnar output (Apache Arrow IPC file and Parquet) for merged results.
+ * Rows are the objects read from the batch CSVs; every column becomes a nullable column of
+ * string, float64 or int64 values, empty cells become nulls. Both formats are written in one
+ * record batch / row group, uncompressed, with plain encodings.
+ */
+class ColumnarWriter {
+    constructor(config = {}) {
+        this.config = {
+            // text columns of the results and segment CSVs (and the merge metadata); the rest is numeric
+            stringColumns: [
+                'filename', 'channel_layout', 'key', 'key_camelot', 'key_openkey', 'sampling', 'analyzed_at', 'run_id',
+                'track', 'model', '_batch_source', '_original_batch', '_duplicate', 'duplicate_of',
+                'tag_artist', 'tag_title', 'tag_album', 'tag_isrc'
+            ],
+            stringColumnSuffixes: ['_top'],
+            integerColumns: ['sample_rate', 'channels', '_processing_order'],
+            createdBy: 'mir-automation-framework',
+            ...config
+        };
+    }
+
+    /**
+     * Column names and types of a set of rows. Declared columns keep their type; other columns are
+     * float64 when every non-empty value is a number, string otherwise.
+     * @param {Array<Object>} rows - Merged rows
+     * @returns {Array<Object>} { name, type } per column, type is `string`, `float64` or `int64`
+     */
+    inferSchema(rows) {
+        const names = [];
+        rows.forEach((row) => {
+            Object.keys(row).forEach((name) => {
+                if (!names.includes(name)) names.push(name);
+            });
+        });
+
+        return names.map((name) => {
+            if (this.config.stringColumns.includes(name) || this.config.stringColumnSuffixes.some(suffix => name.endsWith(suffix))) {
+                return { name, type: 'string' };
+            }
+            if (this.config.integerColumns.includes(name)) {
+                return { name, type: 'int64' };
+            }
+            const numeric = rows.every((row) => {
+                const value = row[name];
+                return isEmpty(value) || Number.isFinite(Number(value));
+            });
+            return { name, type: numeric ? 'float64' : 'string' };
+        });
+    }
+
+    /**
+     * Column values of the rows, null for empty cells
+     */
+    buildColumns(rows, schema) {
+        return schema.map(({ name, type }) => ({
+            name,
+            type,
+            values: rows.map((row) => {
+                const value = row[name];
+                if (isEmpty(value)) return null;
+                if (type === 'string') return String(value);
+                return type === 'int64' ? Math.round(Number(value)) : Number(value);
+            })
+        }));
+    }
+
+    /**
+     * Encodes rows as an Arrow IPC file (Feather v2)
+     * @param {Array<Object>} rows - Merged rows
+     * @returns {Buffer} File content
+     */
+    writeArrow(rows) {
+        const schema = this.inferSchema(rows);
+        const columns = this.buildColumns(rows, schema);
+        const writer = new ByteWriter(1 << 16);
+        const schemaTable = { table: [{ int16: 0 }, { vector: schema.map(arrowField) }] };
+
+        writer.bytes(ARROW_MAGIC);
+        writer.pad(2);
+
+        this.writeArrowMessage(writer, ARROW_HEADER.Schema, schemaTable, Buffer.alloc(0));
+
+        // record batch body: validity bitmap, (offsets,) data per column, each 8-byte aligned
+        const body = new ByteWriter(1 << 16);
+        const nodes = [];
+        const buffers = [];
+        const addBuffer = (data) => {
+            body.align(8);
+            buffers.push([body.length, data.length]);
+            body.bytes(data);
+        };
+        columns.forEach((column) => {
+            const nullCount = column.values.filter(value => value === null).length;
+            nodes.push([rows.length, nullCount]);
+            addBuffer(validityBitmap(column.values));
+            if (column.type === 'string') {
+                const { offsets, data } = utf8Buffers(column.values);
+                addBuffer(offsets);
+                addBuffer(data);
+            } else {
+                addBuffer(fixedWidthBuffer(column.values, column.type));
+            }
+        });
+        body.align(8);
+
+        const recordBatch = {
+            table: [{ int64: rows.length }, { structs: nodes }, { structs: buffers }]
+        };
+        const block = this.writeArrowMessage(writer, ARROW_HEADER.RecordBatch, recordBatch, body.toBuffer());
+
+        // end-of-stream marker, then the footer pointing at the schema and the record batch
+        writer.uint32(0xffffffff);
+        writer.uint32(0);
+        const footer = encodeFlatBuffer({
+            table: [
+                { int16: ARROW_METADATA_V5 },
+                schemaTable,
+                { structs: [] },
+                { structs: [[block.offset, block.metadataLength, block.bodyLength]] }
+            ]
+        });
+        writer.bytes(footer);
+        writer.int32(footer.length);
+        writer.bytes(ARROW_MAGIC);
+
+        return writer.toBuffer();
+    }
+
+    // Encapsulated message: continuation marker, metadata length, Message flatbuffer (padded to 8), body
+    writeArrowMessage(writer, headerType, header, body) {
+        const offset = writer.length;
+        const message = encodeFlatBuffer({
+            table: [{ int16: ARROW_METADATA_V5 }, { int8: headerType }, header, { int64: body.length }]
+        });
+        const paddedLength = Math.ceil((message.length + 8) / 8) * 8 - 8;
+
+        writer.uint32(0xffffffff);
+        writer.int32(paddedLength);
+        writer.bytes(message);
+        writer.pad(paddedLength - message.length);
+        writer.bytes(body);
+
+        return { offset, metadataLength: paddedLength + 8, bodyLength: body.length };
+    }
+
+    /**
+     * Encodes rows as a Parquet file
+     * @param {Array<Object>} rows - Merged rows
+     * @returns {Buffer} File content
+     */
+    writeParquet(rows) {
+        const schema = this.inferSchema(rows);
+        const columns = this.buildColumns(rows, schema);
+        const writer = new ByteWriter(1 << 16);
+        writer.bytes(PARQUET_MAGIC);
+
+        const columnChunks = columns.map((column) => {
+            const physicalType = PARQUET_TYPE[{ string: 'BYTE_ARRAY', float64: 'DOUBLE', int64: 'INT64' }[column.type]];
+            const page = new ByteWriter(1 << 12);
+
+            // definition levels (1 = value present) as RLE runs, prefixed by their length
+            const levels = definitionLevels(column.values);
+            page.uint32(levels.length);
+            page.bytes(levels);
+            column.values.forEach((value) => {
+                if (value === null) return;
+                if (column.type === 'string') {
+                    const encoded = textEncoder.encode(value);
+                    page.uint32(encoded.length);
+                    page.bytes(encoded);
+                } else if (column.type === 'int64') {
+                    page.int64(value);
+                } else {
+                    page.float64(value);
+                }
+            });
+            const pageData = page.toBuffer();
+
+            const pageHeader = new ByteWriter(64);
+            writeThriftStruct(pageHeader, [
+                [1, 'I32', PARQUET_DATA_PAGE],
+                [2, 'I32', pageData.length],
+                [3, 'I32', pageData.length],
+                [5, 'STRUCT', [
+                    [1, 'I32', rows.length],
+                    [2, 'I32', PARQUET_ENCODING.PLAIN],
+                    [3, 'I32', PARQUET_ENCODING.RLE],
+                    [4, 'I32', PARQUET_ENCODING.RLE]
+                ]]
+            ]);
+
+            const offset = writer.length;
+            writer.bytes(pageHeader.toBuffer());
+            writer.bytes(pageData);
+            const size = writer.length - offset;
+
+            return [
+                [2, 'I64', offset],
+                [3, 'STRUCT', [
+                    [1, 'I32', physicalType],
+                    [2, 'LIST', ['I32', [PARQUET_ENCODING.PLAIN, PARQUET_ENCODING.RLE]]],
+                    [3, 'LIST', ['BINARY', [column.name]]],
+                    [4, 'I32', PARQUET_UNCOMPRESSED],
+                    [5, 'I64', rows.length],
+                    [6, 'I64', size],
+                    [7, 'I64', size],
+                    [9, 'I64', offset]
+                ]]
+            ];
+        });
+
+        const totalByteSize = writer.length - PARQUET_MAGIC.length;
+        const schemaElements = [
+            [[4, 'BINARY', 'schema'], [5, 'I32', columns.length]],
+            ...columns.map(column => [
+                [1, 'I32', PARQUET_TYPE[{ string: 'BYTE_ARRAY', float64: 'DOUBLE', int64: 'INT64' }[column.type]]],
+                [3, 'I32', PARQUET_OPTIONAL],
+                [4, 'BINARY', column.name],
+                [6, 'I32', column.type === 'string' ? PARQUET_UTF8 : null],
+                [10, 'STRUCT', column.type === 'string' ? [[1, 'STRUCT', []]] : null]
+            ])
+        ];
+
+        const metadata = new ByteWriter(1 << 12);
+        writeThriftStruct(metadata, [
+            [1, 'I32', 1],
+            [2, 'LIST', ['STRUCT', schemaElements]],
+            [3, 'I64', rows.length],
+            [4, 'LIST', ['STRUCT', [[
+                [1, 'LIST', ['STRUCT', columnChunks]],
+                [2, 'I64', totalByteSize],
+                [3, 'I64', rows.length]
+            ]]]],
+            [6, 'BINARY', this.config.createdBy]
+        ]);
+        writer.bytes(metadata.toBuffer());
+        writer.uint32(metadata.length);
+        writer.bytes(PARQUET_MAGIC);
+
+        return writer.toBuffer();
+    }
+
+    /**
+     * Writes rows to an Arrow or Parquet file
+     * @param {string} filePath - Output path
+     * @param {Array<Object>} rows - Merged rows
+     * @param {string} format - `arrow` or `parquet`
+     */
+    async writeFile(filePath, rows, format) {
+        if (!COLUMNAR_FORMATS.includes(format)) {
+            throw new RangeError(`Unknown columnar format "${format}", expected one of: ${COLUMNAR_FORMATS.join(', ')}`);
+        }
+        const content = format === 'arrow' ? this.writeArrow(rows) : this.writeParquet(rows);
+        await fs.writeFile(filePath, content);
+        return content.length;
+    }
+
+    /**
+     * Number of rows of an Arrow or Parquet file written by writeFile, read from its footer
+     * @param {string} filePath - File path
+     * @param {string} format - `arrow` or `parquet`
+     * @returns {Promise<number>} Row count
+     */
+    async countRows(filePath, format) {
+        const content = await fs.readFile(filePath);
+        const magic = format === 'arrow' ? ARROW_MAGIC : PARQUET_MAGIC;
+        if (!content.subarray(0, magic.length).equals(magic) || !content.subarray(content.length - magic.length).equals(magic)) {
+            throw new Error(`Not a ${format} file`);
+        }
+
+        if (format === 'arrow') {
+            // the single record batch's length is the first field of its RecordBatch table
+            const footerLength = content.readInt32LE(content.length - magic.length - 4);
+            const footer = content.subarray(content.length - magic.length - 4 - footerLength, content.length - magic.length - 4);
+            const recordBatches = readFlatVector(footer, readFlatField(footer, readFlatRoot(footer), 3));
+            const blockOffset = Number(footer.readBigInt64LE(recordBatches));
+            const message = content.subarray(blockOffset + 8);
+            const header = readFlatField(message, readFlatRoot(message), 2);
+            return Number(message.readBigInt64LE(readFlatFieldPosition(message, header, 0)));
+        }
+
+        // num_rows is field 3 of FileMetaData, right after the schema list
+        return parquetRowCount(content);
+    }
+}
+
+function normalizeMergeOutputFormat(format) {
+    const normalized = (format === undefined || format === null || format === '') ? 'csv' : String(format).toLowerCase();
+    if (!MERGE_OUTPUT_FORMATS.includes(normalized)) {
+        throw new RangeError(`Unknown merge output format "${format}", expected one of: ${MERGE_OUTPUT_FORMATS.join(', ')}`);
+    }
+    return normalized;
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function arrowField({ name, type }) {
+    const arrowType = {
+        string: [ARROW_TYPE.Utf8, { table: [] }],
+        float64: [ARROW_TYPE.FloatingPoint, { table: [{ int16: ARROW_DOUBLE_PRECISION }] }],
+        int64: [ARROW_TYPE.Int, { table: [{ int32: 64 }, { bool: true }] }]
+    }[type];
+    return {
+        table: [{ string: name }, { bool: true }, { int8: arrowType[0] }, arrowType[1], null, { vector: [] }]
+    };
+}
+
+function validityBitmap(values) {
+    const bitmap = Buffer.alloc(Math.ceil(values.length / 8));
+    values.forEach((value, i) => {
+        if (value !== null) bitmap[i >> 3] |= 1 << (i & 7);
+    });
+    return bitmap;
+}
+
+function utf8Buffers(values) {
+    const encoded = values.map(value => (value === null ? new Uint8Array(0) : textEncoder.encode(value)));
+    const offsets = Buffer.alloc(4 * (values.length + 1));
+    let position = 0;
+    encoded.forEach((bytes, i) => {
+        position += bytes.length;
+        offsets.writeInt32LE(position, 4 * (i + 1));
+    });
+    const data = Buffer.alloc(position);
+    position = 0;
+    encoded.forEach((bytes) => {
+        data.set(bytes, position);
+        position += bytes.length;
+    });
+    return { offsets, data };
+}
+
+function fixedWidthBuffer(values, type) {
+    const data = Buffer.alloc(8 * values.length);
+    values.forEach((value, i) => {
+        if (value === null) return; // slot is masked by the validity bitmap
+        if (type === 'int64') {
+            data.writeBigInt64LE(BigInt(value), 8 * i);
+        } else {
+            data.writeDoubleLE(value, 8 * i);
+        }
+    });
+    return data;
+}
+
+function definitionLevels(values) {
+    // RLE/bit-packing hybrid with bit width 1, written as RLE runs only
+    const writer = new ByteWriter(16);
+    let i = 0;
+    while (i < values.length) {
+        const level = values[i] === null ? 0 : 1;
+        let run = 1;
+        while (i + run < values.length && (values[i + run] === null ? 0 : 1) === level) run++;
+        writer.varint(run * 2);
+        writer.uint8(level);
+        i += run;
+    }
+    return writer.toBuffer();
+}
+
+function readFlatRoot(buffer) {
+    return buffer.readUInt32LE(0);
+}
+
+function readFlatFieldPosition(buffer, table, id) {
+    const vtable = table - buffer.readInt32LE(table);
+    const vtableSize = buffer.readUInt16LE(vtable);
+    const offset = 4 + 2 * id < vtableSize ? buffer.readUInt16LE(vtable + 4 + 2 * id) : 0;
+    if (offset === 0) throw new Error(`Missing flatbuffer field ${id}`);
+    return table + offset;
+}
+
+function readFlatField(buffer, table, id) {
+    const position = readFlatFieldPosition(buffer, table, id);
+    return position + buffer.readUInt32LE(position);
+}
+
+function readFlatVector(buffer, vector) {
+    if (buffer.readUInt32LE(vector) === 0) throw new Error('Arrow file has no record batch');
+    return vector + 4;
+}
+
+function parquetRowCount(content) {
+    const metadataLength = content.readUInt32LE(content.length - 8);
+    const reader = new ThriftReader(content.subarray(content.length - 8 - metadataLength, content.length - 8));
+    let numRows = null;
+    reader.readStruct((id) => {
+        if (id === 3) {
+            numRows = reader.readVarint();
+            numRows = numRows % 2 === 0 ? numRows / 2 : -(numRows + 1) / 2;
+            return true;
+        }
+        return false;
+    });
+    if (numRows === null) throw new Error('Parquet metadata has no row count');
+    return numRows;
+}
+
+/**
+ * Just enough of a thrift compact reader to skip over FileMetaData fields
+ */
+class ThriftReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.position = 0;
+    }
+
+    readByte() {
+        return this.buffer[this.position++];
+    }
+
+    readVarint() {
+        let value = 0;
+        let multiplier = 1;
+        let byte;
+        do {
+            byte = this.readByte();
+            value += (byte & 0x7f) * multiplier;
+            multiplier *= 0x80;
+        } while (byte & 0x80);
+        return value;
+    }
+
+    // calls visit(id, type) per field, which returns true when it consumed the value
+    readStruct(visit) {
+        let lastId = 0;
+        for (;;) {
+            const header = this.readByte();
+            if (header === 0) return;
+            const type = header & 0x0f;
+            const delta = header >> 4;
+            let id;
+            if (delta === 0) {
+                id = this.readVarint();
+                id = id % 2 === 0 ? id / 2 : -(id + 1) / 2;
+            } else {
+                id = lastId + delta;
+            }
+            lastId = id;
+            if (!visit(id, type)) this.skip(type);
+        }
+    }
+
+    skip(type) {
+        switch (type) {
+            case THRIFT.TRUE:
+            case THRIFT.FALSE:
+                return;
+            case 3: // byte
+                this.position++;
+                return;
+            case 4: // i16
+            case THRIFT.I32:
+            case THRIFT.I64:
+                this.readVarint();
+                return;
+            case 7: // double
+                this.position += 8;
+                return;
+            case THRIFT.BINARY: {
+                const length = this.readVarint();
+                this.position += length;
+                return;
+            }
+            case THRIFT.LIST:
+            case 10: { // set
+                const header = this.readByte();
+                const size = (header >> 4) === 15 ? this.readVarint() : header >> 4;
+                const elementType = header & 0x0f;
+                for (let i = 0; i < size; i++) {
+                    // booleans inside lists take one byte each
+                    if (elementType === THRIFT.TRUE || elementType === THRIFT.FALSE) this.position++;
+                    else this.skip(elementType);
+                }
+                return;
+            }
+            case THRIFT.STRUCT:
+                this.readStruct(() => false);
+                return;
+            default:
+                throw new Error(`Unsupported thrift type ${type}`);
+        }
+    }
+}
+
+export { COLUMNAR_FORMATS, MERGE_OUTPUT_FORMATS, normalizeMergeOutputFormat };
+export default ColumnarWriter;
@@ -5,6 +5,8 @@ import { glob } from 'glob';
 import csvParser from 'csv-parser';
 import { createReadStream, createWriteStream } from 'fs';
 import { pipeline } from 'stream/promises';
+import { parseRecords, serializeRecords } from '../src/jsonExport.js';
+import ColumnarWriter, { COLUMNAR_FORMATS, normalizeMergeOutputFormat } from './columnar-writer.js';
 
 export default class CSVMerger {
     constructor(config = {}) {
@@ -20,8 +22,11 @@ export default class CSVMerger {
             encoding: 'utf8',
             includeMetadata: false,
             maxMemoryUsage: 536870912, // 512MB
+            outputFormat: 'csv', // 'csv', 'json'/'ndjson' to merge the batch record files of `upload --format`, or 'arrow'/'parquet'
             ...config
         };
+        this.config.outputFormat = normalizeMergeOutputFormat(this.config.outputFormat);
+        this.columnarWriter = new ColumnarWriter();
 
         this.expectedSchema = [
             'Filename',
@@ -107,6 +112,22 @@ export default class CSVMerger {
         }
     }
 
+    /**
+     * Format of the batch files: Arrow and Parquet are typed columnar copies of the merged batch CSVs
+     */
+    get inputFormat() {
+        return COLUMNAR_FORMATS.includes(this.config.outputFormat) ? 'csv' : this.config.outputFormat;
+    }
+
+    /**
+     * Swaps the `.csv` extension of a configured file name or pattern for the given format's
+     */
+    withFormatExtension(filename, format = this.config.outputFormat) {
+        return format === 'csv'
+            ? filename
+            : filename.replace(/\.csv$/i, `.${format}`);
+    }
+
     /**
      * Discover batch CSV files in the configured directory
      */
@@ -118,7 +139,7 @@ export default class CSVMerger {
             await fs.ensureDir(this.config.inputDirectory);
 
             // Find batch CSV files using glob pattern
-            const pattern = path.join(this.config.inputDirectory, this.config.batchFilenamePattern);
+            const pattern = path.join(this.config.inputDirectory, this.withFormatExtension(this.config.batchFilenamePattern, this.inputFormat));
             const files = await glob(pattern, { absolute: true });
 
             // Sort files by batch number for proper sequential processing
@@ -173,6 +194,17 @@ export default class CSVMerger {
                     continue;
                 }
 
+                // JSON/NDJSON records carry their structure, only check that they parse
+                if (this.inputFormat !== 'csv') {
+                    const records = await this.readBatchData(filePath);
+                    validationResults.validFiles.push({
+                        file: filePath,
+                        rowCount: records.length,
+                        size: stats.size
+                    });
+                    continue;
+                }
+
                 // Validate CSV schema by reading header
                 const header = await this.readCSVHeader(filePath);
                 const schemaValid = this.validateSchema(header);
@@ -310,7 +342,7 @@ export default class CSVMerger {
             try {
                 console.log(chalk.gray(`   Processing: ${path.basename(filePath)}`));
 
-                const batchData = await this.readCSVData(filePath);
+                const batchData = await this.readBatchData(filePath);
                 let batchRowsAdded = 0;
 
                 for (const row of batchData) {
@@ -384,6 +416,16 @@ export default class CSVMerger {
         return consolidatedData;
     }
 
+    /**
+     * Read the rows (CSV) or records (JSON/NDJSON) of a batch file
+     */
+    async readBatchData(filePath) {
+        if (this.inputFormat === 'csv') {
+            return this.readCSVData(filePath);
+        }
+        return parseRecords(await fs.readFile(filePath, this.config.encoding), this.inputFormat);
+    }
+
     /**
      * Read CSV data from file
      */
@@ -406,7 +448,7 @@ export default class CSVMerger {
      * Generate output CSV file
      */
     async generateOutputFile(consolidatedData) {
-        console.log(chalk.blue('📝 Generating unified CSV file...'));
+        console.log(chalk.blue(`📝 Generating unified ${this.config.outputFormat.toUpperCase()} file...`));
 
         try {
             // Ensure output directory exists
@@ -416,10 +458,11 @@ export default class CSVMerger {
             let filename;
             let outputPath;
             
-            if (this.config.outputFilename.includes('{number')) {
+            const outputFilename = this.withFormatExtension(this.config.outputFilename);
+            if (outputFilename.includes('{number')) {
                 // Use incremental numbering
                 const nextNumber = await this.getNextFileNumber();
-                filename = this.config.outputFilename
+                filename = outputFilename
                     .replace('{number:02d}', String(nextNumber).padStart(2, '0'))
                     .replace('{number}', String(nextNumber));
             } else {
@@ -428,7 +471,7 @@ export default class CSVMerger {
                 const dateStr = timestamp[0];
                 const timeStr = timestamp[1].split('.')[0].replace(/-/g, '');
                 
-                filename = this.config.outputFilename
+                filename = outputFilename
                     .replace('{timestamp}', `${dateStr}_${timeStr}`)
                     .replace('YYYY-MM-DD', dateStr)
                     .replace('HHmmss', timeStr);
@@ -438,15 +481,22 @@ export default class CSVMerger {
 
             // Create backup if file exists
             if (this.config.enableBackup && await fs.pathExists(outputPath)) {
-                const backupPath = outputPath.replace('.csv', '_backup.csv');
+                const extension = path.extname(outputPath);
+                const backupPath = outputPath.slice(0, -extension.length) + '_backup' + extension;
                 await fs.copy(outputPath, backupPath);
                 console.log(chalk.yellow(`   📋 Created backup: ${path.basename(backupPath)}`));
             }
 
-            // Write CSV data
-            await this.writeCSVFile(outputPath, consolidatedData);
+            // Write CSV data, typed Arrow/Parquet columns, or the records as a JSON array / NDJSON
+            if (this.config.outputFormat === 'csv') {
+                await this.writeCSVFile(outputPath, consolidatedData);
+            } else if (COLUMNAR_FORMATS.includes(this.config.outputFormat)) {
+                await this.columnarWriter.writeFile(outputPath, consolidatedData, this.config.outputFormat);
+            } else {
+                await fs.writeFile(outputPath, serializeRecords(consolidatedData, this.config.outputFormat), this.config.encoding);
+            }
 
-            console.log(chalk.green(`✓ Unified CSV created: ${path.basename(outputPath)}`));
+            console.log(chalk.green(`✓ Unified ${this.config.outputFormat.toUpperCase()} created: ${path.basename(outputPath)}`));
             console.log(chalk.gray(`   Location: ${outputPath}`));
             console.log(chalk.gray(`   Rows: ${consolidatedData.length}`));
 
@@ -465,10 +515,11 @@ export default class CSVMerger {
             // Ensure output directory exists
             await fs.ensureDir(this.config.outputDirectory);
             
-            // Find existing files with the same base pattern
+            // Find existing files with the same base pattern, in any format (csv, json, arrow, parquet, manifest)
             const basePattern = this.config.outputFilename
                 .replace('{number:02d}', '*')
-                .replace('{number}', '*');
+                .replace('{number}', '*')
+                .replace(/\.[^.]+$/, '.*');
             
             const pattern = path.join(this.config.outputDirectory, basePattern);
             const existingFiles = await glob(pattern);
@@ -480,7 +531,7 @@ export default class CSVMerger {
             // Extract numbers from existing files
             const numbers = existingFiles.map(file => {
                 const basename = path.basename(file);
-                const match = basename.match(/music_analysis_results_(\d+)\.csv/);
+                const match = basename.match(/music_analysis_results_(\d+)\./);
                 return match ? parseInt(match[1]) : 0;
             }).filter(num => num > 0);
             
@@ -543,18 +594,27 @@ export default class CSVMerger {
             }
 
             // Count rows in output file
-            const outputRowCount = await this.countCSVRows(outputPath);
+            let outputRowCount;
+            if (this.config.outputFormat === 'csv') {
+                outputRowCount = await this.countCSVRows(outputPath);
+            } else if (COLUMNAR_FORMATS.includes(this.config.outputFormat)) {
+                outputRowCount = await this.columnarWriter.countRows(outputPath, this.config.outputFormat);
+            } else {
+                outputRowCount = (await this.readBatchData(outputPath)).length;
+            }
             
             if (outputRowCount !== originalData.length) {
                 throw new Error(`Row count mismatch: expected ${originalData.length}, got ${outputRowCount}`);
             }
 
             // Verify schema
-            const outputHeader = await this.readCSVHeader(outputPath);
-            const schemaValid = this.validateSchema(outputHeader);
-            
-            if (!schemaValid.valid) {
-                throw new Error(`Output schema invalid: ${schemaValid.error}`);
+            if (this.config.outputFormat === 'csv') {
+                const outputHeader = await this.readCSVHeader(outputPath);
+                const schemaValid = this.validateSchema(outputHeader);
+                
+                if (!schemaValid.valid) {
+                    throw new Error(`Output schema invalid: ${schemaValid.error}`);
+                }
             }
 
             console.log(chalk.green('✓ Output file verification passed'));
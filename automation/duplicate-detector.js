@@ -0,0 +1,380 @@
+import fs from 'fs-extra';
+import path from 'path';
+import decode from 'audio-decode';
+
+import { preprocess } from '../src/audioUtils.js';
+import { escapeCSVField } from '../src/csvExport.js';
+
+const DUPLICATE_POLICIES = ['keep-all', 'skip', 'link'];
+
+const DEFAULT_DUPLICATES = {
+    policy: 'keep-all', // keep-all: analyse every copy, skip: analyse one copy, link: analyse one copy and add rows pointing to it
+    nearDuplicates: false, // also compare decoded audio, finds the same recording re-encoded or resampled
+    threshold: 0.9, // fingerprint similarity (0-1) from which two files are near-duplicates
+    durationTolerance: 2, // seconds, only files of about the same length are compared
+    fingerprintSeconds: 120 // length of audio fingerprinted from the start of each file
+};
+
+// fingerprint frames: 0.25s hop at 16kHz, chroma from semitone filters C3..B6
+const SAMPLE_RATE = 16000;
+const FRAME_SIZE = 4096;
+const HOP_SIZE = 4000;
+const LOWEST_PITCH = 48; // MIDI note of C3
+const PITCH_COUNT = 48;
+const FRAME_BYTES = 13; // 12 chroma bins and the frame energy
+const MAX_FRAME_OFFSET = 4; // frames of shift tolerated between two files (encoder delay, leading silence)
+const SILENCE_DB = -60;
+
+/**
+ * Fills in defaults and validates duplicate detection settings
+ * @param {Object} duplicates - { policy, nearDuplicates, threshold, durationTolerance, fingerprintSeconds }
+ * @returns {Object} Normalized duplicate detection settings
+ */
+function normalizeDuplicates(duplicates = {}) {
+    const normalized = { ...DEFAULT_DUPLICATES };
+    Object.entries(duplicates || {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') normalized[key] = value;
+    });
+
+    if (!DUPLICATE_POLICIES.includes(normalized.policy)) {
+        throw new RangeError(`Unknown duplicate policy "${normalized.policy}", expected one of: ${DUPLICATE_POLICIES.join(', ')}`);
+    }
+    normalized.nearDuplicates = normalized.nearDuplicates === true || normalized.nearDuplicates === 'true';
+
+    normalized.threshold = Number(normalized.threshold);
+    if (!(normalized.threshold > 0 && normalized.threshold <= 1)) {
+        throw new RangeError(`Invalid near-duplicate threshold "${duplicates.threshold}", expected a number in (0, 1]`);
+    }
+    ['durationTolerance', 'fingerprintSeconds'].forEach((key) => {
+        normalized[key] = Number(normalized[key]);
+        if (!(normalized[key] > 0)) {
+            throw new RangeError(`Invalid duplicate setting ${key} "${duplicates[key]}", expected a positive number`);
+        }
+    });
+
+    return normalized;
+}
+
+/**
+ * Chroma/energy fingerprint of a 16kHz mono signal: one frame every 0.25s with the 12 pitch class
+ * energies (relative to the strongest) and the frame loudness, quantised to bytes
+ * @param {Float32Array} signal - 16kHz mono audio
+ * @param {number} maxSeconds - Length fingerprinted from the start
+ * @returns {Object} { duration, frames, data } with `data` the base64 of frames x 13 bytes
+ */
+function computeFingerprint(signal, maxSeconds = DEFAULT_DUPLICATES.fingerprintSeconds) {
+    const length = Math.min(signal.length, Math.round(maxSeconds * SAMPLE_RATE));
+    const frameCount = length >= FRAME_SIZE ? Math.floor((length - FRAME_SIZE) / HOP_SIZE) + 1 : 0;
+    const data = new Uint8Array(frameCount * FRAME_BYTES);
+
+    const window = new Float32Array(FRAME_SIZE).map((_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FRAME_SIZE - 1)));
+    const coefficients = Array.from({ length: PITCH_COUNT }, (_, i) => {
+        const frequency = 440 * Math.pow(2, (LOWEST_PITCH + i - 69) / 12);
+        return 2 * Math.cos(2 * Math.PI * frequency / SAMPLE_RATE);
+    });
+    const frame = new Float32Array(FRAME_SIZE);
+
+    for (let f = 0; f < frameCount; f++) {
+        const start = f * HOP_SIZE;
+        let energy = 0;
+        for (let i = 0; i < FRAME_SIZE; i++) {
+            frame[i] = signal[start + i] * window[i];
+            energy += signal[start + i] * signal[start + i];
+        }
+
+        // Goertzel power of each semitone, folded into pitch classes
+        const chroma = new Float64Array(12);
+        coefficients.forEach((coefficient, pitch) => {
+            let s1 = 0;
+            let s2 = 0;
+            for (let i = 0; i < FRAME_SIZE; i++) {
+                const s0 = frame[i] + coefficient * s1 - s2;
+                s2 = s1;
+                s1 = s0;
+            }
+            chroma[pitch % 12] += s1 * s1 + s2 * s2 - coefficient * s1 * s2;
+        });
+
+        const peak = Math.max(...chroma);
+        const offset = f * FRAME_BYTES;
+        chroma.forEach((value, bin) => {
+            data[offset + bin] = peak > 0 ? Math.round(255 * value / peak) : 0;
+        });
+        const decibels = 10 * Math.log10(energy / FRAME_SIZE + 1e-10);
+        data[offset + 12] = Math.round(255 * Math.min(1, Math.max(0, (decibels + 100) / 100)));
+    }
+
+    return {
+        duration: signal.length / SAMPLE_RATE,
+        frames: frameCount,
+        data: Buffer.from(data).toString('base64')
+    };
+}
+
+/**
+ * Similarity of two fingerprints in [0, 1]: mean chroma cosine similarity of the non-silent frames,
+ * weighted by the correlation of the loudness envelopes, at the best of a few frame offsets.
+ * Gain changes and re-encoding keep it close to 1, different recordings score far lower.
+ * @param {Object} a - Fingerprint from computeFingerprint
+ * @param {Object} b - Fingerprint from computeFingerprint
+ * @returns {number} Similarity
+ */
+function compareFingerprints(a, b) {
+    const framesA = Buffer.from(a.data, 'base64');
+    const framesB = Buffer.from(b.data, 'base64');
+    const silence = Math.round(255 * (SILENCE_DB + 100) / 100);
+    let best = 0;
+
+    for (let shift = -MAX_FRAME_OFFSET; shift <= MAX_FRAME_OFFSET; shift++) {
+        const energyA = [];
+        const energyB = [];
+        let chromaSum = 0;
+        let chromaFrames = 0;
+
+        for (let i = Math.max(0, -shift); i < a.frames && i + shift < b.frames; i++) {
+            const offsetA = i * FRAME_BYTES;
+            const offsetB = (i + shift) * FRAME_BYTES;
+            energyA.push(framesA[offsetA + 12]);
+            energyB.push(framesB[offsetB + 12]);
+            if (framesA[offsetA + 12] < silence || framesB[offsetB + 12] < silence) continue;
+
+            let dot = 0;
+            let normA = 0;
+            let normB = 0;
+            for (let bin = 0; bin < 12; bin++) {
+                dot += framesA[offsetA + bin] * framesB[offsetB + bin];
+                normA += framesA[offsetA + bin] * framesA[offsetA + bin];
+                normB += framesB[offsetB + bin] * framesB[offsetB + bin];
+            }
+            if (normA > 0 && normB > 0) {
+                chromaSum += dot / Math.sqrt(normA * normB);
+                chromaFrames++;
+            }
+        }
+
+        // too little overlap to tell
+        if (chromaFrames < 4) continue;
+        // the envelope only weighs half, frame loudness shifts with the alignment of level changes
+        best = Math.max(best, (chromaSum / chromaFrames) * (0.5 + 0.5 * Math.max(0, correlation(energyA, energyB))));
+    }
+
+    return best;
+}
+
+function correlation(x, y) {
+    const n = x.length;
+    const meanX = x.reduce((sum, value) => sum + value, 0) / n;
+    const meanY = y.reduce((sum, value) => sum + value, 0) / n;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (x[i] - meanX) * (y[i] - meanY);
+        varianceX += (x[i] - meanX) ** 2;
+        varianceY += (y[i] - meanY) ** 2;
+    }
+    // flat envelopes (e.g. a constant tone) only match each other
+    if (varianceX === 0 || varianceY === 0) {
+        return varianceX === varianceY ? 1 : 0;
+    }
+    return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Groups discovered files that hold the same audio.
+ * Exact duplicates share a content hash; near-duplicates (optional) are files of about the same
+ * duration whose chroma/energy fingerprints are at least `threshold` similar. Within a group the
+ * largest file (usually the best encoding) is the one kept, the others are its duplicates.
+ */
+class DuplicateDetector {
+    constructor(config = {}) {
+        this.config = normalizeDuplicates(config);
+    }
+
+    /**
+     * Decodes a file and fingerprints its first `fingerprintSeconds`
+     * @param {string} filePath - Audio file
+     * @returns {Promise<Object>} Fingerprint, see computeFingerprint
+     */
+    async fingerprintFile(filePath) {
+        const audioBuffer = await decode(await fs.readFile(filePath));
+        return computeFingerprint(preprocess(audioBuffer), this.config.fingerprintSeconds);
+    }
+
+    /**
+     * @param {Array<Object>} files - { path, hash, size, fingerprint } in discovery order, fingerprint only for near-duplicates
+     * @returns {Array<Object>} Groups of two or more files: { kind: 'exact'|'near', keep, duplicates, similarity }
+     */
+    findDuplicates(files) {
+        // one representative per content hash
+        const byHash = new Map();
+        files.forEach((file, order) => {
+            if (!file.hash) return;
+            if (!byHash.has(file.hash)) byHash.set(file.hash, []);
+            byHash.get(file.hash).push({ ...file, order });
+        });
+        const contents = [...byHash.values()];
+
+        // union of the contents whose fingerprints match
+        const parent = contents.map((_, i) => i);
+        const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+        const matches = [];
+        if (this.config.nearDuplicates) {
+            const candidates = contents
+                .map((copies, i) => ({ i, fingerprint: copies[0].fingerprint }))
+                .filter(({ fingerprint }) => fingerprint && fingerprint.frames > 0)
+                .sort((x, y) => x.fingerprint.duration - y.fingerprint.duration);
+
+            for (let x = 0; x < candidates.length; x++) {
+                for (let y = x + 1; y < candidates.length; y++) {
+                    if (candidates[y].fingerprint.duration - candidates[x].fingerprint.duration > this.config.durationTolerance) break;
+                    const similarity = compareFingerprints(candidates[x].fingerprint, candidates[y].fingerprint);
+                    if (similarity >= this.config.threshold) {
+                        parent[find(candidates[y].i)] = find(candidates[x].i);
+                        matches.push({ i: candidates[x].i, similarity });
+                    }
+                }
+            }
+        }
+
+        const groups = new Map();
+        contents.forEach((copies, i) => {
+            const root = find(i);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(...copies);
+        });
+
+        return [...groups.entries()]
+            .filter(([, members]) => members.length > 1)
+            .map(([root, members]) => {
+                const sorted = [...members].sort((x, y) => (y.size || 0) - (x.size || 0) || x.order - y.order);
+                const near = new Set(members.map(member => member.hash)).size > 1;
+                // weakest fingerprint match that joined the group
+                const similarity = Math.min(...matches.filter(match => find(match.i) === root).map(match => match.similarity));
+                return {
+                    kind: near ? 'near' : 'exact',
+                    keep: sorted[0].path,
+                    duplicates: sorted.slice(1).map(member => ({
+                        path: member.path,
+                        exact: member.hash === sorted[0].hash
+                    })),
+                    similarity: near ? Number(similarity.toFixed(3)) : 1
+                };
+            })
+            .sort((x, y) => x.keep.localeCompare(y.keep));
+    }
+
+    /**
+     * @param {Array<Object>} groups - From findDuplicates
+     * @param {number} totalFiles - Number of files compared
+     * @returns {Object} Report with counts, the policy and the groups
+     */
+    buildReport(groups, totalFiles) {
+        const duplicateCount = groups.reduce((sum, group) => sum + group.duplicates.length, 0);
+        return {
+            generatedAt: new Date().toISOString(),
+            policy: this.config.policy,
+            nearDuplicates: this.config.nearDuplicates,
+            threshold: this.config.nearDuplicates ? this.config.threshold : null,
+            totalFiles,
+            groups: groups.length,
+            exactGroups: groups.filter(group => group.kind === 'exact').length,
+            nearGroups: groups.filter(group => group.kind === 'near').length,
+            duplicateFiles: duplicateCount,
+            uniqueFiles: totalFiles - duplicateCount,
+            duplicateGroups: groups
+        };
+    }
+}
+
+// CSV rows and records name files by basename (or relative path after a folder upload)
+function matchesFilename(filePath, filename) {
+    return !!filename && (path.basename(filePath) === filename || filePath.split(path.sep).join('/').endsWith(`/${filename}`));
+}
+
+// First field of a CSV line and the rest of the line from its separator
+function splitFirstCSVField(line) {
+    if (!line.startsWith('"')) {
+        const end = line.indexOf(',');
+        return end === -1 ? [line, ''] : [line.slice(0, end), line.slice(end)];
+    }
+    let end = 1;
+    while (end < line.length) {
+        if (line[end] === '"' && line[end + 1] === '"') {
+            end += 2;
+        } else if (line[end] === '"') {
+            break;
+        } else {
+            end++;
+        }
+    }
+    return [line.slice(1, end).replace(/""/g, '"'), line.slice(end + 1)];
+}
+
+/**
+ * `link` policy for merged CSV lines: adds a `duplicate_of` column and, for each linked duplicate,
+ * a copy of the kept file's row under the duplicate's name
+ * @param {string} header - CSV header line, `filename` first
+ * @param {Array<string>} rows - CSV data lines
+ * @param {Array<Object>} links - { path, keep } from FileManager.getDuplicateLinks()
+ * @returns {Object} { header, rows, linked, unlinked }
+ */
+function linkDuplicateRows(header, rows, links) {
+    const linkedRows = [];
+    let unlinked = 0;
+    links.forEach((link) => {
+        const row = rows.find(line => matchesFilename(link.keep, splitFirstCSVField(line)[0]));
+        if (!row) {
+            unlinked++;
+            return;
+        }
+        const [keptName, rest] = splitFirstCSVField(row);
+        linkedRows.push(`${escapeCSVField(path.basename(link.path))}${rest},${escapeCSVField(keptName)}`);
+    });
+
+    return {
+        header: `${header},duplicate_of`,
+        rows: [...rows.map(row => `${row},`), ...linkedRows],
+        linked: linkedRows.length,
+        unlinked
+    };
+}
+
+/**
+ * `link` policy for merged JSON/NDJSON records: a copy of the kept file's record per linked duplicate,
+ * with the duplicate's name and `duplicateOf`
+ * @param {Array<Object>} records - Track records
+ * @param {Array<Object>} links - { path, keep } from FileManager.getDuplicateLinks()
+ * @returns {Object} { records, linked, unlinked }
+ */
+function linkDuplicateRecords(records, links) {
+    const linkedRecords = [];
+    links.forEach((link) => {
+        const record = records.find(candidate => matchesFilename(link.keep, candidate.filename));
+        if (record) {
+            linkedRecords.push({
+                ...record,
+                filename: path.basename(link.path),
+                file: { ...record.file, name: path.basename(link.path), path: link.path },
+                duplicateOf: record.filename
+            });
+        }
+    });
+
+    return {
+        records: [...records, ...linkedRecords],
+        linked: linkedRecords.length,
+        unlinked: links.length - linkedRecords.length
+    };
+}
+
+export {
+    DUPLICATE_POLICIES,
+    DEFAULT_DUPLICATES,
+    normalizeDuplicates,
+    computeFingerprint,
+    compareFingerprints,
+    linkDuplicateRows,
+    linkDuplicateRecords
+};
+export default DuplicateDetector;
@@ -3,6 +3,9 @@ import path from 'path';
 import chalk from 'chalk';
 import crypto from 'crypto';
 
+import DuplicateDetector from './duplicate-detector.js';
+import { readTags } from '../src/audioTags.js';
+
 class FileManager {
     constructor(config = {}) {
         this.config = {
@@ -20,8 +23,11 @@ class FileManager {
             batchSize: 30,
             enableProgressTracking: true,
             resumeFromFailure: true,
+            skipAnalysed: true, // only queue files whose content was not analysed by an earlier run (--force to disable)
+            duplicates: {}, // see DEFAULT_DUPLICATES in duplicate-detector.js
             ...config
         };
+        this.duplicateDetector = new DuplicateDetector(this.config.duplicates);
         
         this.discoveredFiles = [];
         this.batches = [];
@@ -37,6 +43,23 @@ class FileManager {
         };
         
         this.stateFile = './file-processing-state.json';
+        
+        // content hashes by path (with the size/mtime they were computed for) and the hashes already analysed
+        this.hashCacheFile = './file-hash-cache.json';
+        this.hashCache = null;
+        this.hashCacheWrite = Promise.resolve();
+        this.fileHashes = new Map();
+        this.skippedFiles = [];
+        
+        // a file counts as analysed only with the same analysis settings (see setAnalysisSettings),
+        // entries of the current run get the results file it is merged into (see recordResultsFile)
+        this.settingsHash = hashSettings({});
+        this.runId = null;
+        
+        // duplicate groups of the last discovery, and the copies left out of the queue by the skip/link policies
+        this.duplicateReportDirectory = './logs';
+        this.duplicateReport = null;
+        this.duplicateFiles = [];
     }
     
     async discoverFiles(directoryPath, options = {}) {
@@ -59,10 +82,21 @@ class FileManager {
             const validatedFiles = await this._validateFiles(this.discoveredFiles);
             this.discoveredFiles = validatedFiles;
             
+            // Hash contents, group copies of the same audio and leave out what is already analysed
+            await this._hashFiles(this.discoveredFiles);
+            this.duplicateReport = await this._detectDuplicates(this.discoveredFiles);
+            this.discoveredFiles = this._filterQueuedFiles(
+                this.discoveredFiles,
+                options.skipAnalysed ?? this.config.skipAnalysed
+            );
+            
             console.log(chalk.green(`✓ Discovered ${this.discoveredFiles.length} valid audio files`));
             
             return {
                 totalFiles: this.discoveredFiles.length,
+                skippedFiles: this.skippedFiles.length,
+                duplicates: this.duplicateReport,
+                skippedDuplicates: this.duplicateFiles.length,
                 files: this.discoveredFiles,
                 byFormat: this._groupFilesByFormat(),
                 statistics: this._getDiscoveryStatistics()
@@ -160,6 +194,150 @@ class FileManager {
         return validFiles;
     }
     
+    async _hashFiles(filePaths) {
+        await this._loadHashCache();
+        console.log(chalk.blue(`🔑 Hashing ${filePaths.length} files...`));
+        
+        let hashed = 0;
+        for (const filePath of filePaths) {
+            try {
+                const cached = this._getCachedHash(filePath, await fs.stat(filePath));
+                const hash = cached || await this.getContentHash(filePath);
+                if (!cached) hashed++;
+                this.fileHashes.set(filePath, hash);
+            } catch (error) {
+                console.warn(chalk.yellow(`  Could not hash ${filePath}: ${error.message}`));
+            }
+        }
+        
+        await this._saveHashCache();
+        
+        console.log(chalk.green(`✓ Hashed ${filePaths.length} files (${hashed} new or modified, ${filePaths.length - hashed} from cache)`));
+    }
+    
+    async _detectDuplicates(filePaths) {
+        const detector = this.duplicateDetector;
+        const files = [];
+        for (const filePath of filePaths) {
+            files.push({
+                path: filePath,
+                hash: this.fileHashes.get(filePath),
+                size: (await fs.stat(filePath)).size
+            });
+        }
+        
+        if (detector.config.nearDuplicates) {
+            await this._fingerprintFiles(files);
+        }
+        
+        const groups = detector.findDuplicates(files);
+        const report = detector.buildReport(groups, files.length);
+        
+        if (groups.length > 0) {
+            console.log(chalk.yellow(`⚠️ Found ${report.duplicateFiles} duplicate files in ${groups.length} groups (${report.exactGroups} exact, ${report.nearGroups} near)`));
+            groups.slice(0, 5).forEach((group) => {
+                console.log(chalk.gray(`  ${path.basename(group.keep)} <- ${group.duplicates.map(duplicate => path.basename(duplicate.path)).join(', ')}`));
+            });
+            if (groups.length > 5) {
+                console.log(chalk.gray(`  ... and ${groups.length - 5} more groups`));
+            }
+            report.reportPath = await this._saveDuplicateReport(report);
+        }
+        
+        return report;
+    }
+    
+    // Fingerprints are cached by content hash, so each distinct file is only decoded once
+    async _fingerprintFiles(files) {
+        const fingerprints = this.hashCache.fingerprints;
+        const pending = [...new Map(files
+            .filter(file => file.hash && !fingerprints[file.hash])
+            .map(file => [file.hash, file])).values()];
+        const seconds = this.duplicateDetector.config.fingerprintSeconds;
+        if (pending.length > 0) {
+            console.log(chalk.blue(`🎼 Fingerprinting ${pending.length} files for near-duplicate detection...`));
+        }
+        
+        for (const file of pending) {
+            try {
+                fingerprints[file.hash] = { ...(await this.duplicateDetector.fingerprintFile(file.path)), seconds };
+            } catch (error) {
+                // not cached, a file that could not be read this time is fingerprinted again on the next discovery
+                console.warn(chalk.yellow(`  Could not fingerprint ${file.path}: ${error.message}`));
+            }
+        }
+        
+        files.forEach((file) => {
+            file.fingerprint = (file.hash && fingerprints[file.hash]) || null;
+        });
+        if (pending.length > 0) {
+            await this._saveHashCache();
+        }
+    }
+    
+    async _saveDuplicateReport(report) {
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const reportPath = path.join(this.duplicateReportDirectory, `duplicate-report-${timestamp}.json`);
+            await fs.ensureDir(this.duplicateReportDirectory);
+            await fs.writeJson(reportPath, report, { spaces: 2 });
+            console.log(chalk.gray(`  Duplicate report: ${reportPath}`));
+            return reportPath;
+        } catch (error) {
+            console.warn(chalk.yellow(`Failed to save duplicate report: ${error.message}`));
+            return null;
+        }
+    }
+    
+    // Queue of the workflows: no files analysed by earlier runs, and only the kept copy of duplicates with the skip/link policies
+    _filterQueuedFiles(filePaths, skipAnalysed = true) {
+        const policy = this.duplicateDetector.config.policy;
+        const duplicatePaths = new Set(policy === 'keep-all' ? [] : (this.duplicateReport?.duplicateGroups || [])
+            .flatMap(group => group.duplicates.map(duplicate => duplicate.path)));
+        
+        const queuedFiles = [];
+        this.skippedFiles = [];
+        this.duplicateFiles = [];
+        
+        for (const filePath of filePaths) {
+            const hash = this.fileHashes.get(filePath);
+            if (skipAnalysed && hash && this.hashCache.analysed[this._analysedKey(hash)]) {
+                this.skippedFiles.push(filePath);
+            } else if (duplicatePaths.has(filePath)) {
+                this.duplicateFiles.push(filePath);
+            } else {
+                queuedFiles.push(filePath);
+            }
+        }
+        
+        if (this.skippedFiles.length > 0) {
+            console.log(chalk.gray(`  Skipping ${this.skippedFiles.length} files already analysed with the same settings (use --force to re-analyse)`));
+            Object.entries(this.getSkippedResults()).forEach(([results, count]) => {
+                console.log(chalk.gray(`    ${count} in ${results}`));
+            });
+        }
+        if (this.duplicateFiles.length > 0) {
+            console.log(chalk.gray(`  ${policy === 'link' ? 'Linking' : 'Skipping'} ${this.duplicateFiles.length} duplicate files (duplicates policy: ${policy})`));
+        }
+        
+        return queuedFiles;
+    }
+    
+    /**
+     * Linked rows of the `link` policy: each duplicate left out of the queue with the file whose results it reuses
+     * @returns {Array<Object>} { path, keep, kind }
+     */
+    getDuplicateLinks() {
+        if (this.duplicateDetector.config.policy !== 'link' || !this.duplicateReport) {
+            return [];
+        }
+        
+        const queued = new Set(this.duplicateFiles);
+        return this.duplicateReport.duplicateGroups.flatMap(group => group.duplicates
+            .filter(duplicate => queued.has(duplicate.path))
+            .map(duplicate => ({ path: duplicate.path, keep: group.keep, kind: duplicate.exact ? 'exact' : 'near' })));
+    }
+    
     createBatches(files = null, batchSize = null) {
         try {
             const filesToBatch = files || this.discoveredFiles;
@@ -244,7 +422,7 @@ class FileManager {
         }
     }
     
-    markBatchCompleted(batchId, processedFiles = []) {
+    async markBatchCompleted(batchId, processedFiles = []) {
         const batch = this.batches.find(b => b.id === batchId);
         if (batch) {
             batch.status = 'completed';
@@ -256,6 +434,7 @@ class FileManager {
             this.processingState.processedCount += processedFiles.length;
             
             this._saveState();
+            await this._markFilesAnalysed(processedFiles);
             
             console.log(chalk.green(`✓ Batch ${batchId} completed (${processedFiles.length} files)`));
         }
@@ -521,6 +700,153 @@ class FileManager {
     getProcessedFiles() {
         return Array.from(this.processedFiles);
     }
+    
+    // Artist, title, album, year, ISRC and declared duration from ID3, Vorbis comment, MP4 or RIFF INFO tags
+    async readTags(filePath) {
+        return readTags(await fs.readFile(filePath));
+    }
+    
+    // SHA-256 of the file content, identifies a track independently of its path and name.
+    // Cached by path, the file is only read again when its size or modification time changed.
+    async getContentHash(filePath) {
+        await this._loadHashCache();
+        const stats = await fs.stat(filePath);
+        const cached = this._getCachedHash(filePath, stats);
+        if (cached) {
+            return cached;
+        }
+        
+        const hash = crypto.createHash('sha256');
+        for await (const chunk of fs.createReadStream(filePath)) {
+            hash.update(chunk);
+        }
+        const contentHash = hash.digest('hex');
+        
+        this.hashCache.files[path.resolve(filePath)] = {
+            size: stats.size,
+            mtimeMs: stats.mtimeMs,
+            hash: contentHash
+        };
+        return contentHash;
+    }
+    
+    /**
+     * Settings that change the analysis results (sampling, tempo, key, descriptors, columns, ...). Files
+     * analysed with other settings are queued again, so a rerun with new options produces their new values.
+     * @param {Object} settings - Normalized settings, compared by content
+     */
+    setAnalysisSettings(settings = {}) {
+        this.settingsHash = hashSettings(settings);
+    }
+    
+    /**
+     * Where the rows of the files skipped as already analysed are: results file they were merged into,
+     * or the run whose batch files were not merged
+     * @returns {Object} Count of skipped files per results file
+     */
+    getSkippedResults() {
+        const counts = {};
+        this.skippedFiles.forEach((filePath) => {
+            const entry = this.hashCache.analysed[this._analysedKey(this.fileHashes.get(filePath))];
+            const results = entry.results || (entry.runId ? `batch files of run ${entry.runId} (not merged)` : 'an earlier run (results file not recorded)');
+            counts[results] = (counts[results] || 0) + 1;
+        });
+        return counts;
+    }
+    
+    // Results file of the files analysed by a run, once its batches are merged
+    async recordResultsFile(runId, resultsFile) {
+        await this._loadHashCache();
+        let recorded = 0;
+        Object.values(this.hashCache.analysed).forEach((entry) => {
+            if (runId && entry.runId === runId) {
+                entry.results = resultsFile;
+                recorded++;
+            }
+        });
+        if (recorded > 0) {
+            await this._saveHashCache();
+        }
+        return recorded;
+    }
+    
+    _analysedKey(hash) {
+        return `${hash}:${this.settingsHash}`;
+    }
+    
+    _getCachedHash(filePath, stats) {
+        const entry = this.hashCache.files[path.resolve(filePath)];
+        return entry && entry.size === stats.size && entry.mtimeMs === stats.mtimeMs ? entry.hash : null;
+    }
+    
+    async _markFilesAnalysed(filePaths) {
+        await this._loadHashCache();
+        const analyzedAt = new Date().toISOString();
+        
+        for (const filePath of filePaths) {
+            const hash = this.fileHashes.get(filePath);
+            if (hash) {
+                this.hashCache.analysed[this._analysedKey(hash)] = {
+                    path: path.resolve(filePath),
+                    analyzedAt,
+                    runId: this.runId,
+                    results: null
+                };
+            }
+        }
+        
+        await this._saveHashCache();
+    }
+    
+    async _loadHashCache() {
+        if (this.hashCache) {
+            return;
+        }
+        
+        this.hashCache = { files: {}, analysed: {}, fingerprints: {} };
+        try {
+            if (await fs.pathExists(this.hashCacheFile)) {
+                const cache = await fs.readJson(this.hashCacheFile);
+                this.hashCache = {
+                    files: cache.files || {},
+                    analysed: cache.analysed || {},
+                    // fingerprints of another length are computed again
+                    fingerprints: Object.fromEntries(Object.entries(cache.fingerprints || {})
+                        .filter(([, fingerprint]) => fingerprint.seconds === this.duplicateDetector.config.fingerprintSeconds))
+                };
+            }
+        } catch (error) {
+            console.warn(chalk.yellow(`Failed to load file hash cache, rehashing: ${error.message}`));
+        }
+    }
+    
+    // Writes are queued so they never overlap, and each goes to a temporary file renamed over the cache,
+    // so an exit mid-write leaves the previous cache instead of a truncated one
+    async _saveHashCache() {
+        this.hashCacheWrite = this.hashCacheWrite.then(async () => {
+            const tempFile = `${this.hashCacheFile}.${process.pid}.tmp`;
+            try {
+                await fs.writeJson(tempFile, this.hashCache);
+                await fs.rename(tempFile, this.hashCacheFile);
+            } catch (error) {
+                console.warn(chalk.yellow(`Failed to save file hash cache: ${error.message}`));
+                await fs.remove(tempFile).catch(() => {});
+            }
+        });
+        await this.hashCacheWrite;
+    }
+}
+
+// Short hash of the settings, independent of their key order
+function hashSettings(settings) {
+    const sortKeys = (value) => {
+        if (Array.isArray(value)) return value.map(sortKeys);
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+        }
+        return value;
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(sortKeys(settings))).digest('hex').slice(0, 16);
 }
 
 export default FileManager; 
\ No newline at end of file
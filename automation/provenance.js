@@ -0,0 +1,186 @@
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+import { describeKeyBPM, describeDescriptors, normalizeTempo, TEMPOCNN_MODEL_NAME } from '../src/essentiaAnalysis.js';
+import { normalizeSampling, describeSampling } from '../src/audioUtils.js';
+import { getModel, getModelNames, getModelDirectoryName } from '../src/modelRegistry.js';
+import { normalizePredictionOutput } from '../src/predictionUtils.js';
+import { normalizeEmbeddings, getEmbeddingLayer } from '../src/embeddings.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Provenance records for analysis runs.
+ * A manifest describes how every value in a results CSV was computed: tool and library versions,
+ * model files and their hashes, the sampling strategy, the Essentia algorithm parameters and the run configuration.
+ */
+class Provenance {
+    constructor(config = {}) {
+        this.config = {
+            rootDirectory: path.resolve(__dirname, '..'),
+            modelsDirectory: path.resolve(__dirname, '..', 'models'),
+            libDirectory: path.resolve(__dirname, '..', 'src', 'lib'),
+            modelNames: getModelNames(),
+            ...config
+        };
+    }
+
+    createRunId() {
+        const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+/, '');
+        return `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+    }
+
+    /**
+     * Builds the manifest for a run
+     * @param {Object} run - { runId, workflow, startedAt, sampling, tempo, keyDetection, descriptors, embeddings, predictions, libraries, runConfig, results }
+     * @returns {Object} Provenance manifest
+     */
+    async buildManifest(run = {}) {
+        const sampling = normalizeSampling(run.sampling);
+        const tempo = normalizeTempo(run.tempo);
+        const models = await this.hashModels();
+
+        if (tempo.backend === 'tempocnn') {
+            models.push(await this.hashModel('tempocnn', TEMPOCNN_MODEL_NAME));
+        }
+
+        return {
+            manifestVersion: MANIFEST_VERSION,
+            runId: run.runId || this.createRunId(),
+            workflow: run.workflow || null,
+            startedAt: run.startedAt || null,
+            generatedAt: new Date().toISOString(),
+            results: run.results || {},
+            tool: await this.getToolInfo(),
+            libraries: {
+                ...this.getBundledLibraryVersions(),
+                ...(run.libraries || {})
+            },
+            models,
+            sampling: {
+                ...sampling,
+                description: describeSampling(sampling)
+            },
+            essentia: {
+                inputSampleRate: 16000,
+                ...describeKeyBPM({ tempo, keyDetection: run.keyDetection }),
+                tempoCandidates: tempo.candidates,
+                descriptors: describeDescriptors(run.descriptors)
+            },
+            embeddings: this.describeEmbeddings(run.embeddings),
+            predictions: normalizePredictionOutput(run.predictions),
+            runConfig: run.runConfig || {}
+        };
+    }
+
+    describeEmbeddings(embeddings) {
+        const settings = normalizeEmbeddings(embeddings);
+        if (!settings.enabled) {
+            return { enabled: false };
+        }
+        return {
+            ...settings,
+            ...getEmbeddingLayer(settings.model),
+            pooling: 'mean'
+        };
+    }
+
+    async getToolInfo() {
+        const packageJson = await fs.readJson(path.join(this.config.rootDirectory, 'package.json')).catch(() => ({}));
+
+        return {
+            name: packageJson.name || null,
+            version: packageJson.version || null,
+            node: process.version,
+            platform: `${os.platform()}-${os.arch()}`
+        };
+    }
+
+    getBundledLibraryVersions() {
+        // Versions are part of the bundled file names (e.g. tf.min.3.5.0.js); Essentia reports its own at runtime
+        const files = fs.readdirSync(this.config.libDirectory);
+        const tfjs = files.map(file => file.match(/^tf\.min\.(\d+\.\d+\.\d+)\.js$/)).find(Boolean);
+
+        return {
+            tfjs: tfjs ? tfjs[1] : null
+        };
+    }
+
+    /**
+     * SHA-256 hashes of each model's model.json and weight shards
+     * @returns {Array<Object>} One entry per model
+     */
+    async hashModels() {
+        const models = [];
+
+        for (const modelName of this.config.modelNames) {
+            const { output, labels } = getModel(modelName);
+            models.push({
+                ...(await this.hashModel(modelName, getModelDirectoryName(modelName))),
+                output,
+                labels: labels || null
+            });
+        }
+
+        return models;
+    }
+
+    async hashModel(modelName, directoryName) {
+        const modelDirectory = path.join(this.config.modelsDirectory, directoryName);
+        const modelJsonPath = path.join(modelDirectory, 'model.json');
+
+        if (!(await fs.pathExists(modelJsonPath))) {
+            return { name: modelName, directory: directoryName, error: 'model.json not found' };
+        }
+
+        const modelJson = await fs.readJson(modelJsonPath);
+        const shardPaths = (modelJson.weightsManifest || []).flatMap(group => group.paths);
+        const weights = [];
+
+        for (const shardPath of shardPaths) {
+            weights.push({
+                file: shardPath,
+                sha256: await this.hashFile(path.join(modelDirectory, shardPath))
+            });
+        }
+
+        return {
+            name: modelName,
+            directory: directoryName,
+            format: modelJson.format || null,
+            generatedBy: modelJson.generatedBy || null,
+            convertedBy: modelJson.convertedBy || null,
+            modelJsonSha256: await this.hashFile(modelJsonPath),
+            weights
+        };
+    }
+
+    async hashFile(filePath) {
+        const content = await fs.readFile(filePath);
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    /**
+     * Writes the manifest as a sidecar of a results file (results.csv or .json/.ndjson -> results.manifest.json)
+     * @param {string} csvPath - Path of the results file the manifest describes
+     * @param {Object} manifest - Provenance manifest
+     * @returns {string} Path of the written manifest
+     */
+    async writeSidecar(csvPath, manifest) {
+        return this.writeManifest(csvPath.replace(/\.(csv|json|ndjson)$/i, '') + '.manifest.json', manifest);
+    }
+
+    async writeManifest(manifestPath, manifest) {
+        await fs.ensureDir(path.dirname(manifestPath));
+        await fs.writeJson(manifestPath, manifest, { spaces: 2 });
+        return manifestPath;
+    }
+}
+
+export default Provenance;
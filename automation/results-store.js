@@ -0,0 +1,318 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createReadStream } from 'fs';
+import { fileURLToPath } from 'url';
+import csvParser from 'csv-parser';
+
+import { MODEL_MANIFEST } from '../src/modelRegistry.js';
+import { escapeCSVField } from '../src/csvExport.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// bumped when tables or columns change, stored as PRAGMA user_version
+const SCHEMA_VERSION = 1;
+
+const DEFAULT_RESULTS_STORE = {
+    enabled: false,
+    path: '../results/mir-results.sqlite' // relative to the automation directory
+};
+
+// summary CSV columns kept as typed columns of `analyses`, the full row is kept as JSON
+const ANALYSIS_COLUMNS = {
+    bpm: 'REAL',
+    bpm_confidence: 'REAL',
+    key: 'TEXT',
+    key_strength: 'REAL',
+    loudness_integrated: 'REAL',
+    dynamic_complexity: 'REAL',
+    rms: 'REAL',
+    spectral_centroid: 'REAL',
+    zero_crossing_rate: 'REAL',
+    onset_rate: 'REAL',
+    sampling: 'TEXT'
+};
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS runs (
+        run_id TEXT PRIMARY KEY,
+        workflow TEXT,
+        started_at TEXT,
+        finished_at TEXT,
+        settings TEXT,
+        csv_columns TEXT
+    );
+    CREATE TABLE IF NOT EXISTS tracks (
+        content_hash TEXT PRIMARY KEY,
+        filename TEXT NOT NULL,
+        path TEXT,
+        size INTEGER,
+        first_seen_at TEXT NOT NULL,
+        last_seen_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS analyses (
+        content_hash TEXT PRIMARY KEY REFERENCES tracks(content_hash) ON DELETE CASCADE,
+        run_id TEXT REFERENCES runs(run_id),
+        analyzed_at TEXT,
+        ${Object.entries(ANALYSIS_COLUMNS).map(([column, type]) => `${column} ${type},`).join('\n        ')}
+        csv_row TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS model_outputs (
+        content_hash TEXT NOT NULL REFERENCES tracks(content_hash) ON DELETE CASCADE,
+        model TEXT NOT NULL,
+        label TEXT NOT NULL,
+        value REAL,
+        PRIMARY KEY (content_hash, model, label)
+    );
+    CREATE INDEX IF NOT EXISTS analyses_run ON analyses(run_id);
+    CREATE INDEX IF NOT EXISTS model_outputs_label ON model_outputs(model, label, value);
+`;
+
+/**
+ * Fills in defaults and validates results store settings
+ * @param {Object} store - { enabled, path }
+ * @returns {Object} Normalized results store settings
+ */
+function normalizeResultsStore(store = {}) {
+    const normalized = { ...DEFAULT_RESULTS_STORE };
+    Object.entries(store || {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') normalized[key] = value;
+    });
+
+    normalized.enabled = normalized.enabled === true || normalized.enabled === 'true';
+    if (typeof normalized.path !== 'string') {
+        throw new RangeError(`Invalid results store path "${normalized.path}"`);
+    }
+
+    return normalized;
+}
+
+/**
+ * Optional SQLite store of analysis results, keyed by the SHA-256 of each file's content.
+ * Batches are upserted as they complete, so re-analysing a file replaces its previous results
+ * instead of adding a row, whatever its name or location. Tables:
+ *  - runs:          one row per upload/analyze run, with its settings and CSV column order
+ *  - tracks:        one row per distinct file content, with its latest name, path and size
+ *  - analyses:      latest results of each track (tempo, key, descriptors and the full CSV row)
+ *  - model_outputs: one row per track, model and label
+ */
+class ResultsStore {
+    constructor(config = {}) {
+        this.config = normalizeResultsStore(config);
+        this.db = null;
+    }
+
+    get databasePath() {
+        return path.resolve(__dirname, this.config.path);
+    }
+
+    async open() {
+        if (this.db) return this.db;
+
+        let Database;
+        try {
+            ({ default: Database } = await import('better-sqlite3'));
+        } catch (error) {
+            throw new Error(`The SQLite results store needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+        }
+
+        await fs.ensureDir(path.dirname(this.databasePath));
+        this.db = new Database(this.databasePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+
+        const version = this.db.pragma('user_version', { simple: true });
+        if (version > SCHEMA_VERSION) {
+            this.close();
+            throw new Error(`Results store ${this.databasePath} has schema version ${version}, this version supports ${SCHEMA_VERSION}`);
+        }
+        this.db.exec(SCHEMA);
+        this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+
+        const analysisColumns = ['content_hash', 'run_id', 'analyzed_at', ...Object.keys(ANALYSIS_COLUMNS), 'csv_row'];
+        this.statements = {
+            upsertRun: this.db.prepare(`
+                INSERT INTO runs (run_id, workflow, started_at, finished_at, settings)
+                VALUES (@runId, @workflow, @startedAt, @finishedAt, @settings)
+                ON CONFLICT(run_id) DO UPDATE SET
+                    finished_at = COALESCE(excluded.finished_at, finished_at),
+                    settings = COALESCE(excluded.settings, settings)`),
+            setRunColumns: this.db.prepare('UPDATE runs SET csv_columns = ? WHERE run_id = ?'),
+            upsertTrack: this.db.prepare(`
+                INSERT INTO tracks (content_hash, filename, path, size, first_seen_at, last_seen_at)
+                VALUES (@contentHash, @filename, @path, @size, @seenAt, @seenAt)
+                ON CONFLICT(content_hash) DO UPDATE SET
+                    filename = excluded.filename, path = excluded.path, size = excluded.size, last_seen_at = excluded.last_seen_at`),
+            hasAnalysis: this.db.prepare('SELECT 1 FROM analyses WHERE content_hash = ?'),
+            upsertAnalysis: this.db.prepare(`
+                INSERT INTO analyses (${analysisColumns.join(', ')})
+                VALUES (${analysisColumns.map(column => `@${column}`).join(', ')})
+                ON CONFLICT(content_hash) DO UPDATE SET
+                    ${analysisColumns.slice(1).map(column => `${column} = excluded.${column}`).join(', ')}`),
+            deleteModelOutputs: this.db.prepare('DELETE FROM model_outputs WHERE content_hash = ?'),
+            insertModelOutput: this.db.prepare('INSERT INTO model_outputs (content_hash, model, label, value) VALUES (?, ?, ?, ?)')
+        };
+
+        return this.db;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * Records a run, or its end and settings when called again with the same runId
+     * @param {Object} run - { runId, workflow, startedAt, finishedAt, settings }
+     */
+    async recordRun(run) {
+        await this.open();
+        this.statements.upsertRun.run({
+            runId: run.runId,
+            workflow: run.workflow || null,
+            startedAt: run.startedAt || null,
+            finishedAt: run.finishedAt || null,
+            settings: run.settings ? JSON.stringify(run.settings) : null
+        });
+    }
+
+    /**
+     * Upserts the rows of a batch CSV, matched to the batch's files by their `filename` column
+     * @param {string} csvPath - Batch CSV written by the analyze or upload workflow
+     * @param {Array<string>} filePaths - Files of the batch
+     * @param {Object} options - { runId, getContentHash(filePath) }
+     * @returns {Promise<Object>} { inserted, updated, unmatched }
+     */
+    async upsertBatchCSV(csvPath, filePaths, options = {}) {
+        await this.open();
+        const { header, rows } = await readCSVRows(csvPath);
+
+        // better-sqlite3 transactions are synchronous, so the files are hashed first
+        const unmatchedFiles = [...filePaths];
+        const entries = [];
+        let unmatched = 0;
+        for (const row of rows) {
+            const filePath = takeMatchingFile(unmatchedFiles, row.filename);
+            if (!filePath) {
+                unmatched++;
+                continue;
+            }
+            const stats = await fs.stat(filePath);
+            entries.push({
+                row,
+                filePath,
+                size: stats.size,
+                contentHash: await options.getContentHash(filePath)
+            });
+        }
+
+        const seenAt = new Date().toISOString();
+        const stats = { inserted: 0, updated: 0, unmatched };
+        this.db.transaction(() => {
+            if (options.runId) {
+                this.statements.setRunColumns.run(JSON.stringify(header), options.runId);
+            }
+
+            entries.forEach(({ row, filePath, size, contentHash }) => {
+                const exists = this.statements.hasAnalysis.get(contentHash);
+                this.statements.upsertTrack.run({ contentHash, filename: row.filename, path: filePath, size, seenAt });
+                this.statements.upsertAnalysis.run({
+                    content_hash: contentHash,
+                    run_id: options.runId || null,
+                    analyzed_at: row.analyzed_at || seenAt,
+                    ...Object.fromEntries(Object.entries(ANALYSIS_COLUMNS).map(([column, type]) => [
+                        column,
+                        type === 'REAL' ? toNumber(row[column]) : (row[column] || null)
+                    ])),
+                    csv_row: JSON.stringify(row)
+                });
+
+                this.statements.deleteModelOutputs.run(contentHash);
+                getRowModelOutputs(row).forEach(([model, label, value]) => {
+                    this.statements.insertModelOutput.run(contentHash, model, label, value);
+                });
+
+                stats[exists ? 'updated' : 'inserted']++;
+            });
+        })();
+
+        return stats;
+    }
+
+    /**
+     * Regenerates the summary CSV from the stored rows, in the column order of the latest run
+     * @returns {Promise<Object>} { csvContent, columns, rowCount }
+     */
+    async exportCSV() {
+        await this.open();
+        const rows = this.db.prepare(`
+            SELECT analyses.csv_row FROM analyses
+            JOIN tracks USING (content_hash)
+            ORDER BY tracks.filename, tracks.path`).all().map(({ csv_row }) => JSON.parse(csv_row));
+
+        const latest = this.db.prepare(`
+            SELECT csv_columns FROM runs WHERE csv_columns IS NOT NULL
+            ORDER BY started_at DESC LIMIT 1`).get();
+        const columns = latest ? JSON.parse(latest.csv_columns) : [];
+        // rows of earlier runs may have columns the latest run did not write
+        rows.forEach((row) => {
+            Object.keys(row).forEach((column) => {
+                if (!columns.includes(column)) columns.push(column);
+            });
+        });
+
+        const lines = [
+            columns.map(escapeCSVField).join(','),
+            ...rows.map(row => columns.map(column => escapeCSVField(row[column] ?? '')).join(','))
+        ];
+
+        return {
+            csvContent: lines.join('\n') + '\n',
+            columns,
+            rowCount: rows.length
+        };
+    }
+}
+
+function readCSVRows(csvPath) {
+    return new Promise((resolve, reject) => {
+        let header = [];
+        const rows = [];
+        createReadStream(csvPath, { encoding: 'utf8' })
+            .pipe(csvParser())
+            .on('headers', (headers) => { header = headers; })
+            .on('data', row => rows.push(row))
+            .on('end', () => resolve({ header, rows }))
+            .on('error', reject);
+    });
+}
+
+// CSV rows name files by basename (or relative path after a folder upload)
+function takeMatchingFile(filePaths, filename) {
+    if (!filename) return null;
+    const index = filePaths.findIndex(filePath =>
+        path.basename(filePath) === filename || filePath.split(path.sep).join('/').endsWith(`/${filename}`));
+    return index === -1 ? null : filePaths.splice(index, 1)[0];
+}
+
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// [model, label, value] of the model columns present in a CSV row, binary models under their positive label
+function getRowModelOutputs(row) {
+    return MODEL_MANIFEST.flatMap((model) => {
+        const columns = model.csvColumns || [];
+        const labels = model.output === 'binary' ? [model.positiveLabel] : (model.labels || []);
+        return columns
+            .map((column, i) => [model.name, labels[i], toNumber(row[column])])
+            .filter(([, label, value]) => label !== undefined && value !== null);
+    });
+}
+
+export { DEFAULT_RESULTS_STORE, normalizeResultsStore };
+export default ResultsStore;
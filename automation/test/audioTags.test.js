@@ -0,0 +1,164 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readTags, readStreamInfo } from '../../src/audioTags.js';
+
+// malformed files log what could not be read
+mock.method(console, 'warn', () => {});
+
+function uint16BE(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(value);
+    return buffer;
+}
+
+function uint32BE(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value);
+    return buffer;
+}
+
+function uint32LE(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value);
+    return buffer;
+}
+
+function synchsafe(value) {
+    return Buffer.from([(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f]);
+}
+
+function id3v23Frame(id, body) {
+    return Buffer.concat([Buffer.from(id), uint32BE(body.length), Buffer.alloc(2), body]);
+}
+
+function vorbisComment(comments) {
+    return Buffer.concat([
+        uint32LE(4), Buffer.from('test'),
+        uint32LE(comments.length),
+        ...comments.map(comment => Buffer.concat([uint32LE(Buffer.byteLength(comment)), Buffer.from(comment)]))
+    ]);
+}
+
+function oggPage(packet, granule) {
+    const header = Buffer.alloc(27);
+    header.write('OggS');
+    header.writeBigUInt64LE(BigInt(granule), 6);
+    header[26] = 1;
+    return Buffer.concat([header, Buffer.from([packet.length]), packet]);
+}
+
+// MP4 atom names like ©nam are latin1
+function atom(type, ...children) {
+    const content = Buffer.concat(children);
+    return Buffer.concat([uint32BE(8 + content.length), Buffer.from(type, 'latin1'), content]);
+}
+
+function riffChunk(id, body) {
+    return Buffer.concat([Buffer.from(id), uint32LE(body.length), body, Buffer.alloc(body.length % 2)]);
+}
+
+test('MP3: ID3v2 frames first, ID3v1 fills the gaps, stream info from the first MPEG frame', () => {
+    const frames = Buffer.concat([
+        id3v23Frame('TPE1', Buffer.concat([Buffer.from([1, 0xff, 0xfe]), Buffer.from('Søren', 'utf16le')])),
+        id3v23Frame('TIT2', Buffer.from('\0Song\0')),
+        id3v23Frame('TYER', Buffer.from('\x002019')),
+        id3v23Frame('TSRC', Buffer.from('\0us-abc-12-34567'))
+    ]);
+    const id3v2 = Buffer.concat([Buffer.from('ID3'), Buffer.from([3, 0, 0]), synchsafe(frames.length + 16), frames, Buffer.alloc(16)]);
+    // MPEG-1 layer III, 128 kbps, 44.1 kHz, joint stereo: one second of audio in 16000 bytes
+    const audio = Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x64]), Buffer.alloc(16000 - 4)]);
+    const id3v1 = Buffer.alloc(128);
+    id3v1.write('TAG');
+    id3v1.write('Other title', 3, 'latin1');
+    id3v1.write('Album', 63, 'latin1');
+    const file = Buffer.concat([id3v2, audio, id3v1]);
+
+    assert.deepEqual(readTags(file), {
+        artist: 'Søren', title: 'Song', album: 'Album', year: '2019', isrc: 'USABC1234567', duration: 1, format: 'id3v2.3'
+    });
+    assert.deepEqual(readStreamInfo(file), { sampleRate: 44100, channels: 2, duration: 1, format: 'id3v2.3' });
+});
+
+test('FLAC: STREAMINFO and Vorbis comments, album artist stands in for a missing artist', () => {
+    // 44.1 kHz, 2 channels, 16 bits, 88200 samples
+    const streamInfo = Buffer.concat([Buffer.alloc(10), Buffer.from([0x0a, 0xc4, 0x42, 0xf0]), uint32BE(88200), Buffer.alloc(16)]);
+    const comments = vorbisComment(['ALBUMARTIST=Band', 'title=Track', 'DATE=2020-05-01', 'ALBUM=Record']);
+    const file = Buffer.concat([
+        Buffer.from('fLaC'),
+        Buffer.from([0]), Buffer.from([0, 0, streamInfo.length]), streamInfo,
+        Buffer.from([0x84]), Buffer.from([0, 0, comments.length]), comments
+    ]);
+
+    assert.deepEqual(readTags(file), {
+        artist: 'Band', title: 'Track', album: 'Record', year: '2020', isrc: null, duration: 2, format: 'flac'
+    });
+    assert.deepEqual(readStreamInfo(file), { sampleRate: 44100, channels: 2, duration: 2, format: 'flac' });
+});
+
+test('Ogg Opus: OpusTags comments, duration from the last granule position minus the pre-skip', () => {
+    const head = Buffer.concat([Buffer.from('OpusHead'), Buffer.from([1, 1, 0x38, 0x01]), uint32LE(44100), Buffer.alloc(3)]);
+    const file = Buffer.concat([
+        oggPage(head, 0),
+        oggPage(Buffer.concat([Buffer.from('OpusTags'), vorbisComment(['ARTIST=Singer', 'ISRC=GB-XYZ-20-00001'])]), 0),
+        oggPage(Buffer.alloc(10), 3 * 48000 + 312)
+    ]);
+
+    const tags = readTags(file);
+    assert.equal(tags.artist, 'Singer');
+    assert.equal(tags.isrc, 'GBXYZ2000001');
+    assert.deepEqual(readStreamInfo(file), { sampleRate: 44100, channels: 1, duration: 3, format: 'opus' });
+});
+
+test('MP4: ilst items including the freeform ISRC, stream info from the sound track', () => {
+    const data = text => atom('data', uint32BE(1), Buffer.alloc(4), Buffer.from(text));
+    const fullAtom = (type, ...children) => atom(type, Buffer.alloc(4), ...children);
+    const sampleEntry = Buffer.concat([uint32BE(36), Buffer.from('mp4a'), Buffer.alloc(16), uint16BE(2), Buffer.alloc(10)]);
+    const file = Buffer.concat([
+        atom('ftyp', Buffer.from('M4A '), Buffer.alloc(4)),
+        atom('moov',
+            fullAtom('mvhd', Buffer.alloc(8), uint32BE(1000), uint32BE(2500), Buffer.alloc(80)),
+            atom('trak', atom('mdia',
+                fullAtom('mdhd', Buffer.alloc(8), uint32BE(48000), uint32BE(120000), Buffer.alloc(4)),
+                fullAtom('hdlr', Buffer.alloc(4), Buffer.from('soun'), Buffer.alloc(12)),
+                atom('minf', atom('stbl', fullAtom('stsd', uint32BE(1), sampleEntry)))
+            )),
+            atom('udta', fullAtom('meta', atom('ilst',
+                atom('©nam', data('Name')),
+                atom('aART', data('Album Artist')),
+                atom('©ART', data('Artist')),
+                atom('©day', data('2018-01-01T00:00:00Z')),
+                atom('----', fullAtom('mean', Buffer.from('com.apple.iTunes')), fullAtom('name', Buffer.from('isrc')), data('FR-ABC-18-00002'))
+            )))
+        )
+    ]);
+
+    assert.deepEqual(readTags(file), {
+        artist: 'Artist', title: 'Name', album: null, year: '2018', isrc: 'FRABC1800002', duration: 2.5, format: 'mp4'
+    });
+    assert.deepEqual(readStreamInfo(file), { sampleRate: 48000, channels: 2, duration: 2.5, format: 'mp4' });
+});
+
+test('WAV: RIFF INFO chunk with padded odd-sized values, duration from the data size', () => {
+    // PCM, mono, 22.05 kHz, 16 bits
+    const fmt = Buffer.concat([Buffer.from([1, 0, 1, 0]), uint32LE(22050), uint32LE(44100), Buffer.from([2, 0, 16, 0])]);
+    const info = Buffer.concat([Buffer.from('INFO'), riffChunk('INAM', Buffer.from('Odd\0')), riffChunk('IART', Buffer.from('Tri'))]);
+    const chunks = Buffer.concat([riffChunk('fmt ', fmt), riffChunk('LIST', info), riffChunk('data', Buffer.alloc(22050))]);
+    const file = Buffer.concat([Buffer.from('RIFF'), uint32LE(4 + chunks.length), Buffer.from('WAVE'), chunks]);
+
+    assert.deepEqual(readTags(file), {
+        artist: 'Tri', title: 'Odd', album: null, year: null, isrc: null, duration: 0.5, format: 'riff'
+    });
+    assert.deepEqual(readStreamInfo(file), { sampleRate: 22050, channels: 1, duration: 0.5, format: 'riff' });
+});
+
+test('unknown and truncated files give nulls instead of throwing', () => {
+    assert.deepEqual(readStreamInfo(new Uint8Array(64)), { sampleRate: null, channels: null, duration: null, format: null });
+
+    // ID3v2 header announcing more frames than the file has
+    const truncated = Buffer.concat([Buffer.from('ID3'), Buffer.from([3, 0, 0]), synchsafe(1000), id3v23Frame('TIT2', Buffer.from('\0Cut'))]);
+    const tags = readTags(truncated.buffer.slice(truncated.byteOffset, truncated.byteOffset + truncated.length));
+    assert.equal(tags.title, 'Cut');
+    assert.equal(tags.artist, null);
+    assert.equal(tags.format, 'id3v2.3');
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sampleAudio, getPatchSegments } from '../../src/audioUtils.js';
+
+const PATCH = 187 * 256; // MusiCNN patch, in samples
+const SAMPLE_RATE = 16000;
+
+// Sample i holds i, so the sampled audio shows which input positions were kept
+function ramp(length) {
+    return Float32Array.from({ length }, (_, i) => i);
+}
+
+// [start, end) input ranges kept by a strategy, read back from the sampled ramp
+function keptRanges(length, sampling) {
+    const out = sampleAudio(ramp(length), sampling);
+    const ranges = [];
+    out.forEach((value, i) => {
+        if (i > 0 && value === out[i - 1] + 1) {
+            ranges[ranges.length - 1][1] = value + 1;
+        } else {
+            ranges.push([value, value + 1]);
+        }
+    });
+    return ranges;
+}
+
+test('ratio keeps evenly spaced patches of the trimmed track', () => {
+    // one minute: 10% trimmed at each end, 15% of the rest kept as 3 patches, the last one cut at the region end
+    assert.deepEqual(keptRanges(60 * SAMPLE_RATE, { strategy: 'ratio', keepRatio: 0.15, trim: true }), [
+        [96000, 96000 + PATCH],
+        [470272, 470272 + PATCH],
+        [844544, 864000]
+    ]);
+});
+
+test('full, middle and patches keep the expected input ranges', () => {
+    assert.deepEqual(keptRanges(100000, { strategy: 'full' }), [[0, 100000]]);
+    // 3 seconds around the middle, trim does not apply
+    assert.deepEqual(keptRanges(10 * SAMPLE_RATE, { strategy: 'middle', seconds: 3, trim: true }), [[56000, 104000]]);
+    // first and last patch at the ends of the trimmed region
+    assert.deepEqual(keptRanges(60 * SAMPLE_RATE, { strategy: 'patches', numPatches: 3, trim: true }), [
+        [96000, 96000 + PATCH],
+        [456064, 456064 + PATCH],
+        [864000 - PATCH, 864000]
+    ]);
+    // more patches than fit: the whole region
+    assert.deepEqual(keptRanges(100000, { strategy: 'patches', numPatches: 10, trim: false }), [[0, 100000]]);
+});
+
+test('random picks non-overlapping patch slots, reproducible through the seed', () => {
+    const sampling = { strategy: 'random', numPatches: 4, seed: 7, trim: false };
+    const ranges = keptRanges(60 * SAMPLE_RATE, sampling);
+    const patches = ranges.flatMap(([start, end]) => {
+        assert.equal(start % PATCH, 0);
+        assert.equal((end - start) % PATCH, 0);
+        return Array.from({ length: (end - start) / PATCH }, (_, i) => start + i * PATCH);
+    });
+
+    assert.equal(patches.length, 4);
+    assert.deepEqual(keptRanges(60 * SAMPLE_RATE, sampling), ranges);
+    assert.notDeepEqual(keptRanges(60 * SAMPLE_RATE, { ...sampling, seed: 8 }), ranges);
+});
+
+test('patch segments point back to the original track, padding patches are null', () => {
+    const sampling = { strategy: 'ratio', keepRatio: 0.15, trim: true };
+    assert.deepEqual(getPatchSegments(60 * SAMPLE_RATE, 4, sampling), [
+        { start: 6, end: (96000 + PATCH) / SAMPLE_RATE },
+        { start: 29.392, end: (470272 + PATCH) / SAMPLE_RATE },
+        { start: 52.784, end: 54 },
+        null
+    ]);
+});
+
+test('shorter patches are located inside the kept chunks and cut at chunk ends', () => {
+    // VGGish patches of 0.975s over the chunks of the full strategy
+    const segments = getPatchSegments(100000, 5, { strategy: 'full' }, SAMPLE_RATE, 15600);
+    assert.deepEqual(segments.slice(2), [
+        { start: 1.95, end: 2.925 },
+        { start: 2.925, end: PATCH / SAMPLE_RATE },
+        { start: 3.9, end: 4.875 }
+    ]);
+});
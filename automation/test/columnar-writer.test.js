@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+import ColumnarWriter from '../columnar-writer.js';
+
+// one text, one float and one integer column, each with an empty cell
+const rows = [
+    { filename: 'a.wav', bpm: '120.5', sample_rate: '44100' },
+    { filename: '', bpm: '90', sample_rate: '48000' },
+    { filename: 'ü.mp3', bpm: '', sample_rate: '' }
+];
+
+function doubles(values) {
+    const buffer = Buffer.alloc(8 * values.length);
+    values.forEach((value, i) => buffer.writeDoubleLE(value, 8 * i));
+    return buffer;
+}
+
+function int64s(values) {
+    const buffer = Buffer.alloc(8 * values.length);
+    values.forEach((value, i) => buffer.writeBigInt64LE(BigInt(value), 8 * i));
+    return buffer;
+}
+
+function int32s(values) {
+    const buffer = Buffer.alloc(4 * values.length);
+    values.forEach((value, i) => buffer.writeInt32LE(value, 4 * i));
+    return buffer;
+}
+
+// Arrow buffers are 8-byte aligned inside the record batch body
+function padded(buffer) {
+    return Buffer.concat([buffer, Buffer.alloc((8 - (buffer.length % 8)) % 8)]);
+}
+
+test('the schema keeps declared column types and infers the others', () => {
+    const writer = new ColumnarWriter();
+    const schema = writer.inferSchema([...rows, { key: 'C major', tag_title: '7', mood_happy_top: 'happy' }]);
+
+    assert.deepEqual(schema, [
+        { name: 'filename', type: 'string' },
+        { name: 'bpm', type: 'float64' },
+        { name: 'sample_rate', type: 'int64' },
+        { name: 'key', type: 'string' },
+        { name: 'tag_title', type: 'string' },
+        { name: 'mood_happy_top', type: 'string' }
+    ]);
+});
+
+test('writeArrow lays out an Arrow IPC file with one record batch', () => {
+    const content = new ColumnarWriter().writeArrow(rows);
+
+    assert.deepEqual(content.subarray(0, 8), Buffer.from('ARROW1\0\0'));
+    assert.deepEqual(content.subarray(content.length - 6), Buffer.from('ARROW1'));
+    // the schema message follows the magic
+    assert.equal(content.readUInt32LE(8), 0xffffffff);
+    const footerLength = content.readInt32LE(content.length - 10);
+    assert.ok(footerLength > 0 && footerLength < content.length);
+
+    // record batch body: validity bitmap, then offsets and data for text or values for numbers, per column
+    const body = Buffer.concat([
+        padded(Buffer.from([0b101])),
+        padded(int32s([0, 5, 5, 11])),
+        padded(Buffer.from('a.wavü.mp3')),
+        padded(Buffer.from([0b011])),
+        doubles([120.5, 90, 0]),
+        padded(Buffer.from([0b011])),
+        int64s([44100, 48000, 0])
+    ]);
+    const endOfStream = Buffer.from([0xff, 0xff, 0xff, 0xff, 0, 0, 0, 0]);
+    const bodyStart = content.length - 6 - 4 - footerLength - endOfStream.length - body.length;
+    assert.deepEqual(content.subarray(bodyStart, bodyStart + body.length), body);
+    assert.deepEqual(content.subarray(bodyStart + body.length, bodyStart + body.length + 8), endOfStream);
+    assert.equal(bodyStart % 8, 0);
+});
+
+test('writeParquet lays out a Parquet file with plain encoded pages', () => {
+    const writer = new ColumnarWriter();
+    const content = writer.writeParquet(rows);
+
+    assert.deepEqual(content.subarray(0, 4), Buffer.from('PAR1'));
+    assert.deepEqual(content.subarray(content.length - 4), Buffer.from('PAR1'));
+    const metadataLength = content.readUInt32LE(content.length - 8);
+    const metadata = content.subarray(content.length - 8 - metadataLength, content.length - 8);
+    ['filename', 'bpm', 'sample_rate', writer.config.createdBy].forEach((name) => {
+        assert.ok(metadata.includes(Buffer.from(name)), `metadata names ${name}`);
+    });
+
+    // definition levels as RLE runs (run length * 2, level), then the non-null values
+    const pages = [
+        Buffer.concat([int32s([6]), Buffer.from([2, 1, 2, 0, 2, 1]), int32s([5]), Buffer.from('a.wav'), int32s([6]), Buffer.from('ü.mp3')]),
+        Buffer.concat([int32s([4]), Buffer.from([4, 1, 2, 0]), doubles([120.5, 90])]),
+        Buffer.concat([int32s([4]), Buffer.from([4, 1, 2, 0]), int64s([44100, 48000])])
+    ];
+    let position = 4;
+    pages.forEach((page) => {
+        const start = content.indexOf(page, position);
+        assert.ok(start > position, 'page follows its page header');
+        position = start + page.length;
+    });
+    assert.ok(position <= content.length - 8 - metadataLength);
+});
+
+test('countRows reads the row count of written files and rejects other files', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mir-columnar-'));
+    try {
+        const writer = new ColumnarWriter();
+        for (const format of ['arrow', 'parquet']) {
+            const filePath = path.join(directory, `results.${format}`);
+            const size = await writer.writeFile(filePath, rows, format);
+            assert.equal(size, (await fs.stat(filePath)).size);
+            assert.equal(await writer.countRows(filePath, format), rows.length);
+        }
+
+        const csvPath = path.join(directory, 'results.csv');
+        await fs.writeFile(csvPath, 'filename\na.wav\n');
+        await assert.rejects(writer.countRows(csvPath, 'parquet'), /Not a parquet file/);
+        await assert.rejects(writer.writeFile(csvPath, rows, 'csv'), RangeError);
+    } finally {
+        await fs.remove(directory);
+    }
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import DuplicateDetector, { computeFingerprint, compareFingerprints } from '../duplicate-detector.js';
+
+const SAMPLE_RATE = 16000;
+
+// One decaying sine per second at 16kHz, optionally quieter or starting later
+function melody(notes, { gain = 1, delay = 0 } = {}) {
+    const signal = new Float32Array(delay + notes.length * SAMPLE_RATE);
+    notes.forEach((note, n) => {
+        const frequency = 440 * Math.pow(2, (note - 69) / 12);
+        for (let i = 0; i < SAMPLE_RATE; i++) {
+            signal[delay + n * SAMPLE_RATE + i] = gain * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) * (1 - i / SAMPLE_RATE);
+        }
+    });
+    return signal;
+}
+
+const TUNE = [60, 64, 67, 72, 65, 69, 62, 71];
+const OTHER_TUNE = [61, 66, 70, 63, 68, 58, 73, 56];
+
+test('fingerprints survive gain changes and small offsets but tell different recordings apart', () => {
+    const original = computeFingerprint(melody(TUNE));
+    const quieterAndLater = computeFingerprint(melody(TUNE, { gain: 0.3, delay: 4000 }));
+    const other = computeFingerprint(melody(OTHER_TUNE));
+
+    assert.equal(original.duration, 8);
+    assert.equal(original.frames, 31);
+    assert.equal(compareFingerprints(original, original), 1);
+    assert.ok(compareFingerprints(original, quieterAndLater) > 0.99);
+    assert.ok(compareFingerprints(original, other) < 0.5);
+    // too short to overlap on enough frames
+    assert.equal(compareFingerprints(original, computeFingerprint(melody([60]))), 0);
+});
+
+test('exact duplicates are grouped by hash and the largest copy is kept', () => {
+    const detector = new DuplicateDetector();
+    const groups = detector.findDuplicates([
+        { path: '/music/a.mp3', hash: 'h1', size: 100 },
+        { path: '/music/b.mp3', hash: 'h2', size: 100 },
+        { path: '/music/copy/a.mp3', hash: 'h1', size: 100 },
+        { path: '/music/a.flac', hash: 'h3', size: 500 }
+    ]);
+
+    assert.deepEqual(groups, [{
+        kind: 'exact',
+        keep: '/music/a.mp3',
+        duplicates: [{ path: '/music/copy/a.mp3', exact: true }],
+        similarity: 1
+    }]);
+});
+
+test('near duplicates join exact groups when fingerprints match within the duration tolerance', () => {
+    const tune = computeFingerprint(melody(TUNE));
+    const files = [
+        { path: '/music/tune.mp3', hash: 'h1', size: 100, fingerprint: tune },
+        { path: '/music/tune-copy.mp3', hash: 'h1', size: 100, fingerprint: tune },
+        { path: '/music/tune.flac', hash: 'h2', size: 800, fingerprint: computeFingerprint(melody(TUNE, { gain: 0.5, delay: 4000 })) },
+        { path: '/music/other.mp3', hash: 'h3', size: 100, fingerprint: computeFingerprint(melody(OTHER_TUNE)) },
+        // same start, but much longer than the others
+        { path: '/music/tune-extended.mp3', hash: 'h4', size: 300, fingerprint: computeFingerprint(melody([...TUNE, ...TUNE])) }
+    ];
+
+    assert.equal(new DuplicateDetector().findDuplicates(files)[0].kind, 'exact');
+
+    const groups = new DuplicateDetector({ nearDuplicates: true, threshold: 0.95 }).findDuplicates(files);
+    assert.equal(groups.length, 1);
+    assert.equal(groups[0].kind, 'near');
+    assert.equal(groups[0].keep, '/music/tune.flac');
+    assert.deepEqual(groups[0].duplicates, [
+        { path: '/music/tune.mp3', exact: false },
+        { path: '/music/tune-copy.mp3', exact: false }
+    ]);
+    assert.ok(groups[0].similarity >= 0.95 && groups[0].similarity <= 1);
+});
@@ -0,0 +1,123 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+import FileManager from '../file-manager.js';
+
+// discovery progress and warnings are not part of the assertions
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+// File manager with its cache and state files in a temporary directory, as a new run would create it
+function createFileManager(directory, config) {
+    const fileManager = new FileManager(config);
+    fileManager.hashCacheFile = path.join(directory, 'file-hash-cache.json');
+    fileManager.stateFile = path.join(directory, 'file-processing-state.json');
+    fileManager.duplicateReportDirectory = path.join(directory, 'logs');
+    return fileManager;
+}
+
+// Discovers the audio directory and marks every queued file as analysed by the given run
+async function analyseAll(fileManager, audioDirectory, runId) {
+    fileManager.runId = runId;
+    await fileManager.discoverFiles(audioDirectory);
+    fileManager.createBatches();
+    let batch;
+    while ((batch = fileManager.getNextBatch())) {
+        fileManager.markBatchStarted(batch.id);
+        await fileManager.markBatchCompleted(batch.id, batch.files);
+    }
+}
+
+async function setup() {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mir-file-manager-'));
+    const audioDirectory = path.join(directory, 'audio');
+    await fs.ensureDir(audioDirectory);
+    await fs.writeFile(path.join(audioDirectory, 'a.wav'), Buffer.alloc(2048, 1));
+    await fs.writeFile(path.join(audioDirectory, 'b.mp3'), Buffer.alloc(2048, 2));
+    return { directory, audioDirectory };
+}
+
+test('a rerun with the same settings skips analysed files and names their results file', async () => {
+    const { directory, audioDirectory } = await setup();
+    try {
+        const first = createFileManager(directory);
+        first.setAnalysisSettings({ sampling: { strategy: 'ratio', keepRatio: 0.15 }, descriptors: { enabled: false } });
+        await analyseAll(first, audioDirectory, 'run-1');
+        await first.recordResultsFile('run-1', 'music_analysis_results_01.csv');
+
+        const rerun = createFileManager(directory);
+        // same settings in another key order
+        rerun.setAnalysisSettings({ descriptors: { enabled: false }, sampling: { keepRatio: 0.15, strategy: 'ratio' } });
+        const discovery = await rerun.discoverFiles(audioDirectory);
+
+        assert.equal(discovery.totalFiles, 0);
+        assert.equal(discovery.skippedFiles, 2);
+        assert.deepEqual(rerun.getSkippedResults(), { 'music_analysis_results_01.csv': 2 });
+    } finally {
+        await fs.remove(directory);
+    }
+});
+
+test('a rerun with changed analysis options does not skip', async () => {
+    const { directory, audioDirectory } = await setup();
+    try {
+        const first = createFileManager(directory);
+        first.setAnalysisSettings({ sampling: { strategy: 'ratio', keepRatio: 0.15 }, descriptors: { enabled: false } });
+        await analyseAll(first, audioDirectory, 'run-1');
+
+        const rerun = createFileManager(directory);
+        rerun.setAnalysisSettings({ sampling: { strategy: 'ratio', keepRatio: 0.15 }, descriptors: { enabled: true } });
+        const discovery = await rerun.discoverFiles(audioDirectory);
+
+        assert.equal(discovery.totalFiles, 2);
+        assert.equal(discovery.skippedFiles, 0);
+    } finally {
+        await fs.remove(directory);
+    }
+});
+
+test('concurrent batch completions all reach the hash cache', async () => {
+    const { directory, audioDirectory } = await setup();
+    try {
+        const fileManager = createFileManager(directory);
+        await fileManager.discoverFiles(audioDirectory);
+        fileManager.createBatches(null, 1);
+        const completions = [];
+        let batch;
+        while ((batch = fileManager.getNextBatch())) {
+            fileManager.markBatchStarted(batch.id);
+            completions.push(fileManager.markBatchCompleted(batch.id, batch.files));
+        }
+        await Promise.all(completions);
+
+        const cache = await fs.readJson(fileManager.hashCacheFile);
+        assert.equal(Object.keys(cache.analysed).length, 2);
+    } finally {
+        await fs.remove(directory);
+    }
+});
+
+test('files that could not be fingerprinted are fingerprinted again on the next discovery', async () => {
+    const { directory, audioDirectory } = await setup();
+    try {
+        const config = { duplicates: { nearDuplicates: true } };
+        const first = createFileManager(directory, config);
+        mock.method(first.duplicateDetector, 'fingerprintFile', async () => {
+            throw new Error('file is locked');
+        });
+        await first.discoverFiles(audioDirectory);
+
+        const rerun = createFileManager(directory, config);
+        const fingerprintFile = mock.method(rerun.duplicateDetector, 'fingerprintFile', async () => ({ duration: 1, frames: 0, data: '' }));
+        await rerun.discoverFiles(audioDirectory);
+
+        assert.equal(fingerprintFile.mock.callCount(), 2);
+        const cache = await fs.readJson(rerun.hashCacheFile);
+        assert.equal(Object.keys(cache.fingerprints).length, 2);
+    } finally {
+        await fs.remove(directory);
+    }
+});
@@ -2,6 +2,10 @@ import chalk from 'chalk';
 import ora from 'ora';
 import path from 'path';
 import fs from 'fs-extra';
+import { createReadStream } from 'fs';
+import csvParser from 'csv-parser';
+import { parseRecords } from '../src/jsonExport.js';
+import { flagAudio } from '../src/audioUtils.js';
 
 class UploadWorkflow {
     constructor(server, browserAutomation, fileManager, config = {}) {
@@ -16,10 +20,13 @@ class UploadWorkflow {
             retryDelay: 5000,
             enableMemoryMonitoring: true,
             enableProgressReporting: true,
+            audioChecks: {}, // { minDuration, sampleRates }, see normalizeAudioChecks in src/audioUtils.js
             ...config
         };
         
         this.spinner = null;
+        this.runId = null;
+        this.resultsStore = null;
         this.workflowStats = {
             totalBatches: 0,
             processedBatches: 0,
@@ -29,7 +36,8 @@ class UploadWorkflow {
             failedFiles: 0,
             startTime: null,
             endTime: null,
-            csvDownloads: []
+            csvDownloads: [],
+            suspiciousTracks: []
         };
     }
     
@@ -39,6 +47,8 @@ class UploadWorkflow {
             console.log(chalk.blue.bold('═'.repeat(40)));
             
             this.workflowStats.startTime = new Date();
+            this.runId = options.runId || null;
+            this.resultsStore = options.resultsStore || null;
             
             // Step 1: Clean up previous batch files for fresh start
             await this.cleanupPreviousBatchFiles();
@@ -83,7 +93,7 @@ class UploadWorkflow {
             
             if (await fs.pathExists(batchDir)) {
                 const files = await fs.readdir(batchDir);
-                const batchFiles = files.filter(file => file.startsWith('batch_') && file.endsWith('.csv'));
+                const batchFiles = files.filter(file => file.startsWith('batch_') && /\.(csv|json|ndjson)$/.test(file));
                 
                 if (batchFiles.length > 0) {
                     for (const file of batchFiles) {
@@ -148,7 +158,9 @@ class UploadWorkflow {
             const discovery = await this.fileManager.discoverFiles(directoryPath);
             
             if (discovery.totalFiles === 0) {
-                this.spinner.warn('No audio files found');
+                this.spinner.warn(discovery.skippedFiles + discovery.skippedDuplicates > 0
+                    ? `No new audio files: ${discovery.skippedFiles} already analysed (use --force to re-analyse), ${discovery.skippedDuplicates} duplicates`
+                    : 'No audio files found');
                 return;
             }
             
@@ -196,6 +208,7 @@ class UploadWorkflow {
                     if (batchResult.csvDownload) {
                         this.workflowStats.csvDownloads.push(batchResult.csvDownload);
                     }
+                    this.workflowStats.suspiciousTracks.push(...batchResult.suspiciousTracks);
                     
                     // Update progress display immediately after batch completion
                     this.displayBatchProgress();
@@ -237,6 +250,7 @@ class UploadWorkflow {
             analysisTime: 0,
             downloadTime: 0,
             csvDownload: null,
+            suspiciousTracks: [],
             error: null
         };
         
@@ -266,17 +280,19 @@ class UploadWorkflow {
             
             batchResult.processedFiles = analysisResult.processedCount;
             
-            // Step 3: Download CSV results
+            // Step 3: Download CSV (or JSON/NDJSON, see --format) results
             const downloadStartTime = Date.now();
             const csvResult = await this.downloadBatchCSV(batch);
             batchResult.downloadTime = Date.now() - downloadStartTime;
             
             if (csvResult.success) {
                 batchResult.csvDownload = csvResult;
+                await this.storeBatchResults(batch, csvResult.filePath);
+                batchResult.suspiciousTracks = await this.flagSuspiciousTracks(csvResult.filePath);
             }
             
             // Mark batch as completed
-            this.fileManager.markBatchCompleted(batch.id, batch.files);
+            await this.fileManager.markBatchCompleted(batch.id, batch.files);
             
             batchResult.success = true;
             console.log(chalk.green(`   ✓ Batch ${batch.id} completed successfully`));
@@ -364,15 +380,17 @@ class UploadWorkflow {
     }
     
     async downloadBatchCSV(batch) {
+        const format = this.config.format || 'csv';
+        const label = format.toUpperCase();
         try {
-            // Check if CSV download is ready
-            const csvReady = await this.browser.isCSVDownloadReady();
+            // Check if download is ready
+            const csvReady = await this.browser.isCSVDownloadReady(format);
             if (!csvReady) {
-                console.log(chalk.yellow(`   ⚠️ CSV download not ready for batch ${batch.id}, skipping`));
-                return { success: false, error: 'CSV not ready' };
+                console.log(chalk.yellow(`   ⚠️ ${label} download not ready for batch ${batch.id}, skipping`));
+                return { success: false, error: `${label} not ready` };
             }
             
-            this.spinner = ora('Downloading CSV results...').start();
+            this.spinner = ora(`Downloading ${label} results...`).start();
             
             // Create batch-specific download directory
             const batchDownloadDir = path.join(
@@ -383,18 +401,18 @@ class UploadWorkflow {
             
 
             
-            // Download CSV with batch-specific naming
-            const csvResult = await this.browser.downloadCSV(batchDownloadDir);
+            // Download with batch-specific naming
+            const csvResult = await this.browser.downloadResults(batchDownloadDir, format);
             
-            console.log(chalk.gray(`   🔍 CSV download result: success=${csvResult.success}, filename=${csvResult.filename}`));
+            console.log(chalk.gray(`   🔍 ${label} download result: success=${csvResult.success}, filename=${csvResult.filename}`));
             
             if (csvResult.success) {
                 // Check if original file exists and has content
                 if (await fs.pathExists(csvResult.filePath)) {
                     const stats = await fs.stat(csvResult.filePath);
-                    console.log(chalk.gray(`   📊 Original CSV size: ${stats.size} bytes`));
+                    console.log(chalk.gray(`   📊 Original ${label} size: ${stats.size} bytes`));
                 } else {
-                    console.log(chalk.yellow(`   ⚠️ Original CSV file not found: ${csvResult.filePath}`));
+                    console.log(chalk.yellow(`   ⚠️ Original ${label} file not found: ${csvResult.filePath}`));
                 }
                 
                 // Rename file to include batch information
@@ -406,15 +424,17 @@ class UploadWorkflow {
                 // Check final file
                 if (await fs.pathExists(batchFilePath)) {
                     const finalStats = await fs.stat(batchFilePath);
-                    console.log(chalk.gray(`   📊 Final batch CSV size: ${finalStats.size} bytes`));
+                    console.log(chalk.gray(`   📊 Final batch ${label} size: ${finalStats.size} bytes`));
                 } else {
-                    console.log(chalk.red(`   ❌ Final batch CSV not found: ${batchFilePath}`));
+                    console.log(chalk.red(`   ❌ Final batch ${label} not found: ${batchFilePath}`));
                 }
                 
-                // Verify CSV integrity
-                const isValid = await this.verifyCsvIntegrity(batchFilePath, batch.files.length);
+                // Verify integrity
+                const isValid = format === 'csv'
+                    ? await this.verifyCsvIntegrity(batchFilePath, batch.files.length)
+                    : await this.verifyRecordIntegrity(batchFilePath, format, batch.files.length);
                 
-                this.spinner.succeed(`CSV downloaded: ${batchFilename}`);
+                this.spinner.succeed(`${label} downloaded: ${batchFilename}`);
                 
                 return {
                     success: true,
@@ -425,11 +445,11 @@ class UploadWorkflow {
                     batchId: batch.id
                 };
             } else {
-                throw new Error('CSV download failed');
+                throw new Error(`${label} download failed`);
             }
             
         } catch (error) {
-            this.spinner.fail(`CSV download failed: ${error.message}`);
+            this.spinner.fail(`${label} download failed: ${error.message}`);
             return {
                 success: false,
                 error: error.message
@@ -437,6 +457,56 @@ class UploadWorkflow {
         }
     }
     
+    // Upsert the batch into the SQLite results store (--db); a failure only leaves the store behind, not the batch
+    async storeBatchResults(batch, filePath) {
+        if (!this.resultsStore) return;
+        
+        if ((this.config.format || 'csv') !== 'csv') {
+            console.log(chalk.yellow(`   ⚠️ Results store is filled from batch CSVs, batch ${batch.id} (${this.config.format}) not stored`));
+            return;
+        }
+        
+        try {
+            const stats = await this.resultsStore.upsertBatchCSV(filePath, batch.files, {
+                runId: this.runId,
+                getContentHash: file => this.fileManager.getContentHash(file)
+            });
+            console.log(chalk.gray(`   🗄️ Results store: ${stats.inserted} new, ${stats.updated} updated`
+                + (stats.unmatched > 0 ? `, ${stats.unmatched} rows without a matching file` : '')));
+        } catch (error) {
+            console.warn(chalk.yellow(`   ⚠️ Results store update failed: ${error.message}`));
+        }
+    }
+    
+    // Tracks whose duration, channel layout or sample rate looks wrong for a music file, read back from the batch results
+    async flagSuspiciousTracks(filePath) {
+        const format = this.config.format || 'csv';
+        try {
+            const tracks = format === 'csv'
+                ? (await readCSVRows(filePath)).map(row => ({
+                    file: row.filename,
+                    duration: parseFloat(row.duration),
+                    sampleRate: parseInt(row.sample_rate),
+                    channels: parseInt(row.channels),
+                    channelLayout: row.channel_layout
+                }))
+                : parseRecords(await fs.readFile(filePath, 'utf8'), format).map(record => ({ file: record.filename, ...record.audio }));
+            
+            const suspicious = tracks
+                .map(track => ({ ...track, flags: flagAudio(track, this.config.audioChecks) }))
+                .filter(track => track.flags.length > 0);
+            
+            if (suspicious.length > 0) {
+                console.log(chalk.yellow(`   ⚠️ ${suspicious.length} suspicious inputs:`));
+                suspicious.forEach(track => console.log(chalk.gray(`     - ${track.file}: ${track.flags.join(', ')}`)));
+            }
+            return suspicious;
+        } catch (error) {
+            console.warn(chalk.yellow(`   ⚠️ Could not check audio properties: ${error.message}`));
+            return [];
+        }
+    }
+    
     async verifyCsvIntegrity(csvPath, expectedRows) {
         try {
             const csvContent = await fs.readFile(csvPath, 'utf8');
@@ -465,6 +535,29 @@ class UploadWorkflow {
         }
     }
     
+    async verifyRecordIntegrity(filePath, format, expectedRows) {
+        try {
+            const records = parseRecords(await fs.readFile(filePath, 'utf8'), format);
+            
+            if (records.length === 0) {
+                console.warn(chalk.yellow(`   ⚠️ ${format.toUpperCase()} contains no records`));
+                return false;
+            }
+            
+            const expectedRange = [Math.floor(expectedRows * 0.8), expectedRows * 1.2]; // 80-120% range
+            if (records.length < expectedRange[0] || records.length > expectedRange[1]) {
+                console.warn(chalk.yellow(`   ⚠️ Record count seems off: ${records.length} records, expected ~${expectedRows}`));
+            }
+            
+            console.log(chalk.gray(`   📊 ${format.toUpperCase()} verified: ${records.length} records`));
+            return true;
+            
+        } catch (error) {
+            console.warn(chalk.yellow(`   ⚠️ ${format.toUpperCase()} verification failed: ${error.message}`));
+            return false;
+        }
+    }
+    
     async clearBrowserUploadState() {
         try {
             // Reset any previous file selections
@@ -673,6 +766,15 @@ class UploadWorkflow {
             : '0';
         console.log(chalk.blue(`  Success rate: ${successRate}%`));
         
+        if (this.workflowStats.suspiciousTracks.length > 0) {
+            const counts = {};
+            this.workflowStats.suspiciousTracks.forEach(track => track.flags.forEach((flag) => {
+                counts[flag] = (counts[flag] || 0) + 1;
+            }));
+            console.log(chalk.white.bold('\nSuspicious Inputs:'));
+            Object.entries(counts).forEach(([flag, count]) => console.log(chalk.yellow(`  ${flag}: ${count}`)));
+        }
+        
         console.log(chalk.white.bold('\nCSV Downloads:'));
         console.log(chalk.white(`  Total downloads: ${this.workflowStats.csvDownloads.length}`));
         const validDownloads = this.workflowStats.csvDownloads.filter(d => d.isValid).length;
@@ -708,4 +810,15 @@ class UploadWorkflow {
     }
 }
 
+function readCSVRows(csvPath) {
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        createReadStream(csvPath, { encoding: 'utf8' })
+            .pipe(csvParser())
+            .on('data', row => rows.push(row))
+            .on('end', () => resolve(rows))
+            .on('error', reject);
+    });
+}
+
 export default UploadWorkflow; 
\ No newline at end of file
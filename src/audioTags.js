@@ -0,0 +1,566 @@
+/**
+ * Embedded tag reader for the upload path (browser) and FileManager (Node).
+ * Reads artist, title, album, year, ISRC and the container's duration from ID3v1/v2 (MP3),
+ * Vorbis comments (FLAC, Ogg Vorbis/Opus), MP4 atoms (M4A/AAC) and RIFF INFO chunks (WAV),
+ * so results can be joined back to catalog metadata without relying on filenames.
+ * Works on the raw file bytes, nothing is decoded. readStreamInfo returns the sample rate and
+ * channel count the same headers declare, which the browser loses when decodeAudioData resamples.
+ */
+
+const TAG_FIELDS = ['artist', 'title', 'album', 'year', 'isrc', 'duration'];
+
+/**
+ * Optional tag columns, inserted after `filename` when `generateCSV` is called with `tags: true`.
+ * `tag_duration` is the duration the container declares, in seconds.
+ */
+const TAG_CSV_COLUMNS = TAG_FIELDS.map(field => `tag_${field}`);
+
+const DEFAULT_TAGS = {
+    enabled: false
+};
+
+const ID3V2_FRAMES = {
+    TPE1: 'artist', TP1: 'artist',
+    TIT2: 'title', TT2: 'title',
+    TALB: 'album', TAL: 'album',
+    TYER: 'year', TYE: 'year', TDRC: 'year', TORY: 'year', TDOR: 'year',
+    TSRC: 'isrc', TRC: 'isrc',
+    TLEN: 'duration', TLE: 'duration'
+};
+
+// Vorbis comment names and MP4 atoms of each field, in order of preference (album artist only stands in for a missing artist)
+const VORBIS_FIELDS = {
+    artist: ['ARTIST', 'ALBUMARTIST'],
+    title: ['TITLE'],
+    album: ['ALBUM'],
+    year: ['DATE', 'YEAR'],
+    isrc: ['ISRC']
+};
+
+const MP4_ATOMS = {
+    artist: ['©ART', 'aART'],
+    title: ['©nam'],
+    album: ['©alb'],
+    year: ['©day'],
+    isrc: ['----:ISRC']
+};
+
+const RIFF_INFO_FIELDS = {
+    IART: 'artist',
+    INAM: 'title',
+    IPRD: 'album',
+    ICRD: 'year',
+    ISRC: 'isrc'
+};
+
+// MPEG audio: bitrates (kbps) by [version][layer] and sample rates by version
+const MPEG_BITRATES = {
+    1: {
+        1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+        2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+        3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+    },
+    2: {
+        1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+        2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+        3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+    }
+};
+const MPEG_SAMPLE_RATES = { 1: [44100, 48000, 32000], 2: [22050, 24000, 16000], 2.5: [11025, 12000, 8000] };
+
+function normalizeTags (tags = {}) {
+    const enabled = tags?.enabled;
+    return {
+        ...DEFAULT_TAGS,
+        enabled: enabled === true || enabled === 'true'
+    };
+}
+
+/**
+ * Reads the embedded tags of an audio file
+ * @param {ArrayBuffer|Uint8Array} buffer - Complete file content (MP4 and ID3v1 tags can sit at the end)
+ * @returns {Object} { artist, title, album, year, isrc, duration, format }, fields not found are null
+ */
+function readTags(buffer) {
+    const tags = readContainer(buffer);
+    return {
+        ...Object.fromEntries(TAG_FIELDS.map(field => [field, tags[field]])),
+        format: tags.format
+    };
+}
+
+/**
+ * Reads the stream properties declared by an audio file's headers
+ * @param {ArrayBuffer|Uint8Array} buffer - Complete file content
+ * @returns {Object} { sampleRate, channels, duration, format }, properties not found are null
+ */
+function readStreamInfo(buffer) {
+    const { sampleRate, channels, duration, format } = readContainer(buffer);
+    return { sampleRate, channels, duration, format };
+}
+
+function readContainer(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const tags = Object.fromEntries(TAG_FIELDS.map(field => [field, null]));
+    tags.format = null;
+    tags.sampleRate = null;
+    tags.channels = null;
+
+    try {
+        if (ascii(bytes, 0, 3) === 'ID3' || isMPEGFrame(bytes, 0)) {
+            readMP3(bytes, tags);
+        } else if (ascii(bytes, 0, 4) === 'fLaC') {
+            readFLAC(bytes, tags);
+        } else if (ascii(bytes, 0, 4) === 'OggS') {
+            readOgg(bytes, tags);
+        } else if (ascii(bytes, 4, 4) === 'ftyp') {
+            readMP4(bytes, tags);
+        } else if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WAVE') {
+            readWAV(bytes, tags);
+        }
+    } catch (error) {
+        // truncated or malformed tags: keep whatever was read before the error
+        console.warn(`Could not read all tags: ${error.message}`);
+    }
+
+    tags.year = normalizeYear(tags.year);
+    tags.isrc = tags.isrc ? tags.isrc.replace(/[-\s]/g, '').toUpperCase() : null;
+    tags.duration = Number.isFinite(tags.duration) && tags.duration > 0 ? Math.round(tags.duration * 1000) / 1000 : null;
+    return tags;
+}
+
+function readMP3(bytes, tags) {
+    let audioStart = 0;
+    if (ascii(bytes, 0, 3) === 'ID3') {
+        audioStart = readID3v2(bytes, tags);
+    }
+
+    // ID3v1 at the end only fills what ID3v2 did not have
+    let audioEnd = bytes.length;
+    if (bytes.length >= 128 && ascii(bytes, bytes.length - 128, 3) === 'TAG') {
+        audioEnd -= 128;
+        tags.format = tags.format || 'id3v1';
+        const fields = { title: 3, artist: 33, album: 63 };
+        Object.entries(fields).forEach(([field, offset]) => {
+            tags[field] = tags[field] || trimText(latin1(bytes.subarray(bytes.length - 128 + offset, bytes.length - 128 + offset + 30)));
+        });
+        tags.year = tags.year || trimText(latin1(bytes.subarray(bytes.length - 35, bytes.length - 31)));
+    }
+
+    const frame = readMPEGFrame(bytes, audioStart, audioEnd);
+    if (frame) {
+        tags.sampleRate = frame.sampleRate;
+        tags.channels = frame.channels;
+        tags.duration = tags.duration || frame.duration;
+    }
+}
+
+// Returns the offset of the first byte after the tag
+function readID3v2(bytes, tags) {
+    const version = bytes[3];
+    const flags = bytes[5];
+    const tagEnd = 10 + synchsafe(bytes, 6);
+    tags.format = `id3v2.${version}`;
+    if (version < 2 || version > 4) return tagEnd;
+
+    // ID3v2.2/2.3 unsynchronise the whole tag, 2.4 each frame
+    let data = bytes.subarray(10, Math.min(tagEnd, bytes.length));
+    if (version < 4 && (flags & 0x80)) data = resynchronise(data);
+
+    let offset = 0;
+    if (version > 2 && (flags & 0x40)) {
+        offset = version === 3 ? 4 + uint32(data, 0) : synchsafe(data, 0);
+    }
+
+    const idLength = version === 2 ? 3 : 4;
+    const headerLength = version === 2 ? 6 : 10;
+    while (offset + headerLength <= data.length) {
+        const id = ascii(data, offset, idLength);
+        if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+
+        const size = version === 2 ? uint24(data, offset + 3) : (version === 4 ? synchsafe(data, offset + 4) : uint32(data, offset + 4));
+        const formatFlags = version === 2 ? 0 : data[offset + 9];
+        let frame = data.subarray(offset + headerLength, offset + headerLength + size);
+        offset += headerLength + size;
+
+        const field = ID3V2_FRAMES[id];
+        if (!field || tags[field]) continue;
+        if (version === 3 && (formatFlags & 0xc0)) continue; // compressed or encrypted
+        if (version === 4) {
+            if (formatFlags & 0x0c) continue; // compressed or encrypted
+            if (formatFlags & 0x02) frame = resynchronise(frame);
+            if (formatFlags & 0x01) frame = frame.subarray(4); // data length indicator
+        }
+
+        const value = decodeID3Text(frame);
+        if (field === 'duration') {
+            tags.duration = Number(value) / 1000 || null; // TLEN is in milliseconds
+        } else {
+            tags[field] = value;
+        }
+    }
+
+    return tagEnd;
+}
+
+// Text frame: encoding byte then one or more null separated strings
+function decodeID3Text(frame) {
+    if (frame.length < 2) return null;
+    const encoding = frame[0];
+    const body = frame.subarray(1);
+    let text;
+    if (encoding === 1) {
+        text = decodeUTF16(body);
+    } else if (encoding === 2) {
+        text = new TextDecoder('utf-16be').decode(body);
+    } else if (encoding === 3) {
+        text = utf8(body);
+    } else {
+        text = latin1(body);
+    }
+    return trimText(text.split('\0').filter(Boolean).join('; '));
+}
+
+// UTF-16 with a byte order mark before each string
+function decodeUTF16(body) {
+    const strings = [];
+    let start = 0;
+    for (let i = 0; i + 1 < body.length; i += 2) {
+        if (body[i] === 0 && body[i + 1] === 0) {
+            strings.push(body.subarray(start, i));
+            start = i + 2;
+        }
+    }
+    strings.push(body.subarray(start));
+    return strings.map((string) => {
+        if (string[0] === 0xfe && string[1] === 0xff) return new TextDecoder('utf-16be').decode(string.subarray(2));
+        if (string[0] === 0xff && string[1] === 0xfe) return new TextDecoder('utf-16le').decode(string.subarray(2));
+        return new TextDecoder('utf-16le').decode(string);
+    }).join('\0');
+}
+
+function resynchronise(data) {
+    const out = [];
+    for (let i = 0; i < data.length; i++) {
+        out.push(data[i]);
+        if (data[i] === 0xff && data[i + 1] === 0x00) i++;
+    }
+    return Uint8Array.from(out);
+}
+
+function isMPEGFrame(bytes, offset) {
+    return offset + 4 <= bytes.length && bytes[offset] === 0xff && (bytes[offset + 1] & 0xe0) === 0xe0
+        && ((bytes[offset + 1] >> 1) & 0x03) !== 0 && (bytes[offset + 2] >> 4) !== 0x0f && ((bytes[offset + 2] >> 2) & 0x03) !== 0x03;
+}
+
+// Stream properties of the first frame, the duration from the Xing/Info or VBRI frame count
+// of a VBR file, else from the bitrate of the first frame
+function readMPEGFrame(bytes, start, end) {
+    let offset = start;
+    const searchEnd = Math.min(end - 4, start + 65536);
+    while (offset < searchEnd && !isMPEGFrame(bytes, offset)) offset++;
+    if (offset >= searchEnd) return null;
+
+    const versionBits = (bytes[offset + 1] >> 3) & 0x03;
+    const version = versionBits === 3 ? 1 : (versionBits === 2 ? 2 : 2.5);
+    const layer = 4 - ((bytes[offset + 1] >> 1) & 0x03);
+    const bitrate = MPEG_BITRATES[version === 1 ? 1 : 2][layer][bytes[offset + 2] >> 4] * 1000;
+    const sampleRate = MPEG_SAMPLE_RATES[version][(bytes[offset + 2] >> 2) & 0x03];
+    const mono = (bytes[offset + 3] >> 6) === 3;
+    const samplesPerFrame = layer === 1 ? 384 : (layer === 3 && version !== 1 ? 576 : 1152);
+
+    const sideInfo = version === 1 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+    const xing = offset + 4 + sideInfo;
+    let duration = bitrate > 0 ? (end - offset) * 8 / bitrate : null;
+    if (['Xing', 'Info'].includes(ascii(bytes, xing, 4)) && (bytes[xing + 7] & 0x01)) {
+        duration = uint32(bytes, xing + 8) * samplesPerFrame / sampleRate;
+    } else if (ascii(bytes, offset + 36, 4) === 'VBRI') {
+        duration = uint32(bytes, offset + 36 + 14) * samplesPerFrame / sampleRate;
+    }
+    return { sampleRate, channels: mono ? 1 : 2, duration };
+}
+
+function readFLAC(bytes, tags) {
+    tags.format = 'flac';
+    let offset = 4;
+    let last = false;
+    while (!last && offset + 4 <= bytes.length) {
+        last = (bytes[offset] & 0x80) !== 0;
+        const type = bytes[offset] & 0x7f;
+        const length = uint24(bytes, offset + 1);
+        const block = bytes.subarray(offset + 4, offset + 4 + length);
+        offset += 4 + length;
+
+        if (type === 0) {
+            // STREAMINFO: 20 bit sample rate, 3 bit channel count - 1, 36 bit total samples
+            const sampleRate = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+            const totalSamples = (block[13] & 0x0f) * 2 ** 32 + uint32(block, 14);
+            tags.sampleRate = sampleRate || null;
+            tags.channels = ((block[12] >> 1) & 0x07) + 1;
+            if (sampleRate > 0 && totalSamples > 0) tags.duration = totalSamples / sampleRate;
+        } else if (type === 4) {
+            readVorbisComment(block, tags);
+        }
+    }
+}
+
+function readOgg(bytes, tags) {
+    const packets = readOggPackets(bytes, 2);
+    const [identification, comment] = packets;
+    let sampleRate = 0;
+    let preSkip = 0;
+
+    if (identification && ascii(identification, 1, 6) === 'vorbis') {
+        tags.format = 'vorbis';
+        sampleRate = uint32LE(identification, 12);
+        tags.sampleRate = sampleRate || null;
+        tags.channels = identification[11];
+        if (comment && ascii(comment, 1, 6) === 'vorbis') readVorbisComment(comment.subarray(7), tags);
+    } else if (identification && ascii(identification, 0, 8) === 'OpusHead') {
+        tags.format = 'opus';
+        sampleRate = 48000; // Opus granule positions always count 48kHz samples
+        preSkip = identification[10] | (identification[11] << 8);
+        // Opus always decodes at 48kHz, the header keeps the rate of the encoder's input
+        tags.sampleRate = uint32LE(identification, 12) || sampleRate;
+        tags.channels = identification[9];
+        if (comment && ascii(comment, 0, 8) === 'OpusTags') readVorbisComment(comment.subarray(8), tags);
+    }
+
+    // granule position of the last page is the number of samples
+    for (let offset = bytes.length - 27; sampleRate > 0 && offset >= 0; offset--) {
+        if (bytes[offset] === 0x4f && ascii(bytes, offset, 4) === 'OggS') {
+            const granule = uint32LE(bytes, offset + 10) * 2 ** 32 + uint32LE(bytes, offset + 6);
+            tags.duration = (granule - preSkip) / sampleRate;
+            break;
+        }
+    }
+}
+
+// First `count` packets of the first logical stream, assembled from page segments
+function readOggPackets(bytes, count) {
+    const packets = [];
+    let current = [];
+    let offset = 0;
+    while (packets.length < count && offset + 27 <= bytes.length && ascii(bytes, offset, 4) === 'OggS') {
+        const segments = bytes[offset + 26];
+        let dataOffset = offset + 27 + segments;
+        for (let i = 0; i < segments && packets.length < count; i++) {
+            const lacing = bytes[offset + 27 + i];
+            current.push(bytes.subarray(dataOffset, dataOffset + lacing));
+            dataOffset += lacing;
+            if (lacing < 255) {
+                packets.push(concatBytes(current));
+                current = [];
+            }
+        }
+        offset = offset + 27 + segments + Array.from(bytes.subarray(offset + 27, offset + 27 + segments)).reduce((sum, lacing) => sum + lacing, 0);
+    }
+    return packets;
+}
+
+// Little-endian vendor string then `KEY=value` comments
+function readVorbisComment(block, tags) {
+    let offset = 4 + uint32LE(block, 0);
+    const count = uint32LE(block, offset);
+    offset += 4;
+    const comments = {};
+    for (let i = 0; i < count && offset + 4 <= block.length; i++) {
+        const length = uint32LE(block, offset);
+        const comment = utf8(block.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+
+        const separator = comment.indexOf('=');
+        const name = comment.slice(0, separator).toUpperCase();
+        comments[name] = comments[name] || trimText(comment.slice(separator + 1));
+    }
+    assignPreferred(tags, VORBIS_FIELDS, comments);
+}
+
+function assignPreferred(tags, fields, values) {
+    Object.entries(fields).forEach(([field, names]) => {
+        const name = names.find(candidate => values[candidate]);
+        if (name && !tags[field]) tags[field] = values[name];
+    });
+}
+
+function readMP4(bytes, tags) {
+    tags.format = 'mp4';
+    const moov = findAtom(bytes, 0, bytes.length, ['moov']);
+    if (!moov) return;
+
+    const mvhd = findAtom(bytes, moov.start, moov.end, ['mvhd']);
+    if (mvhd) {
+        const version = bytes[mvhd.start];
+        const timescale = uint32(bytes, mvhd.start + (version === 1 ? 20 : 12));
+        const duration = version === 1
+            ? uint32(bytes, mvhd.start + 24) * 2 ** 32 + uint32(bytes, mvhd.start + 28)
+            : uint32(bytes, mvhd.start + 16);
+        if (timescale > 0) tags.duration = duration / timescale;
+    }
+
+    readMP4AudioTrack(bytes, moov, tags);
+
+    // moov/udta/meta/ilst, meta is a full atom with 4 bytes of version and flags
+    const meta = findAtom(bytes, moov.start, moov.end, ['udta', 'meta']);
+    const ilst = meta && findAtom(bytes, meta.start + 4, meta.end, ['ilst']);
+    if (!ilst) return;
+
+    const items = {};
+    forEachAtom(bytes, ilst.start, ilst.end, (type, start, end) => {
+        let name = type;
+        if (type === '----') {
+            // iTunes freeform atom: mean, name and data children
+            const freeform = findAtom(bytes, start, end, ['name']);
+            name = freeform ? `----:${utf8(bytes.subarray(freeform.start + 4, freeform.end)).toUpperCase()}` : type;
+        }
+        const data = findAtom(bytes, start, end, ['data']);
+        if (data && !items[name]) {
+            // 4 bytes of type and 4 of locale before the value
+            items[name] = trimText(utf8(bytes.subarray(data.start + 8, data.end)));
+        }
+    });
+    assignPreferred(tags, MP4_ATOMS, items);
+}
+
+// Sample rate (the track's timescale) and channel count of the first sound track
+function readMP4AudioTrack(bytes, moov, tags) {
+    forEachAtom(bytes, moov.start, moov.end, (type, start, end) => {
+        if (type !== 'trak') return true;
+        // hdlr and mdhd are full atoms with 4 bytes of version and flags
+        const hdlr = findAtom(bytes, start, end, ['mdia', 'hdlr']);
+        if (!hdlr || ascii(bytes, hdlr.start + 8, 4) !== 'soun') return true;
+
+        const mdhd = findAtom(bytes, start, end, ['mdia', 'mdhd']);
+        if (mdhd) {
+            tags.sampleRate = uint32(bytes, mdhd.start + (bytes[mdhd.start] === 1 ? 20 : 12)) || null;
+        }
+        // stsd: version, flags and entry count, then the first sample entry (8 byte header,
+        // 6 reserved, 2 data reference index, 8 reserved, then the channel count)
+        const stsd = findAtom(bytes, start, end, ['mdia', 'minf', 'stbl', 'stsd']);
+        if (stsd && stsd.start + 34 <= stsd.end) {
+            tags.channels = uint16(bytes, stsd.start + 8 + 24) || null;
+        }
+        return false;
+    });
+}
+
+function forEachAtom(bytes, start, end, callback) {
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = uint32(bytes, offset);
+        const type = latin1(bytes.subarray(offset + 4, offset + 8));
+        let header = 8;
+        if (size === 1) {
+            size = uint32(bytes, offset + 8) * 2 ** 32 + uint32(bytes, offset + 12);
+            header = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < header) return;
+        if (callback(type, offset + header, Math.min(offset + size, end)) === false) return;
+        offset += size;
+    }
+}
+
+// Content range of the atom at `path` below [start, end)
+function findAtom(bytes, start, end, path) {
+    let found = null;
+    forEachAtom(bytes, start, end, (type, atomStart, atomEnd) => {
+        if (type !== path[0]) return true;
+        found = path.length === 1 ? { start: atomStart, end: atomEnd } : findAtom(bytes, atomStart, atomEnd, path.slice(1));
+        return false;
+    });
+    return found;
+}
+
+function readWAV(bytes, tags) {
+    tags.format = 'riff';
+    let byteRate = 0;
+    let dataSize = 0;
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const id = ascii(bytes, offset, 4);
+        const size = uint32LE(bytes, offset + 4);
+        const start = offset + 8;
+
+        if (id === 'fmt ') {
+            tags.channels = uint16LE(bytes, start + 2) || null;
+            tags.sampleRate = uint32LE(bytes, start + 4) || null;
+            byteRate = uint32LE(bytes, start + 8);
+        } else if (id === 'data') {
+            // the data chunk size is unreliable in streamed files, the file ends it anyway
+            dataSize = Math.min(size, bytes.length - start);
+        } else if (id === 'LIST' && ascii(bytes, start, 4) === 'INFO') {
+            let infoOffset = start + 4;
+            while (infoOffset + 8 <= Math.min(start + size, bytes.length)) {
+                const infoId = ascii(bytes, infoOffset, 4);
+                const infoSize = uint32LE(bytes, infoOffset + 4);
+                const field = RIFF_INFO_FIELDS[infoId];
+                if (field && !tags[field]) {
+                    tags[field] = trimText(utf8(bytes.subarray(infoOffset + 8, infoOffset + 8 + infoSize)));
+                }
+                infoOffset += 8 + infoSize + (infoSize % 2);
+            }
+        }
+        offset = start + size + (size % 2);
+    }
+    if (byteRate > 0 && dataSize > 0) tags.duration = dataSize / byteRate;
+}
+
+function normalizeYear(value) {
+    const match = value ? String(value).match(/\d{4}/) : null;
+    return match ? match[0] : null;
+}
+
+function trimText(text) {
+    const trimmed = text ? text.replace(/\0+$/g, '').trim() : '';
+    return trimmed || null;
+}
+
+function concatBytes(chunks) {
+    const out = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach((chunk) => {
+        out.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return out;
+}
+
+function ascii(bytes, offset, length) {
+    return offset + length <= bytes.length ? String.fromCharCode(...bytes.subarray(offset, offset + length)) : '';
+}
+
+function latin1(bytes) {
+    return String.fromCharCode(...bytes);
+}
+
+function utf8(bytes) {
+    return new TextDecoder('utf-8').decode(bytes);
+}
+
+function uint16(bytes, offset) {
+    return (bytes[offset] << 8) | bytes[offset + 1];
+}
+
+function uint16LE(bytes, offset) {
+    return bytes[offset] | (bytes[offset + 1] << 8);
+}
+
+function uint24(bytes, offset) {
+    return (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2];
+}
+
+function uint32(bytes, offset) {
+    return ((bytes[offset] << 24) >>> 0) + ((bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]);
+}
+
+function uint32LE(bytes, offset) {
+    return ((bytes[offset + 3] << 24) >>> 0) + ((bytes[offset + 2] << 16) | (bytes[offset + 1] << 8) | bytes[offset]);
+}
+
+function synchsafe(bytes, offset) {
+    return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+}
+
+export { TAG_FIELDS, TAG_CSV_COLUMNS, normalizeTags, readTags, readStreamInfo };
@@ -1,5 +1,5 @@
 function preprocess (audioBuffer) {
-    if (audioBuffer instanceof AudioBuffer) {
+    if (isAudioBuffer(audioBuffer)) {
         const mono = monomix(audioBuffer);
         // downmix to mono, and downsample to 16kHz sr for essentia tensorflow models
         return downsampleArray(mono, audioBuffer.sampleRate, 16000);
@@ -8,6 +8,11 @@ function preprocess (audioBuffer) {
     }
 }
 
+function isAudioBuffer(buffer) {
+    // duck-typed so decoded buffers from Node (which has no Web Audio AudioBuffer) are accepted too
+    return !!buffer && typeof buffer.getChannelData === 'function' && typeof buffer.sampleRate === 'number';
+}
+
 function monomix(buffer) {
     // downmix to mono
     let monoAudio;
@@ -51,8 +56,169 @@ function downsampleArray(audioIn, sampleRateIn, sampleRateOut) {
 }
 
 
-function shortenAudio (audioIn, keepRatio=0.5, trim=false) {
-    /* 
+/*
+    Technical properties of a decoded track, kept on each analysed track as `audio`.
+    `streamInfo` (from readStreamInfo in audioTags.js) gives the file's own sample rate and channel count
+    where the decoder resampled, as decodeAudioData does to the AudioContext rate in the browser.
+    `channelLayout` is mono, stereo, dual-mono (two identical channels, i.e. mono saved as stereo) or multichannel.
+*/
+function describeAudio (audioBuffer, streamInfo = {}) {
+    const duration = audioBuffer.length / audioBuffer.sampleRate;
+    const channels = audioBuffer.numberOfChannels;
+
+    let channelLayout = 'multichannel';
+    if (channels === 1) {
+        channelLayout = 'mono';
+    } else if (channels === 2) {
+        channelLayout = isDualMono(audioBuffer.getChannelData(0), audioBuffer.getChannelData(1)) ? 'dual-mono' : 'stereo';
+    }
+
+    return {
+        duration: Math.round(duration * 1000) / 1000,
+        sampleRate: streamInfo?.sampleRate || audioBuffer.sampleRate,
+        channels: channels,
+        channelLayout: channelLayout
+    };
+}
+
+function isDualMono (left, right) {
+    // side signal below -60dB of the mid signal, lossy codecs leave some noise in the side of a mono source
+    let side = 0;
+    let mid = 0;
+    for (let i = 0; i < left.length; i++) {
+        side += Math.abs(left[i] - right[i]);
+        mid += Math.abs(left[i] + right[i]);
+    }
+    return mid > 0 && side <= 0.001 * mid;
+}
+
+/*
+    Thresholds deciding which inputs the batch report flags as suspicious:
+    - short:            shorter than `minDuration` seconds (previews, truncated downloads)
+    - mono-from-stereo: two identical channels
+    - sample-rate:      a sample rate outside `sampleRates` (telephone, 22kHz web rips, ...)
+*/
+const DEFAULT_AUDIO_CHECKS = {
+    minDuration: 30,
+    sampleRates: [44100, 48000, 88200, 96000, 176400, 192000]
+};
+
+function normalizeAudioChecks (checks = {}) {
+    const normalized = { ...DEFAULT_AUDIO_CHECKS };
+    Object.entries(checks || {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') normalized[key] = value;
+    });
+
+    const minDuration = Number(normalized.minDuration);
+    if (!Number.isFinite(minDuration) || minDuration < 0) {
+        throw new RangeError(`Invalid minimum duration "${normalized.minDuration}", expected a number of seconds >= 0`);
+    }
+    normalized.minDuration = minDuration;
+
+    const sampleRates = typeof normalized.sampleRates === 'string' ? normalized.sampleRates.split(',') : normalized.sampleRates;
+    if (!Array.isArray(sampleRates) || sampleRates.length === 0 || sampleRates.some(rate => !(parseInt(rate) > 0))) {
+        throw new RangeError(`Invalid sample rates "${normalized.sampleRates}", expected a list of rates in Hz`);
+    }
+    normalized.sampleRates = sampleRates.map(rate => parseInt(rate));
+
+    return normalized;
+}
+
+function flagAudio (audio, checks) {
+    /*
+        Flags of a track's `audio` properties (see describeAudio), empty when nothing looks wrong
+    */
+    if (!audio) return [];
+    const c = normalizeAudioChecks(checks);
+    const flags = [];
+    if (audio.duration > 0 && audio.duration < c.minDuration) flags.push('short');
+    if (audio.channelLayout === 'dual-mono') flags.push('mono-from-stereo');
+    if (audio.sampleRate > 0 && !c.sampleRates.includes(audio.sampleRate)) flags.push('sample-rate');
+    return flags;
+}
+
+
+const PATCH_SAMPLE_LENGTH = 187 * 256; // one MusiCNN input patch (187 frames, hop size 256)
+
+/*
+    Sampling strategies deciding which parts of a track are fed to the models:
+    - ratio:   keep `keepRatio` of the track as evenly spaced patches (clamped to 0.15-0.66, original behaviour)
+    - full:    the whole track
+    - patches: `numPatches` evenly spaced patches
+    - middle:  the middle `seconds` of the track
+    - random:  `numPatches` patches picked at random, reproducible through `seed`
+    `trim` discards 10% at the beginning and end first (ratio, patches and random only).
+*/
+const SAMPLING_STRATEGIES = ['ratio', 'full', 'patches', 'middle', 'random'];
+
+const DEFAULT_SAMPLING = {
+    strategy: 'ratio',
+    keepRatio: 0.15,
+    trim: true,
+    numPatches: 10,
+    seconds: 30,
+    seed: 42
+};
+
+function normalizeSampling (sampling = {}) {
+    const normalized = { ...DEFAULT_SAMPLING };
+    Object.entries(sampling).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') normalized[key] = value;
+    });
+
+    if (!SAMPLING_STRATEGIES.includes(normalized.strategy)) {
+        throw new RangeError(`Unknown sampling strategy "${normalized.strategy}", expected one of: ${SAMPLING_STRATEGIES.join(', ')}`);
+    }
+
+    normalized.keepRatio = Number(normalized.keepRatio);
+    normalized.numPatches = Math.max(1, parseInt(normalized.numPatches));
+    normalized.seconds = Number(normalized.seconds);
+    normalized.seed = parseInt(normalized.seed);
+    normalized.trim = normalized.trim === true || normalized.trim === 'true';
+
+    return normalized;
+}
+
+function describeSampling (sampling) {
+    // compact, CSV-friendly record of the sampling settings, e.g. "random;patches=10;seed=42;trim=true"
+    const s = normalizeSampling(sampling);
+    switch (s.strategy) {
+        case 'ratio':
+            return `ratio;keep=${s.keepRatio};trim=${s.trim}`;
+        case 'full':
+            return 'full';
+        case 'patches':
+            return `patches;patches=${s.numPatches};trim=${s.trim}`;
+        case 'middle':
+            return `middle;seconds=${s.seconds}`;
+        case 'random':
+            return `random;patches=${s.numPatches};seed=${s.seed};trim=${s.trim}`;
+    }
+}
+
+function splitIntoPatches (start, end) {
+    // contiguous region as consecutive patch-sized chunks, so patch i of the sampled audio is chunk i
+    let chunks = [];
+    for (let i = start; i < end; i += PATCH_SAMPLE_LENGTH) {
+        chunks.push({ start: i, end: Math.min(i + PATCH_SAMPLE_LENGTH, end) });
+    }
+    return chunks;
+}
+
+function seededRandom (seed) {
+    // mulberry32, small deterministic PRNG so random sampling is reproducible across runs and platforms
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function ratioLayout (offset, length, keepRatio) {
+    /*
         keepRatio applied after discarding start and end (if trim == true)
     */
     if (keepRatio < 0.15) {
@@ -61,28 +227,150 @@ function shortenAudio (audioIn, keepRatio=0.5, trim=false) {
         keepRatio = 0.66 // will keep at most 2/3 of the file
     }
 
-    if (trim) {
-        const discardSamples = Math.floor(0.1 * audioIn.length); // discard 10% on beginning and end
-        audioIn = audioIn.subarray(discardSamples, audioIn.length - discardSamples); // create new view of buffer without beginning and end
-    }
-
-    const ratioSampleLength = Math.ceil(audioIn.length * keepRatio);
-    const patchSampleLength = 187 * 256; // cut into patchSize chunks so there's no weird jumps in audio
+    const ratioSampleLength = Math.ceil(length * keepRatio);
+    const patchSampleLength = PATCH_SAMPLE_LENGTH; // cut into patchSize chunks so there's no weird jumps in audio
     const numPatchesToKeep = Math.ceil(ratioSampleLength / patchSampleLength);
 
     // space patchesToKeep evenly
-    const skipSize = Math.floor( (audioIn.length - ratioSampleLength) / (numPatchesToKeep - 1) );
+    const skipSize = Math.floor( (length - ratioSampleLength) / (numPatchesToKeep - 1) );
 
-    let audioOut = [];
+    let chunks = [];
     let startIndex = 0;
     for (let i = 0; i < numPatchesToKeep; i++) {
         let endIndex = startIndex + patchSampleLength;
-        let chunk = audioIn.slice(startIndex, endIndex);
-        audioOut.push(...chunk);
+        if (startIndex >= length) break;
+        chunks.push({ start: offset + startIndex, end: offset + Math.min(endIndex, length) });
         startIndex = endIndex + skipSize; // discard even space
     }
 
-    return Float32Array.from(audioOut);
+    return chunks;
+}
+
+function samplingLayout (inputLength, sampling, sampleRate=16000) {
+    /*
+        Positions (in samples of the input) of the chunks the sampling strategy keeps, in track order.
+    */
+    const s = normalizeSampling(sampling);
+
+    let offset = 0;
+    let length = inputLength;
+    if (s.trim && s.strategy !== 'full' && s.strategy !== 'middle') {
+        const discardSamples = Math.floor(0.1 * inputLength); // discard 10% on beginning and end
+        offset = discardSamples;
+        length = inputLength - 2 * discardSamples;
+    }
+
+    switch (s.strategy) {
+        case 'ratio':
+            return ratioLayout(offset, length, s.keepRatio);
+
+        case 'full':
+            return splitIntoPatches(0, inputLength);
+
+        case 'middle': {
+            const keepLength = Math.min(inputLength, Math.round(s.seconds * sampleRate));
+            const start = Math.floor((inputLength - keepLength) / 2);
+            return splitIntoPatches(start, start + keepLength);
+        }
+
+        case 'patches': {
+            if (s.numPatches * PATCH_SAMPLE_LENGTH >= length) {
+                return splitIntoPatches(offset, offset + length);
+            }
+            // space patches evenly, first patch at the start and last one at the end of the region
+            const step = s.numPatches > 1 ? (length - PATCH_SAMPLE_LENGTH) / (s.numPatches - 1) : 0;
+            const first = s.numPatches > 1 ? 0 : Math.floor((length - PATCH_SAMPLE_LENGTH) / 2);
+            let chunks = [];
+            for (let i = 0; i < s.numPatches; i++) {
+                const start = offset + first + Math.round(i * step);
+                chunks.push({ start: start, end: start + PATCH_SAMPLE_LENGTH });
+            }
+            return chunks;
+        }
+
+        case 'random': {
+            const numSlots = Math.floor(length / PATCH_SAMPLE_LENGTH);
+            if (s.numPatches >= numSlots) {
+                return splitIntoPatches(offset, offset + length);
+            }
+            // partial Fisher-Yates over non-overlapping patch slots
+            const random = seededRandom(s.seed);
+            const slots = Array.from({ length: numSlots }, (_, i) => i);
+            for (let i = 0; i < s.numPatches; i++) {
+                const j = i + Math.floor(random() * (numSlots - i));
+                [slots[i], slots[j]] = [slots[j], slots[i]];
+            }
+            return slots.slice(0, s.numPatches)
+                .sort((a, b) => a - b)
+                .map(slot => ({
+                    start: offset + slot * PATCH_SAMPLE_LENGTH,
+                    end: offset + (slot + 1) * PATCH_SAMPLE_LENGTH
+                }));
+        }
+    }
+}
+
+function sampleAudio (audioIn, sampling, sampleRate=16000) {
+    const chunks = samplingLayout(audioIn.length, sampling, sampleRate);
+
+    let audioOut = new Float32Array(chunks.reduce((total, chunk) => total + chunk.end - chunk.start, 0));
+    let position = 0;
+    chunks.forEach((chunk) => {
+        audioOut.set(audioIn.subarray(chunk.start, chunk.end), position);
+        position += chunk.end - chunk.start;
+    });
+
+    return audioOut;
+}
+
+function shortenAudio (audioIn, keepRatio=0.5, trim=false) {
+    return sampleAudio(audioIn, { strategy: 'ratio', keepRatio: keepRatio, trim: trim });
+}
+
+function getPatchSegments (inputLength, numPatches, sampling, sampleRate=16000, patchLength=PATCH_SAMPLE_LENGTH) {
+    /*
+        Start/end time (seconds, in the original track) of each model input patch.
+        Every strategy keeps whole MusiCNN-patch-sized chunks, so MusiCNN patch i of the sampled audio is chunk i.
+        Shorter patches (e.g. VGGish, `patchLength` samples) are located inside the chunks of the sampled audio,
+        a patch running over the end of a chunk is attributed to that chunk.
+        Patches past the kept chunks only contain zero-padding and are returned as null.
+    */
+    const chunks = samplingLayout(inputLength, sampling, sampleRate);
+    let segments = [];
+    let k = 0;
+    let chunkOffset = 0; // position of chunk k in the sampled audio
+
+    for (let i = 0; i < numPatches; i++) {
+        const start = i * patchLength;
+        while (k < chunks.length && start >= chunkOffset + chunks[k].end - chunks[k].start) {
+            chunkOffset += chunks[k].end - chunks[k].start;
+            k++;
+        }
+
+        const chunk = chunks[k];
+        if (!chunk) {
+            segments.push(null);
+            continue;
+        }
+        const end = Math.min(chunk.start + start - chunkOffset + patchLength, chunk.end);
+        segments.push({ start: (chunk.start + start - chunkOffset) / sampleRate, end: end / sampleRate });
+    }
+
+    return segments;
 }
 
-export { preprocess, shortenAudio };
+export {
+    preprocess,
+    describeAudio,
+    normalizeAudioChecks,
+    flagAudio,
+    DEFAULT_AUDIO_CHECKS,
+    downsampleArray,
+    shortenAudio,
+    sampleAudio,
+    getPatchSegments,
+    normalizeSampling,
+    describeSampling,
+    SAMPLING_STRATEGIES,
+    DEFAULT_SAMPLING
+};
@@ -0,0 +1,361 @@
+import { MODEL_MANIFEST } from './modelRegistry.js';
+import { getTopLabels } from './predictionUtils.js';
+import { keyToNotation } from './essentiaAnalysis.js';
+import { getCSVColumns, getTrackCSVFields } from './csvExport.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const BAR_COLOR = '#F7AF39';
+const POINT_COLOR = '#399af7';
+
+// histogram chart size in SVG units, scaled to the card width by CSS
+const CHART = { width: 240, height: 140, padding: { top: 10, right: 8, bottom: 22, left: 28 } };
+const SCORE_BINS = 10;
+const BPM_BIN_WIDTH = 10;
+
+// key names around the circle of fifths (Open Key number - 1), relative minors on the inner ring
+const MAJOR_KEYS = ['C', 'G', 'D', 'A', 'E', 'B', 'F#', 'Db', 'Ab', 'Eb', 'Bb', 'F'];
+const MINOR_KEYS = ['Am', 'Em', 'Bm', 'F#m', 'C#m', 'G#m', 'D#m', 'Bbm', 'Fm', 'Cm', 'Gm', 'Dm'];
+
+const DEFAULT_SCATTER_AXES = ['mood_happy', 'mood_relaxed'];
+
+/**
+ * Charts over all analysed tracks, next to the per-track view of AnalysisResults: a histogram per binary
+ * model score (moods, danceability), a BPM histogram, a key wheel on the circle of fifths, the share of
+ * tracks per top genre label and a scatter of any two numeric CSV columns where clicking a point selects
+ * the track. Drawn as inline SVG, nothing is fetched.
+ */
+class CollectionDashboard {
+    /**
+     * @param {HTMLElement} container - Element the charts are created in
+     * @param {Array} tracks - analysedTracks array, read again on every render
+     * @param {Object} options - { csvOptions, onSelect(track) }
+     */
+    constructor(container, tracks, options = {}) {
+        this.container = container;
+        this.tracks = tracks;
+        this.csvOptions = options.csvOptions || {};
+        this.onSelect = options.onSelect || (() => {});
+
+        this.scatterAxes = [...DEFAULT_SCATTER_AXES];
+
+        this.build();
+    }
+
+    build() {
+        this.grid = document.createElement('div');
+        this.grid.className = 'collection-charts';
+
+        const scatterCard = createCard('Scatter');
+        scatterCard.classList.add('collection-scatter');
+        const axes = document.createElement('div');
+        axes.className = 'collection-scatter-axes';
+        this.axisSelects = this.scatterAxes.map((column, i) => {
+            const select = document.createElement('select');
+            select.className = 'ui dropdown';
+            select.addEventListener('change', () => {
+                this.scatterAxes[i] = select.value;
+                this.renderScatter();
+            });
+            return select;
+        });
+        axes.append('x', this.axisSelects[0], 'y', this.axisSelects[1]);
+        this.scatterSvg = createSVG(320, 240);
+        scatterCard.append(axes, this.scatterSvg);
+
+        this.container.append(this.grid, scatterCard);
+    }
+
+    render() {
+        this.container.style.display = this.tracks.length > 0 ? '' : 'none';
+        this.grid.innerHTML = '';
+        if (this.tracks.length === 0) return;
+
+        this.renderScoreHistograms();
+        this.renderBPMHistogram();
+        this.renderKeyWheel();
+        this.renderGenreShares();
+        this.renderScatter();
+    }
+
+    renderScoreHistograms() {
+        MODEL_MANIFEST.filter(model => model.output === 'binary').forEach((model) => {
+            const scores = this.tracks.map(track => track.predictions?.[model.name]).filter(isNumber);
+            if (scores.length === 0) return;
+
+            const counts = binValues(scores, 0, 1, SCORE_BINS);
+            this.addChart(`${model.display.icon} ${model.display.title}`, drawHistogram(counts, ['0', '0.5', '1']));
+        });
+    }
+
+    renderBPMHistogram() {
+        const bpms = this.tracks.map(track => track.essentia?.bpm).filter(value => isNumber(value) && value > 0);
+        if (bpms.length === 0) return;
+
+        const min = Math.floor(Math.min(...bpms) / BPM_BIN_WIDTH) * BPM_BIN_WIDTH;
+        const max = Math.max(min + BPM_BIN_WIDTH, Math.ceil(Math.max(...bpms) / BPM_BIN_WIDTH) * BPM_BIN_WIDTH);
+        const counts = binValues(bpms, min, max, (max - min) / BPM_BIN_WIDTH);
+        this.addChart('🥁 BPM', drawHistogram(counts, [String(min), String((min + max) / 2), String(max)]));
+    }
+
+    renderKeyWheel() {
+        const counts = { d: new Array(12).fill(0), m: new Array(12).fill(0) };
+        this.tracks.forEach((track) => {
+            const openKey = keyToNotation(track.essentia?.keyData, 'openkey');
+            if (openKey) counts[openKey.slice(-1)][parseInt(openKey, 10) - 1]++;
+        });
+        const highest = Math.max(...counts.d, ...counts.m);
+        if (highest === 0) return;
+
+        const svg = createSVG(CHART.width, CHART.width);
+        const center = CHART.width / 2;
+        const rings = [
+            { counts: counts.d, names: MAJOR_KEYS, inner: 70, outer: 110 },
+            { counts: counts.m, names: MINOR_KEYS, inner: 32, outer: 70 }
+        ];
+        rings.forEach(({ counts, names, inner, outer }) => {
+            counts.forEach((count, i) => {
+                // C major at the top, one fifth per step clockwise
+                const start = (i - 0.5) * Math.PI / 6;
+                const end = (i + 0.5) * Math.PI / 6;
+                const wedge = svgElement('path', {
+                    d: wedgePath(center, inner, outer, start, end),
+                    fill: BAR_COLOR,
+                    'fill-opacity': count > 0 ? 0.15 + 0.85 * count / highest : 0.05,
+                    stroke: '#fff'
+                });
+                appendTitle(wedge, `${names[i]}: ${count} track${count === 1 ? '' : 's'}`);
+
+                const [x, y] = polarPoint(center, (inner + outer) / 2, i * Math.PI / 6);
+                const label = svgElement('text', { x, y, class: 'collection-key-label' });
+                label.textContent = names[i];
+                svg.append(wedge, label);
+            });
+        });
+        this.addChart('🎹 Key', svg);
+    }
+
+    renderGenreShares() {
+        MODEL_MANIFEST.filter(model => model.output !== 'binary').forEach((model) => {
+            const counts = {};
+            let total = 0;
+            this.tracks.forEach((track) => {
+                const [top] = getTopLabels(track.predictions?.[model.name], 1);
+                if (!top) return;
+                counts[top.label] = (counts[top.label] || 0) + 1;
+                total++;
+            });
+            if (total === 0) return;
+
+            const list = document.createElement('div');
+            list.className = 'collection-shares';
+            Object.entries(counts).sort((a, b) => b[1] - a[1]).forEach(([label, count]) => {
+                const index = model.labels.indexOf(label);
+                const share = count / total;
+
+                const row = document.createElement('div');
+                row.className = 'collection-share';
+                const name = document.createElement('span');
+                name.textContent = model.display.labels?.[index] || label;
+                const bar = document.createElement('div');
+                bar.className = 'collection-share-bar';
+                bar.style.width = `${(share * 100).toFixed(1)}%`;
+                const value = document.createElement('span');
+                value.textContent = `${Math.round(share * 100)}% (${count})`;
+                row.append(name, bar, value);
+                list.appendChild(row);
+            });
+            this.addChart(`${model.display.icon} ${model.display.title}`, list);
+        });
+    }
+
+    renderScatter() {
+        const columns = getCSVColumns(this.csvOptions);
+        const rows = this.tracks.map((track) => {
+            const fields = getTrackCSVFields(track, this.csvOptions);
+            return { track, values: Object.fromEntries(columns.map((column, i) => [column, toNumber(fields[i])])) };
+        });
+        const numericColumns = columns.filter(column => rows.some(row => row.values[column] !== null));
+
+        this.axisSelects.forEach((select, i) => {
+            select.innerHTML = '';
+            numericColumns.forEach((column) => {
+                const option = document.createElement('option');
+                option.value = option.textContent = column;
+                select.appendChild(option);
+            });
+            if (!numericColumns.includes(this.scatterAxes[i])) {
+                this.scatterAxes[i] = numericColumns[Math.min(i, numericColumns.length - 1)] || '';
+            }
+            select.value = this.scatterAxes[i];
+        });
+
+        const [xColumn, yColumn] = this.scatterAxes;
+        const points = rows.filter(row => row.values[xColumn] !== null && row.values[yColumn] !== null);
+        this.scatterSvg.innerHTML = '';
+        if (points.length === 0) return;
+
+        const xs = points.map(row => row.values[xColumn]);
+        const ys = points.map(row => row.values[yColumn]);
+        const width = 320;
+        const height = 240;
+        const { top, right, bottom, left } = CHART.padding;
+        const x = scaleLinear(axisDomain(xs), [left + 8, width - right]);
+        const y = scaleLinear(axisDomain(ys), [height - bottom, top]);
+
+        drawAxes(this.scatterSvg, width, height, axisDomain(xs), axisDomain(ys));
+        points.forEach((row) => {
+            const point = svgElement('circle', {
+                cx: x(row.values[xColumn]),
+                cy: y(row.values[yColumn]),
+                r: 4,
+                fill: POINT_COLOR,
+                'fill-opacity': 0.7,
+                class: 'collection-point'
+            });
+            appendTitle(point, `${row.track.file?.name || ''}\n${xColumn}: ${row.values[xColumn]}\n${yColumn}: ${row.values[yColumn]}`);
+            point.addEventListener('click', () => this.onSelect(row.track));
+            this.scatterSvg.appendChild(point);
+        });
+    }
+
+    addChart(title, content) {
+        const card = createCard(title);
+        card.appendChild(content);
+        this.grid.appendChild(card);
+    }
+}
+
+function createCard(title) {
+    const card = document.createElement('div');
+    card.className = 'collection-chart';
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    card.appendChild(heading);
+    return card;
+}
+
+function svgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+function createSVG(width, height) {
+    return svgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'collection-svg' });
+}
+
+function appendTitle(element, text) {
+    const title = svgElement('title');
+    title.textContent = text;
+    element.appendChild(title);
+}
+
+/**
+ * Counts values into equal-width bins over [min, max], the last bin including max
+ * @returns {Array<number>} Count per bin
+ */
+function binValues(values, min, max, binCount) {
+    const counts = new Array(binCount).fill(0);
+    const width = (max - min) / binCount;
+    values.forEach((value) => {
+        const bin = Math.min(binCount - 1, Math.max(0, Math.floor((value - min) / width)));
+        counts[bin]++;
+    });
+    return counts;
+}
+
+function drawHistogram(counts, tickLabels) {
+    const { width, height, padding } = CHART;
+    const svg = createSVG(width, height);
+    const highest = Math.max(...counts);
+    const barWidth = (width - padding.left - padding.right) / counts.length;
+    const y = scaleLinear([0, highest], [height - padding.bottom, padding.top]);
+
+    drawAxes(svg, width, height, null, [0, highest]);
+    counts.forEach((count, i) => {
+        const bar = svgElement('rect', {
+            x: padding.left + i * barWidth + 1,
+            y: y(count),
+            width: Math.max(0, barWidth - 2),
+            height: height - padding.bottom - y(count),
+            fill: BAR_COLOR
+        });
+        appendTitle(bar, `${count} track${count === 1 ? '' : 's'}`);
+        svg.appendChild(bar);
+    });
+
+    // tick labels spread evenly under the x axis
+    tickLabels.forEach((text, i) => {
+        const label = svgElement('text', {
+            x: padding.left + i * (width - padding.left - padding.right) / (tickLabels.length - 1),
+            y: height - 6,
+            class: 'collection-tick'
+        });
+        label.textContent = text;
+        svg.appendChild(label);
+    });
+    return svg;
+}
+
+// x and y axis lines with the y (and, given a domain, x) range printed at their ends
+function drawAxes(svg, width, height, xDomain, yDomain) {
+    const { top, right, bottom, left } = CHART.padding;
+    svg.append(
+        svgElement('line', { x1: left, y1: height - bottom, x2: width - right, y2: height - bottom, class: 'collection-axis' }),
+        svgElement('line', { x1: left, y1: top, x2: left, y2: height - bottom, class: 'collection-axis' })
+    );
+
+    const ticks = [
+        [left - 4, height - bottom, formatTick(yDomain[0]), 'end'],
+        [left - 4, top + 6, formatTick(yDomain[1]), 'end']
+    ];
+    if (xDomain) {
+        ticks.push([left + 8, height - 6, formatTick(xDomain[0]), 'middle'], [width - right, height - 6, formatTick(xDomain[1]), 'end']);
+    }
+    ticks.forEach(([x, y, text, anchor]) => {
+        const label = svgElement('text', { x, y, 'text-anchor': anchor, class: 'collection-tick' });
+        label.textContent = text;
+        svg.appendChild(label);
+    });
+}
+
+function scaleLinear([d0, d1], [r0, r1]) {
+    const span = d1 - d0 || 1;
+    return value => r0 + (value - d0) / span * (r1 - r0);
+}
+
+// scores share the 0-1 range so plots are comparable, other columns use their own range
+function axisDomain(values) {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    if (min >= 0 && max <= 1) return [0, 1];
+    return min === max ? [min - 1, max + 1] : [min, max];
+}
+
+function formatTick(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+function polarPoint(center, radius, angle) {
+    return [center + radius * Math.sin(angle), center - radius * Math.cos(angle)];
+}
+
+function wedgePath(center, inner, outer, start, end) {
+    const [x1, y1] = polarPoint(center, outer, start);
+    const [x2, y2] = polarPoint(center, outer, end);
+    const [x3, y3] = polarPoint(center, inner, end);
+    const [x4, y4] = polarPoint(center, inner, start);
+    return `M ${x1} ${y1} A ${outer} ${outer} 0 0 1 ${x2} ${y2} L ${x3} ${y3} A ${inner} ${inner} 0 0 0 ${x4} ${y4} Z`;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function toNumber(value) {
+    if (value === '' || value === null || value === undefined) return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+export { CollectionDashboard };
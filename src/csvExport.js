@@ -3,30 +3,75 @@
  * Handles the generation of CSV files from analysedTracks data with proper formatting and error handling
  */
 
+import { keyToNotation } from './essentiaAnalysis.js';
+import { MODEL_MANIFEST, getModelOutputs, getModelCSVColumns } from './modelRegistry.js';
+import { getTopLabels, getTopLabelCSVColumns } from './predictionUtils.js';
+import { TAG_FIELDS, TAG_CSV_COLUMNS } from './audioTags.js';
+
 /**
- * CSV column schema definition
+ * CSV column schema definition. The model columns come from MODEL_MANIFEST and are inserted
+ * before `sampling` by getCSVColumns, once labels read from model metadata are known.
  */
 const CSV_SCHEMA = [
     'filename',
+    'duration',
+    'sample_rate',
+    'channels',
+    'channel_layout',
     'bpm',
+    'bpm_confidence',
     'key',
-    'mood_happy',
-    'mood_sad',
-    'mood_relaxed',
-    'mood_aggressive',
-    'mood_electronic',
-    'mood_acoustic',
-    'mood_party',
-    'genre_alternative',
-    'genre_blues',
-    'genre_electronic_genre',
-    'genre_folkcountry',
-    'genre_funksoulrnb',
-    'genre_jazz',
-    'genre_pop',
-    'genre_raphiphop',
-    'genre_rock',
-    'danceability'
+    'key_strength',
+    'loudness_integrated',
+    'dynamic_complexity',
+    'rms',
+    'spectral_centroid',
+    'zero_crossing_rate',
+    'onset_rate',
+    'sampling'
+];
+
+/**
+ * Optional half/double-tempo columns, inserted after `bpm_confidence` when `generateCSV`
+ * is called with `tempoCandidates: true`
+ */
+const TEMPO_CANDIDATE_CSV_COLUMNS = [
+    'bpm_half',
+    'bpm_double'
+];
+
+/**
+ * Optional key notation columns, inserted after `key_strength` when `generateCSV`
+ * is called with `keyNotation: 'camelot'` or `'openkey'`
+ */
+const KEY_NOTATION_CSV_COLUMNS = {
+    camelot: 'key_camelot',
+    openkey: 'key_openkey'
+};
+
+/**
+ * Optional provenance columns, appended when `generateCSV` is called with `provenanceColumns: true`.
+ * `run_id` links each row to the run manifest written next to the results.
+ */
+const PROVENANCE_CSV_COLUMNS = [
+    'analyzed_at',
+    'run_id'
+];
+
+/**
+ * Separator between the labels of a `<model>_top` column (added with `topK`)
+ */
+const TOP_LABEL_SEPARATOR = '|';
+
+/**
+ * Long-format (one row per segment and model output) CSV column schema
+ */
+const SEGMENT_CSV_SCHEMA = [
+    'track',
+    'segment_start',
+    'segment_end',
+    'model',
+    'value'
 ];
 
 /**
@@ -75,6 +120,26 @@ function formatBPM(bpm) {
     return Math.round(numericBPM).toString();
 }
 
+/**
+ * Formats a low-level descriptor value to a fixed number of decimals or empty string
+ * @param {number|string} value - Descriptor value (may be negative, e.g. loudness in LUFS)
+ * @param {number} decimals - Number of decimal places
+ * @returns {string} Formatted value or empty string
+ */
+function formatDescriptorValue(value, decimals) {
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+    
+    const numericValue = parseFloat(value);
+    if (!isFinite(numericValue)) {
+        console.warn('Invalid descriptor value:', value);
+        return '';
+    }
+    
+    return numericValue.toFixed(decimals);
+}
+
 /**
  * Formats mood prediction values to 3 decimal places or empty string
  * @param {number|string} value - Mood prediction value (0-1)
@@ -100,6 +165,19 @@ function formatMoodValue(value) {
     return numericValue.toFixed(3);
 }
 
+/**
+ * Formats a segment boundary in seconds to 3 decimal places
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time or empty string
+ */
+function formatSegmentTime(seconds) {
+    const numericValue = parseFloat(seconds);
+    if (isNaN(numericValue)) {
+        return '';
+    }
+    return numericValue.toFixed(3);
+}
+
 /**
  * Escapes CSV field values according to RFC 4180 standards
  * @param {string} field - Field value to escape
@@ -131,11 +209,9 @@ function extractFilePath(file) {
         return '';
     }
     
-    // For now, just return the filename. In future folder upload implementation,
-    // this will be enhanced to handle relative paths from webkitRelativePath
     let filename = file.name;
     
-    // Handle webkitRelativePath for future folder upload support
+    // Files from a selected or dropped folder carry their path inside it (see folderUpload.js)
     if (file.webkitRelativePath && file.webkitRelativePath !== '') {
         filename = file.webkitRelativePath;
     }
@@ -164,19 +240,13 @@ function validateTrackData(track, index) {
     if (!track.predictions) {
         warnings.push(`Track ${index}: Missing predictions data`);
     } else {
-        const requiredMoods = ['mood_happy', 'mood_sad', 'mood_relaxed', 'mood_aggressive', 'mood_electronic', 'mood_acoustic', 'mood_party', 'danceability'];
-        requiredMoods.forEach(mood => {
-            if (!(mood in track.predictions)) {
-                warnings.push(`Track ${index}: Missing ${mood} prediction`);
+        MODEL_MANIFEST.forEach(model => {
+            if (!(model.name in track.predictions)) {
+                warnings.push(`Track ${index}: Missing ${model.name} prediction`);
+            } else if (model.output !== 'binary' && typeof track.predictions[model.name] !== 'object') {
+                warnings.push(`Track ${index}: ${model.name} should be an object with label probabilities`);
             }
         });
-        
-        // Check for genre predictions
-        if (!track.predictions.genre_dortmund) {
-            warnings.push(`Track ${index}: Missing genre_dortmund predictions`);
-        } else if (typeof track.predictions.genre_dortmund !== 'object') {
-            warnings.push(`Track ${index}: genre_dortmund should be an object with genre probabilities`);
-        }
     }
     
     if (!track.essentia) {
@@ -193,13 +263,121 @@ function validateTrackData(track, index) {
     return { isValid: true, warnings };
 }
 
+/**
+ * Column list for the summary CSV
+ * @param {Object} options - CSV options ({ tags, tempoCandidates, keyNotation, topK, provenanceColumns })
+ * @returns {Array<string>} Column names
+ */
+function getCSVColumns(options = {}) {
+    let columns = [...CSV_SCHEMA];
+    
+    columns.splice(columns.indexOf('sampling'), 0, ...getModelCSVColumns(), ...(options.topK > 0 ? getTopLabelCSVColumns() : []));
+    
+    if (options.tags) {
+        columns.splice(columns.indexOf('filename') + 1, 0, ...TAG_CSV_COLUMNS);
+    }
+    
+    if (options.tempoCandidates) {
+        columns.splice(columns.indexOf('bpm_confidence') + 1, 0, ...TEMPO_CANDIDATE_CSV_COLUMNS);
+    }
+    
+    if (KEY_NOTATION_CSV_COLUMNS[options.keyNotation]) {
+        columns.splice(columns.indexOf('key_strength') + 1, 0, KEY_NOTATION_CSV_COLUMNS[options.keyNotation]);
+    }
+    
+    if (options.provenanceColumns) {
+        columns.push(...PROVENANCE_CSV_COLUMNS);
+    }
+    
+    return columns;
+}
+
+/**
+ * Formatted values of a track, in the order of `getCSVColumns(options)`
+ * @param {Object} track - Track object from analysedTracks array
+ * @param {Object} options - CSV options ({ tags, tempoCandidates, keyNotation, topK, provenanceColumns, runId })
+ * @returns {Array<string>} Unescaped field values
+ */
+function getTrackCSVFields(track, options = {}) {
+    // Extract filename with path handling
+    const filename = extractFilePath(track.file);
+    
+    // Technical properties of the decoded audio (see describeAudio in audioUtils.js)
+    const audio = track.audio || {};
+    
+    // Extract BPM
+    const bpm = formatBPM(track.essentia?.bpm);
+    const bpmConfidence = formatMoodValue(track.essentia?.bpmConfidence);
+    
+    // Extract and format key
+    const key = formatKey(track.essentia?.keyData);
+    const keyStrength = formatMoodValue(track.essentia?.keyData?.strength);
+    
+    // Extract low-level descriptors (empty when the descriptor stage is disabled)
+    const descriptors = track.descriptors || {};
+    const loudness = formatDescriptorValue(descriptors.integratedLoudness, 2);
+    const dynamicComplexity = formatDescriptorValue(descriptors.dynamicComplexity, 3);
+    const rms = formatDescriptorValue(descriptors.rms, 4);
+    const spectralCentroid = formatDescriptorValue(descriptors.spectralCentroid, 1);
+    const zeroCrossingRate = formatDescriptorValue(descriptors.zeroCrossingRate, 4);
+    const onsetRate = formatDescriptorValue(descriptors.onsetRate, 3);
+    
+    // Extract model predictions in manifest order
+    const modelValues = MODEL_MANIFEST.flatMap(model =>
+        getModelOutputs(model.name, track.predictions?.[model.name]).map(([, value]) => formatMoodValue(value))
+    );
+    
+    // Most probable labels of each multi-class/multi-label model, e.g. `rock|pop|jazz`
+    const topLabels = options.topK > 0
+        ? MODEL_MANIFEST.filter(model => model.output !== 'binary').map(model =>
+            getTopLabels(track.predictions?.[model.name], options.topK).map(top => top.label).join(TOP_LABEL_SEPARATOR)
+        )
+        : [];
+    
+    const fields = [
+        filename,
+        ...(options.tags ? TAG_FIELDS.map(field => track.tags?.[field] ?? '') : []),
+        formatDescriptorValue(audio.duration, 3),
+        audio.sampleRate ?? '',
+        audio.channels ?? '',
+        audio.channelLayout || '',
+        bpm,
+        bpmConfidence,
+        ...(options.tempoCandidates ? [
+            formatBPM(track.essentia?.bpmCandidates?.half),
+            formatBPM(track.essentia?.bpmCandidates?.double)
+        ] : []),
+        key,
+        keyStrength,
+        ...(KEY_NOTATION_CSV_COLUMNS[options.keyNotation] ? [
+            keyToNotation(track.essentia?.keyData, options.keyNotation) || ''
+        ] : []),
+        loudness,
+        dynamicComplexity,
+        rms,
+        spectralCentroid,
+        zeroCrossingRate,
+        onsetRate,
+        ...modelValues,
+        ...topLabels,
+        track.sampling || ''
+    ];
+    
+    if (options.provenanceColumns) {
+        fields.push(track.analyzedAt || '', options.runId || '');
+    }
+    
+    return fields;
+}
+
 /**
  * Processes a single track into CSV row data
  * @param {Object} track - Track object from analysedTracks array
  * @param {number} index - Track index for logging
+ * @param {Object} options - CSV options ({ tags, tempoCandidates, keyNotation, topK, provenanceColumns, runId })
  * @returns {string} CSV row string
  */
-function processTrackToCSVRow(track, index) {
+function processTrackToCSVRow(track, index, options = {}) {
     // Validate track data
     const validation = validateTrackData(track, index);
     if (validation.warnings.length > 0) {
@@ -212,74 +390,104 @@ function processTrackToCSVRow(track, index) {
     }
     
     try {
-        // Extract filename with path handling
-        const filename = extractFilePath(track.file);
-        
-        // Extract BPM
-        const bpm = formatBPM(track.essentia?.bpm);
-        
-        // Extract and format key
-        const key = formatKey(track.essentia?.keyData);
-        
-        // Extract mood predictions
-        const happy = formatMoodValue(track.predictions?.mood_happy);
-        const sad = formatMoodValue(track.predictions?.mood_sad);
-        const relaxed = formatMoodValue(track.predictions?.mood_relaxed);
-        const aggressive = formatMoodValue(track.predictions?.mood_aggressive);
-        const electronic = formatMoodValue(track.predictions?.mood_electronic);
-        const acoustic = formatMoodValue(track.predictions?.mood_acoustic);
-        const party = formatMoodValue(track.predictions?.mood_party);
-        const danceability = formatMoodValue(track.predictions?.danceability);
-        
-        // Extract genre predictions
-        const genreData = track.predictions?.genre_dortmund || {};
-        const genreAlternative = formatMoodValue(genreData.alternative);
-        const genreBlues = formatMoodValue(genreData.blues);
-        const genreElectronicGenre = formatMoodValue(genreData.electronic);
-        const genreFolkcountry = formatMoodValue(genreData.folkcountry);
-        const genreFunksoulrnb = formatMoodValue(genreData.funksoulrnb);
-        const genreJazz = formatMoodValue(genreData.jazz);
-        const genrePop = formatMoodValue(genreData.pop);
-        const genreRaphiphop = formatMoodValue(genreData.raphiphop);
-        const genreRock = formatMoodValue(genreData.rock);
-        
         // Create CSV row with proper escaping
-        const row = [
-            escapeCSVField(filename),
-            escapeCSVField(bpm),
-            escapeCSVField(key),
-            escapeCSVField(happy),
-            escapeCSVField(sad),
-            escapeCSVField(relaxed),
-            escapeCSVField(aggressive),
-            escapeCSVField(electronic),
-            escapeCSVField(acoustic),
-            escapeCSVField(party),
-            escapeCSVField(genreAlternative),
-            escapeCSVField(genreBlues),
-            escapeCSVField(genreElectronicGenre),
-            escapeCSVField(genreFolkcountry),
-            escapeCSVField(genreFunksoulrnb),
-            escapeCSVField(genreJazz),
-            escapeCSVField(genrePop),
-            escapeCSVField(genreRaphiphop),
-            escapeCSVField(genreRock),
-            escapeCSVField(danceability)
-        ].join(',');
-        
-        return row;
+        return getTrackCSVFields(track, options).map(value => escapeCSVField(value)).join(',');
     } catch (error) {
         console.error(`Track ${index}: Error processing track data:`, error);
         return null;
     }
 }
 
+/**
+ * Expands one segment's predictions into long-format [model, value] pairs.
+ * Multi-class probabilities are flattened to the model's CSV columns (e.g. `genre_rock`).
+ * @param {Object} predictions - Segment predictions, same shape as track predictions
+ * @returns {Array<Array>} Pairs of model output name and formatted value
+ */
+function flattenSegmentPredictions(predictions) {
+    const pairs = [];
+    
+    Object.entries(predictions || {}).forEach(([modelName, value]) => {
+        getModelOutputs(modelName, value).forEach(([column, columnValue]) => {
+            pairs.push([column, formatMoodValue(columnValue)]);
+        });
+    });
+    
+    return pairs;
+}
+
+/**
+ * Generates long-format segment CSV content (track, segment_start, segment_end, model, value)
+ * from the per-patch predictions stored on each track's `segments`
+ * @param {Array} analysedTracks - Array of track analysis results
+ * @returns {Object} Result object with CSV content and statistics
+ */
+export function generateSegmentCSV(analysedTracks) {
+    if (!Array.isArray(analysedTracks)) {
+        console.error('Invalid analysedTracks data: not an array');
+        return {
+            success: false,
+            error: 'Invalid input data: analysedTracks must be an array',
+            csvContent: '',
+            statistics: {}
+        };
+    }
+    
+    const stats = {
+        totalTracks: analysedTracks.length,
+        processedTracks: 0,
+        skippedTracks: 0,
+        totalRows: 0
+    };
+    
+    const csvRows = [SEGMENT_CSV_SCHEMA.map(column => escapeCSVField(column)).join(',')];
+    
+    analysedTracks.forEach((track, index) => {
+        if (!track || !track.file || !Array.isArray(track.segments) || track.segments.length === 0) {
+            console.warn(`Track ${index}: No segment predictions, skipping`);
+            stats.skippedTracks++;
+            return;
+        }
+        
+        const filename = extractFilePath(track.file);
+        
+        track.segments.forEach((segment) => {
+            const start = formatSegmentTime(segment.start);
+            const end = formatSegmentTime(segment.end);
+            
+            flattenSegmentPredictions(segment.predictions).forEach(([model, value]) => {
+                csvRows.push([
+                    escapeCSVField(filename),
+                    escapeCSVField(start),
+                    escapeCSVField(end),
+                    escapeCSVField(model),
+                    escapeCSVField(value)
+                ].join(','));
+                stats.totalRows++;
+            });
+        });
+        
+        stats.processedTracks++;
+    });
+    
+    return {
+        success: true,
+        csvContent: csvRows.join('\n') + '\n',
+        statistics: stats
+    };
+}
+
 /**
  * Generates CSV content from analysedTracks array
  * @param {Array} analysedTracks - Array of track analysis results
+ * @param {Object} options - Optional { tags } to add the embedded tag columns (read with audioTags.js),
+ * { tempoCandidates } to add half/double-tempo columns,
+ * { keyNotation: 'camelot'|'openkey' } to add a key notation column,
+ * { topK } to add the most probable labels of each multi-class/multi-label model,
+ * { provenanceColumns, runId } to append provenance columns
  * @returns {Object} Result object with CSV content and statistics
  */
-export function generateCSV(analysedTracks) {
+export function generateCSV(analysedTracks, options = {}) {
     console.log('Starting CSV generation for', analysedTracks.length, 'tracks');
     
     if (!Array.isArray(analysedTracks)) {
@@ -294,7 +502,7 @@ export function generateCSV(analysedTracks) {
     
     if (analysedTracks.length === 0) {
         console.warn('No tracks to export');
-        const csvHeader = CSV_SCHEMA.map(column => escapeCSVField(column)).join(',');
+        const csvHeader = getCSVColumns(options).map(column => escapeCSVField(column)).join(',');
         return {
             success: true,
             csvContent: csvHeader + '\n',
@@ -316,13 +524,13 @@ export function generateCSV(analysedTracks) {
     };
     
     // Start with header row
-    const csvHeader = CSV_SCHEMA.map(column => escapeCSVField(column)).join(',');
+    const csvHeader = getCSVColumns(options).map(column => escapeCSVField(column)).join(',');
     const csvRows = [csvHeader];
     
     // Process each track
     analysedTracks.forEach((track, index) => {
         try {
-            const csvRow = processTrackToCSVRow(track, index);
+            const csvRow = processTrackToCSVRow(track, index, options);
             if (csvRow) {
                 csvRows.push(csvRow);
                 stats.processedTracks++;
@@ -392,11 +600,12 @@ export function downloadCSV(csvContent, filename = 'mir_analysis_results.csv') {
  * Complete CSV export function that generates and downloads CSV
  * @param {Array} analysedTracks - Array of track analysis results
  * @param {string} filename - Optional filename for download
+ * @param {Object} options - CSV options, see `generateCSV`
  * @returns {Object} Export result object
  */
-export function exportCSV(analysedTracks, filename) {
+export function exportCSV(analysedTracks, filename, options = {}) {
     try {
-        const result = generateCSV(analysedTracks);
+        const result = generateCSV(analysedTracks, options);
         
         if (!result.success) {
             console.error('CSV generation failed:', result.error);
@@ -420,5 +629,37 @@ export function exportCSV(analysedTracks, filename) {
     }
 }
 
+/**
+ * Generates and downloads the long-format segment CSV
+ * @param {Array} analysedTracks - Array of track analysis results
+ * @param {string} filename - Optional filename for download
+ * @returns {Object} Export result object
+ */
+export function exportSegmentCSV(analysedTracks, filename) {
+    try {
+        const result = generateSegmentCSV(analysedTracks);
+        
+        if (!result.success) {
+            console.error('Segment CSV generation failed:', result.error);
+            return result;
+        }
+        
+        downloadCSV(result.csvContent, filename);
+        
+        return {
+            success: true,
+            message: 'Segment CSV export completed successfully',
+            statistics: result.statistics
+        };
+    } catch (error) {
+        console.error('Segment CSV export failed:', error);
+        return {
+            success: false,
+            error: error.message,
+            statistics: {}
+        };
+    }
+}
+
 // Export schema for external access
-export { CSV_SCHEMA }; 
\ No newline at end of file
+export { CSV_SCHEMA, SEGMENT_CSV_SCHEMA, TOP_LABEL_SEPARATOR, getCSVColumns, getTrackCSVFields, TEMPO_CANDIDATE_CSV_COLUMNS, KEY_NOTATION_CSV_COLUMNS, PROVENANCE_CSV_COLUMNS, extractFilePath, validateTrackData, escapeCSVField }; 
\ No newline at end of file
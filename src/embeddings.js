@@ -0,0 +1,351 @@
+/**
+ * Model embeddings: the activations of a classifier's penultimate layer, exported so custom
+ * classifiers can be trained on them without re-running the audio analysis.
+ * Shared by the web app (Download Embeddings) and the Node analysis engine and workflows.
+ *
+ * An export is one NPY matrix of per-track vectors (mean over the analysed patches), optionally a
+ * second NPY matrix of per-patch vectors, and a JSON manifest mapping each row to its track and
+ * to the `filename` column of the results CSV.
+ */
+
+import { getModel } from './modelRegistry.js';
+import { extractFilePath } from './csvExport.js';
+
+const EMBEDDINGS_MANIFEST_VERSION = 1;
+
+const DEFAULT_EMBEDDINGS = {
+    enabled: false,
+    model: 'genre_dortmund',
+    perPatch: false
+};
+
+/**
+ * Fills in defaults and validates embedding settings
+ * @param {Object} embeddings - { enabled, model, perPatch }
+ * @returns {Object} Normalized embedding settings
+ */
+function normalizeEmbeddings(embeddings = {}) {
+    const normalized = { ...DEFAULT_EMBEDDINGS };
+    Object.entries(embeddings || {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') normalized[key] = value;
+    });
+
+    normalized.enabled = normalized.enabled === true || normalized.enabled === 'true';
+    normalized.perPatch = normalized.perPatch === true || normalized.perPatch === 'true';
+
+    if (!getModel(normalized.model).embedding) {
+        throw new RangeError(`Model "${normalized.model}" does not define an embedding layer`);
+    }
+
+    return normalized;
+}
+
+/**
+ * Embedding layer of a model (see MODEL_MANIFEST)
+ * @param {string} modelName - Name of the model
+ * @returns {Object} { layer, dimensions }
+ */
+function getEmbeddingLayer(modelName) {
+    const embedding = getModel(modelName).embedding;
+    if (!embedding) {
+        throw new RangeError(`Model "${modelName}" does not define an embedding layer`);
+    }
+    return embedding;
+}
+
+/**
+ * Builds a track's embeddings from per-patch layer activations
+ * @param {string} modelName - Model the activations come from
+ * @param {Array<Array<number>>} patchEmbeddings - Embedding layer activations, one array per patch
+ * @param {Array<Object|null>} patchSegments - `{start, end}` in seconds per patch (see getPatchSegments), null for padding-only patches
+ * @param {boolean} perPatch - Keep the per-patch vectors as well
+ * @returns {Object} { model, layer, dimensions, vector, patches, segments }
+ */
+function summarizeEmbeddings(modelName, patchEmbeddings, patchSegments, perPatch = false) {
+    const { layer } = getEmbeddingLayer(modelName);
+    const dimensions = patchEmbeddings[0].length;
+
+    // padding-only patches would pull the mean towards silence
+    let indices = patchEmbeddings.map((_, i) => i).filter(i => patchSegments[i]);
+    if (indices.length === 0) {
+        indices = patchEmbeddings.map((_, i) => i);
+    }
+
+    const vector = new Float32Array(dimensions);
+    indices.forEach((i) => {
+        for (let j = 0; j < dimensions; j++) {
+            vector[j] += patchEmbeddings[i][j];
+        }
+    });
+    for (let j = 0; j < dimensions; j++) {
+        vector[j] /= indices.length;
+    }
+
+    let patches = null;
+    if (perPatch) {
+        patches = new Float32Array(indices.length * dimensions);
+        indices.forEach((i, row) => patches.set(patchEmbeddings[i], row * dimensions));
+    }
+
+    return {
+        model: modelName,
+        layer,
+        dimensions,
+        vector,
+        patches,
+        segments: indices.map(i => patchSegments[i] ? [patchSegments[i].start, patchSegments[i].end] : null)
+    };
+}
+
+/**
+ * Encodes a float32 matrix as a NumPy .npy file (format version 1.0, little-endian, C order)
+ * @param {Float32Array} data - Row-major values
+ * @param {Array<number>} shape - Matrix shape
+ * @returns {Uint8Array} File contents
+ */
+function encodeNPY(data, shape) {
+    const shapeString = shape.length === 1 ? `(${shape[0]},)` : `(${shape.join(', ')})`;
+    let header = `{'descr': '<f4', 'fortran_order': False, 'shape': ${shapeString}, }`;
+    // magic (6) + version (2) + header length (2) + header, padded with spaces to a multiple of 64 and ended by a newline
+    const unpadded = 10 + header.length + 1;
+    header += ' '.repeat((64 - (unpadded % 64)) % 64) + '\n';
+
+    const bytes = new Uint8Array(10 + header.length + data.length * 4);
+    bytes.set([0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59, 1, 0]);
+    new DataView(bytes.buffer).setUint16(8, header.length, true);
+    for (let i = 0; i < header.length; i++) {
+        bytes[10 + i] = header.charCodeAt(i);
+    }
+
+    const values = new DataView(bytes.buffer, 10 + header.length);
+    for (let i = 0; i < data.length; i++) {
+        values.setFloat32(i * 4, data[i], true);
+    }
+    return bytes;
+}
+
+/**
+ * Decodes a float32 .npy file written by `encodeNPY`
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object} { data: Float32Array, shape }
+ */
+function decodeNPY(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint8(0) !== 0x93 || String.fromCharCode(...bytes.subarray(1, 6)) !== 'NUMPY') {
+        throw new Error('Not an NPY file');
+    }
+
+    const headerLength = view.getUint16(8, true);
+    const header = String.fromCharCode(...bytes.subarray(10, 10 + headerLength));
+    if (!header.includes("'descr': '<f4'") || header.includes("'fortran_order': True")) {
+        throw new Error(`Unsupported NPY layout: ${header.trim()}`);
+    }
+
+    const shape = header.match(/'shape': \(([^)]*)\)/)[1]
+        .split(',')
+        .map(s => s.trim())
+        .filter(Boolean)
+        .map(Number);
+    const length = shape.reduce((acc, n) => acc * n, 1);
+
+    const data = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        data[i] = view.getFloat32(10 + headerLength + i * 4, true);
+    }
+    return { data, shape };
+}
+
+/**
+ * Builds an embeddings export from analysed tracks
+ * @param {Array} analysedTracks - Tracks with `embeddings` (tracks without are skipped)
+ * @param {Object} options - { perPatch, runId, results } written to the manifest
+ * @returns {Object} { manifest, vectors, patches } with vectors/patches as .npy contents (patches null unless perPatch)
+ */
+function buildEmbeddingExport(analysedTracks, options = {}) {
+    const tracks = analysedTracks.filter(track => track && track.embeddings);
+    if (tracks.length === 0) {
+        return null;
+    }
+
+    const { model, layer, dimensions } = tracks[0].embeddings;
+    const perPatch = !!options.perPatch && tracks.every(track => track.embeddings.patches);
+
+    const vectors = new Float32Array(tracks.length * dimensions);
+    const manifestTracks = [];
+    let patchRows = 0;
+
+    tracks.forEach((track, row) => {
+        vectors.set(track.embeddings.vector, row * dimensions);
+
+        const entry = {
+            row,
+            filename: extractFilePath(track.file),
+            path: track.file.path || extractFilePath(track.file)
+        };
+        if (perPatch) {
+            entry.patchStart = patchRows;
+            entry.patchCount = track.embeddings.segments.length;
+            entry.segments = track.embeddings.segments;
+            patchRows += entry.patchCount;
+        }
+        manifestTracks.push(entry);
+    });
+
+    let patches = null;
+    if (perPatch) {
+        const patchData = new Float32Array(patchRows * dimensions);
+        tracks.forEach((track, i) => patchData.set(track.embeddings.patches, manifestTracks[i].patchStart * dimensions));
+        patches = encodeNPY(patchData, [patchRows, dimensions]);
+    }
+
+    return {
+        manifest: {
+            version: EMBEDDINGS_MANIFEST_VERSION,
+            format: 'npy',
+            dtype: 'float32',
+            model,
+            modelPath: getModel(model).path,
+            layer,
+            dimensions,
+            pooling: 'mean',
+            shape: [tracks.length, dimensions],
+            patchShape: perPatch ? [patchRows, dimensions] : null,
+            vectors: null,
+            patches: null,
+            results: options.results || null,
+            runId: options.runId || null,
+            tracks: manifestTracks
+        },
+        vectors: encodeNPY(vectors, [tracks.length, dimensions]),
+        patches
+    };
+}
+
+/**
+ * Concatenates embeddings exports (e.g. one per batch) in the given order
+ * @param {Array<Object>} parts - { manifest, vectors, patches } with vectors/patches as .npy contents
+ * @param {Object} options - { runId, results } written to the manifest
+ * @returns {Object} Combined { manifest, vectors, patches }
+ */
+function mergeEmbeddingExports(parts, options = {}) {
+    if (parts.length === 0) {
+        return null;
+    }
+
+    const first = parts[0].manifest;
+    parts.forEach(({ manifest }) => {
+        if (manifest.model !== first.model || manifest.layer !== first.layer) {
+            throw new Error(`Cannot merge embeddings of ${manifest.model}/${manifest.layer} with ${first.model}/${first.layer}`);
+        }
+    });
+
+    const perPatch = parts.every(part => part.patches);
+    const decoded = parts.map(part => ({
+        manifest: part.manifest,
+        vectors: decodeNPY(part.vectors),
+        patches: perPatch ? decodeNPY(part.patches) : null
+    }));
+
+    const rows = decoded.reduce((acc, part) => acc + part.vectors.shape[0], 0);
+    const patchRows = perPatch ? decoded.reduce((acc, part) => acc + part.patches.shape[0], 0) : 0;
+    const vectors = new Float32Array(rows * first.dimensions);
+    const patches = perPatch ? new Float32Array(patchRows * first.dimensions) : null;
+    const tracks = [];
+    let rowOffset = 0;
+    let patchOffset = 0;
+
+    decoded.forEach((part) => {
+        vectors.set(part.vectors.data, rowOffset * first.dimensions);
+        if (perPatch) {
+            patches.set(part.patches.data, patchOffset * first.dimensions);
+        }
+
+        part.manifest.tracks.forEach((track) => {
+            const entry = { ...track, row: track.row + rowOffset };
+            if (perPatch) {
+                entry.patchStart = track.patchStart + patchOffset;
+            } else {
+                delete entry.patchStart;
+                delete entry.patchCount;
+                delete entry.segments;
+            }
+            tracks.push(entry);
+        });
+
+        rowOffset += part.vectors.shape[0];
+        patchOffset += perPatch ? part.patches.shape[0] : 0;
+    });
+
+    return {
+        manifest: {
+            ...first,
+            shape: [rows, first.dimensions],
+            patchShape: perPatch ? [patchRows, first.dimensions] : null,
+            vectors: null,
+            patches: null,
+            results: options.results || null,
+            runId: options.runId || first.runId || null,
+            tracks
+        },
+        vectors: encodeNPY(vectors, [rows, first.dimensions]),
+        patches: perPatch ? encodeNPY(patches, [patchRows, first.dimensions]) : null
+    };
+}
+
+/**
+ * Builds an embeddings export and downloads its files (browser only)
+ * @param {Array} analysedTracks - Array of track analysis results
+ * @param {string} baseName - File name without extension, e.g. 'music_embeddings_2024-01-01_120000'
+ * @param {Object} options - { perPatch }
+ * @returns {Object} Export result object
+ */
+function exportEmbeddings(analysedTracks, baseName, options = {}) {
+    try {
+        const embeddingExport = buildEmbeddingExport(analysedTracks, options);
+        if (!embeddingExport) {
+            return { success: false, error: 'No tracks with embeddings' };
+        }
+
+        const { manifest } = embeddingExport;
+        manifest.vectors = `${baseName}.npy`;
+        const files = [[embeddingExport.vectors, manifest.vectors, 'application/octet-stream']];
+        if (embeddingExport.patches) {
+            manifest.patches = `${baseName}_patches.npy`;
+            files.push([embeddingExport.patches, manifest.patches, 'application/octet-stream']);
+        }
+        files.push([JSON.stringify(manifest, null, 2), `${baseName}.json`, 'application/json']);
+
+        files.forEach(([content, filename, type]) => {
+            const url = URL.createObjectURL(new Blob([content], { type }));
+            const link = document.createElement('a');
+            link.setAttribute('href', url);
+            link.setAttribute('download', filename);
+            link.style.visibility = 'hidden';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        });
+
+        return {
+            success: true,
+            message: 'Embeddings export completed successfully',
+            statistics: { tracks: manifest.shape[0], dimensions: manifest.dimensions }
+        };
+    } catch (error) {
+        console.error('Embeddings export failed:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+export {
+    DEFAULT_EMBEDDINGS,
+    normalizeEmbeddings,
+    getEmbeddingLayer,
+    summarizeEmbeddings,
+    encodeNPY,
+    decodeNPY,
+    buildEmbeddingExport,
+    mergeEmbeddingExports,
+    exportEmbeddings
+};
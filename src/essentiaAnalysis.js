@@ -0,0 +1,441 @@
+/**
+ * Low-level Essentia descriptors (key, BPM, loudness, dynamics and spectral shape) shared by the web app
+ * and the Node analysis engine
+ */
+
+/**
+ * KeyExtractor parameters, in the order of the essentia.js signature
+ */
+const KEY_EXTRACTOR_PARAMS = {
+    averageDetuningCorrection: true,
+    frameSize: 4096,
+    hopSize: 4096,
+    hpcpSize: 12,
+    maxFrequency: 3500,
+    maximumSpectralPeaks: 60,
+    minFrequency: 25,
+    pcpThreshold: 0.2,
+    profileType: 'bgate',
+    sampleRate: 16000,
+    spectralPeaksThreshold: 0.0001,
+    tuningFrequency: 440,
+    weightType: 'cosine',
+    windowType: 'hann'
+};
+
+/*
+    Key profiles KeyExtractor accepts in the bundled essentia-wasm build (weichai, faraldo and pentatonic are not
+    available there). bgate is the original behaviour; edma/edmm/braw suit electronic music, krumhansl/temperley classical.
+    `notation` adds a DJ-oriented key column: camelot (8A, 8B, ...) or openkey (1m, 1d, ...).
+*/
+const KEY_PROFILES = [
+    'bgate', 'braw', 'edma', 'edmm', 'krumhansl', 'temperley', 'temperley2005',
+    'shaath', 'gomez', 'noland', 'diatonic', 'tonictriad', 'thpcp'
+];
+
+const KEY_NOTATIONS = ['none', 'camelot', 'openkey'];
+
+const DEFAULT_KEY_DETECTION = {
+    profile: 'bgate',
+    notation: 'none'
+};
+
+/**
+ * PercivalBpmEstimator parameters, in the order of the essentia.js signature
+ */
+const PERCIVAL_BPM_PARAMS = {
+    frameSize: 1024,
+    frameSizeOSS: 2048,
+    hopSize: 128,
+    hopSizeOSS: 128,
+    maxBPM: 210,
+    minBPM: 50,
+    sampleRate: 16000
+};
+
+/*
+    Tempo backends selectable for the bpm column:
+    - percival:                PercivalBpmEstimator (original behaviour), no confidence
+    - rhythm2013-multifeature: RhythmExtractor2013, multifeature beat tracker, with confidence
+    - rhythm2013-degara:       RhythmExtractor2013, faster degara beat tracker, no confidence
+    - tempocnn:                TempoCNN model (deeptemp), with confidence, needs the model in models/
+    `candidates` adds half/double-tempo columns to the CSV, for checking octave errors.
+*/
+const TEMPO_BACKENDS = ['percival', 'rhythm2013-multifeature', 'rhythm2013-degara', 'tempocnn'];
+
+const DEFAULT_TEMPO = {
+    backend: 'percival',
+    candidates: false
+};
+
+/**
+ * RhythmExtractor2013 parameters, in the order of the essentia.js signature (method set by the backend)
+ */
+const RHYTHM_EXTRACTOR_2013_PARAMS = {
+    maxTempo: 208,
+    method: 'multifeature',
+    minTempo: 40
+};
+
+// upper bound of the multifeature beat tracker confidence, used to scale it to 0-1
+const MULTIFEATURE_MAX_CONFIDENCE = 5.32;
+
+/**
+ * TempoCNN input (mel bands of 11025Hz audio) and patching, as in Essentia's TempoCNN.
+ * Classes are BPM values from `minBPM` upwards in steps of 1.
+ */
+const TEMPOCNN_PARAMS = {
+    sampleRate: 11025,
+    frameSize: 1024,
+    hopSize: 512,
+    numberBands: 40,
+    lowFrequencyBound: 20,
+    highFrequencyBound: 5000,
+    patchSize: 256,
+    patchHopSize: 128,
+    minBPM: 30
+};
+
+/*
+    Optional descriptor stage, computed on the preprocessed (mono, 16kHz) signal:
+    integrated loudness (EBU R128, LUFS), dynamic complexity (dB), RMS, mean spectral centroid (Hz),
+    zero-crossing rate and onset rate (onsets per second).
+*/
+const DEFAULT_DESCRIPTORS = {
+    enabled: false
+};
+
+const DESCRIPTOR_PARAMS = {
+    sampleRate: 16000,
+    loudnessHopSize: 0.1, // seconds
+    dynamicComplexityFrameSize: 0.2, // seconds
+    spectralFrameSize: 2048,
+    spectralHopSize: 1024,
+    zeroCrossingThreshold: 0
+};
+
+// directory of the TempoCNN model in models/, not bundled with the app
+const TEMPOCNN_MODEL_NAME = 'deeptemp-k16-3';
+
+function normalizeKeyDetection (keyDetection = {}) {
+    const normalized = { ...DEFAULT_KEY_DETECTION };
+    Object.entries(keyDetection).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') normalized[key] = value;
+    });
+
+    if (!KEY_PROFILES.includes(normalized.profile)) {
+        throw new RangeError(`Unknown key profile "${normalized.profile}", expected one of: ${KEY_PROFILES.join(', ')}`);
+    }
+    if (!KEY_NOTATIONS.includes(normalized.notation)) {
+        throw new RangeError(`Unknown key notation "${normalized.notation}", expected one of: ${KEY_NOTATIONS.join(', ')}`);
+    }
+
+    return normalized;
+}
+
+function normalizeDescriptors (descriptors = {}) {
+    const normalized = { ...DEFAULT_DESCRIPTORS };
+    Object.entries(descriptors).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') normalized[key] = value;
+    });
+
+    normalized.enabled = normalized.enabled === true || normalized.enabled === 'true';
+
+    return normalized;
+}
+
+function normalizeTempo (tempo = {}) {
+    const normalized = { ...DEFAULT_TEMPO };
+    Object.entries(tempo).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') normalized[key] = value;
+    });
+
+    if (!TEMPO_BACKENDS.includes(normalized.backend)) {
+        throw new RangeError(`Unknown tempo backend "${normalized.backend}", expected one of: ${TEMPO_BACKENDS.join(', ')}`);
+    }
+
+    normalized.candidates = normalized.candidates === true || normalized.candidates === 'true';
+
+    return normalized;
+}
+
+/**
+ * Computes key and BPM for a preprocessed (mono, 16kHz) audio signal
+ * @param {Object} essentia - EssentiaJS instance with `arrayToVector` attached
+ * @param {Float32Array} audioSignal - Preprocessed audio signal
+ * @param {Object} settings - { tempo: { backend, candidates }, keyDetection: { profile, notation } },
+ * see TEMPO_BACKENDS and KEY_PROFILES
+ * @returns {Object} Object with `keyData` ({ key, scale, strength }), `bpm`, `bpmConfidence` (0-1, null if the backend has none),
+ * `bpmCandidates` ({ half, double }) and `tempoBackend`. With the tempocnn backend `bpm` is null
+ * until the model output is merged in with `applyTempoCNN`.
+ */
+function computeKeyBPM (essentia, audioSignal, settings = {}) {
+    const backend = normalizeTempo(settings.tempo).backend;
+    const profileType = normalizeKeyDetection(settings.keyDetection).profile;
+    let vectorSignal = essentia.arrayToVector(audioSignal);
+    const keyData = essentia.KeyExtractor(vectorSignal, ...Object.values({ ...KEY_EXTRACTOR_PARAMS, profileType }));
+
+    let bpm = null;
+    let bpmConfidence = null;
+
+    switch (backend) {
+        case 'percival':
+            bpm = essentia.PercivalBpmEstimator(vectorSignal, ...Object.values(PERCIVAL_BPM_PARAMS)).bpm;
+            break;
+
+        case 'rhythm2013-multifeature':
+        case 'rhythm2013-degara': {
+            const method = backend.replace('rhythm2013-', '');
+            const rhythm = essentia.RhythmExtractor2013(vectorSignal, ...Object.values({ ...RHYTHM_EXTRACTOR_2013_PARAMS, method }));
+            bpm = rhythm.bpm;
+            // degara always reports a confidence of 0
+            if (method === 'multifeature') {
+                bpmConfidence = Math.min(1, rhythm.confidence / MULTIFEATURE_MAX_CONFIDENCE);
+            }
+            rhythm.ticks.delete();
+            rhythm.estimates.delete();
+            rhythm.bpmIntervals.delete();
+            break;
+        }
+    }
+
+    // const bpm = essentia.RhythmExtractor(vectorSignal, 1024, 1024, 256, 0.1, 208, 40, 1024, 16000, [], 0.24, true, true).bpm;
+
+    // free WASM memory, long-running processes analyse thousands of tracks with one instance
+    vectorSignal.delete();
+
+    return {
+        keyData: keyData,
+        bpm: bpm,
+        bpmConfidence: bpmConfidence,
+        bpmCandidates: tempoCandidates(bpm),
+        tempoBackend: backend
+    };
+}
+
+/**
+ * Computes loudness, dynamics and spectral descriptors for a preprocessed (mono, 16kHz) audio signal
+ * @param {Object} essentia - EssentiaJS instance with `arrayToVector` attached
+ * @param {Float32Array} audioSignal - Preprocessed audio signal
+ * @returns {Object} { integratedLoudness, dynamicComplexity, rms, spectralCentroid, zeroCrossingRate, onsetRate }
+ */
+function computeDescriptors (essentia, audioSignal) {
+    const p = DESCRIPTOR_PARAMS;
+    const duration = audioSignal.length / p.sampleRate;
+    let vectorSignal = essentia.arrayToVector(audioSignal);
+
+    // LoudnessEBUR128 expects stereo, the downmix is fed to both channels (as Essentia's extractors do for mono files)
+    const loudness = essentia.LoudnessEBUR128(vectorSignal, vectorSignal, p.loudnessHopSize, p.sampleRate, false);
+    loudness.momentaryLoudness.delete();
+    loudness.shortTermLoudness.delete();
+
+    const dynamicComplexity = essentia.DynamicComplexity(vectorSignal, p.dynamicComplexityFrameSize, p.sampleRate).dynamicComplexity;
+    const rms = essentia.RMS(vectorSignal).rms;
+    const zeroCrossingRate = essentia.ZeroCrossingRate(vectorSignal, p.zeroCrossingThreshold).zeroCrossingRate;
+
+    // OnsetRate assumes 44.1kHz input, so its rate is off for 16kHz; the onsets are counted over the real duration instead
+    const onsets = essentia.OnsetRate(vectorSignal).onsets;
+    const onsetRate = duration > 0 ? onsets.size() / duration : 0;
+    onsets.delete();
+
+    vectorSignal.delete();
+
+    // mean over frames of the magnitude spectrum centroid, in Hz
+    const frames = essentia.FrameGenerator(audioSignal, p.spectralFrameSize, p.spectralHopSize);
+    let centroidSum = 0;
+    for (let i = 0; i < frames.size(); i++) {
+        const frame = frames.get(i);
+        const windowed = essentia.Windowing(frame, true, p.spectralFrameSize, 'hann', 0, true);
+        const spectrum = essentia.Spectrum(windowed.frame, p.spectralFrameSize);
+        centroidSum += essentia.Centroid(spectrum.spectrum, p.sampleRate / 2).centroid;
+        spectrum.spectrum.delete();
+        windowed.frame.delete();
+        frame.delete();
+    }
+    const spectralCentroid = frames.size() > 0 ? centroidSum / frames.size() : null;
+    frames.delete();
+
+    return {
+        integratedLoudness: loudness.integratedLoudness,
+        dynamicComplexity: dynamicComplexity,
+        rms: rms,
+        spectralCentroid: spectralCentroid,
+        zeroCrossingRate: zeroCrossingRate,
+        onsetRate: onsetRate
+    };
+}
+
+/**
+ * Describes the descriptor stage, for provenance records
+ * @param {Object} descriptors - Descriptor settings ({ enabled })
+ * @returns {Object} Whether the stage ran, its algorithms and parameters
+ */
+function describeDescriptors (descriptors = {}) {
+    return {
+        enabled: normalizeDescriptors(descriptors).enabled,
+        algorithms: ['LoudnessEBUR128', 'DynamicComplexity', 'RMS', 'Centroid', 'ZeroCrossingRate', 'OnsetRate'],
+        parameters: { ...DESCRIPTOR_PARAMS }
+    };
+}
+
+// position on the circle of fifths (C = 0, G = 1, ...) of each key name KeyExtractor reports
+const FIFTHS = {
+    'C': 0, 'G': 1, 'D': 2, 'A': 3, 'E': 4, 'B': 5, 'F#': 6, 'Gb': 6,
+    'C#': 7, 'Db': 7, 'G#': 8, 'Ab': 8, 'D#': 9, 'Eb': 9, 'A#': 10, 'Bb': 10, 'F': 11
+};
+
+/**
+ * Converts a key to Camelot (8A = A minor, 8B = C major) or Open Key (1m = A minor, 1d = C major) notation
+ * @param {Object} keyData - { key, scale } as reported by KeyExtractor
+ * @param {string} notation - 'camelot' or 'openkey'
+ * @returns {string|null} Key in the requested notation, null if unknown
+ */
+function keyToNotation (keyData, notation) {
+    if (!keyData || !(keyData.key in FIFTHS)) return null;
+
+    const minor = keyData.scale === 'minor';
+    // minor keys share the number of their relative major, three fifths down
+    const fifths = (FIFTHS[keyData.key] + (minor ? 9 : 0)) % 12;
+
+    switch (notation) {
+        case 'camelot':
+            return `${(fifths + 7) % 12 + 1}${minor ? 'A' : 'B'}`;
+        case 'openkey':
+            return `${fifths + 1}${minor ? 'm' : 'd'}`;
+        default:
+            return null;
+    }
+}
+
+function tempoCandidates (bpm) {
+    // octave-related alternatives, the usual confusion of tempo estimators
+    if (!bpm) return { half: null, double: null };
+    return { half: bpm / 2, double: bpm * 2 };
+}
+
+/**
+ * TempoCNN input patches for a mono 11025Hz signal, built from the same Essentia algorithms as
+ * TensorflowInputTempoCNN (which the bundled essentia-wasm build does not include)
+ * @param {Object} essentia - EssentiaJS instance with `arrayToVector` attached
+ * @param {Float32Array} audioSignal - Mono audio at TEMPOCNN_PARAMS.sampleRate
+ * @returns {Object} { patches: Float32Array of numPatches x patchSize x numberBands, numPatches }
+ */
+function computeTempoCNNPatches (essentia, audioSignal) {
+    const p = TEMPOCNN_PARAMS;
+    const frames = essentia.FrameGenerator(audioSignal, p.frameSize, p.hopSize);
+    const numFrames = frames.size();
+    const melBands = new Float32Array(Math.max(numFrames, p.patchSize) * p.numberBands); // zero-padded to one patch
+
+    for (let i = 0; i < numFrames; i++) {
+        const frame = frames.get(i);
+        const windowed = essentia.Windowing(frame, false, p.frameSize, 'hann', 0, true);
+        const spectrum = essentia.Spectrum(windowed.frame, p.frameSize);
+        const bands = essentia.MelBands(spectrum.spectrum, p.highFrequencyBound, p.frameSize / 2 + 1, false,
+            p.lowFrequencyBound, 'unit_tri', p.numberBands, p.sampleRate, 'magnitude', 'slaneyMel', 'linear').bands;
+
+        for (let b = 0; b < p.numberBands; b++) {
+            melBands[i * p.numberBands + b] = bands.get(b);
+        }
+
+        bands.delete();
+        spectrum.spectrum.delete();
+        windowed.frame.delete();
+        frame.delete();
+    }
+    frames.delete();
+
+    const patchLength = p.patchSize * p.numberBands;
+    const numPatches = 1 + Math.floor((Math.max(numFrames, p.patchSize) - p.patchSize) / p.patchHopSize);
+    const patches = new Float32Array(numPatches * patchLength);
+    for (let i = 0; i < numPatches; i++) {
+        patches.set(melBands.subarray(i * p.patchHopSize * p.numberBands, i * p.patchHopSize * p.numberBands + patchLength), i * patchLength);
+    }
+
+    return { patches: patches, numPatches: numPatches };
+}
+
+/**
+ * Global tempo from TempoCNN activations: the class with the highest mean probability over all patches
+ * @param {Array<Array<number>>} activations - Per-patch class probabilities
+ * @returns {Object} { bpm, bpmConfidence } with the mean probability of the chosen class as confidence
+ */
+function summarizeTempoCNN (activations) {
+    if (!activations || !activations.length) return { bpm: null, bpmConfidence: null };
+
+    const numClasses = activations[0].length;
+    const mean = new Array(numClasses).fill(0);
+    activations.forEach((patch) => {
+        patch.forEach((p, i) => { mean[i] += p / activations.length; });
+    });
+
+    const best = mean.indexOf(Math.max(...mean));
+    return {
+        bpm: TEMPOCNN_PARAMS.minBPM + best,
+        bpmConfidence: mean[best]
+    };
+}
+
+/**
+ * Merges TempoCNN activations into the result of computeKeyBPM
+ * @param {Object} essentiaAnalysis - Result of computeKeyBPM
+ * @param {Array<Array<number>>} activations - Per-patch TempoCNN class probabilities
+ * @returns {Object} Updated analysis
+ */
+function applyTempoCNN (essentiaAnalysis, activations) {
+    const tempo = summarizeTempoCNN(activations);
+    return {
+        ...essentiaAnalysis,
+        bpm: tempo.bpm,
+        bpmConfidence: tempo.bpmConfidence,
+        bpmCandidates: tempoCandidates(tempo.bpm)
+    };
+}
+
+/**
+ * Describes the algorithms and parameters computeKeyBPM uses, for provenance records
+ * @param {Object} settings - { tempo, keyDetection } as passed to computeKeyBPM
+ * @returns {Object} Algorithm names and parameters for key and BPM
+ */
+function describeKeyBPM (settings = {}) {
+    const backend = normalizeTempo(settings.tempo).backend;
+    const keyDetection = normalizeKeyDetection(settings.keyDetection);
+    const bpm = {
+        'percival': { algorithm: 'PercivalBpmEstimator', parameters: { ...PERCIVAL_BPM_PARAMS } },
+        'rhythm2013-multifeature': { algorithm: 'RhythmExtractor2013', parameters: { ...RHYTHM_EXTRACTOR_2013_PARAMS, method: 'multifeature' } },
+        'rhythm2013-degara': { algorithm: 'RhythmExtractor2013', parameters: { ...RHYTHM_EXTRACTOR_2013_PARAMS, method: 'degara' } },
+        'tempocnn': { algorithm: 'TempoCNN', parameters: { ...TEMPOCNN_PARAMS } }
+    }[backend];
+
+    return {
+        key: {
+            algorithm: 'KeyExtractor',
+            parameters: { ...KEY_EXTRACTOR_PARAMS, profileType: keyDetection.profile },
+            notation: keyDetection.notation
+        },
+        bpm: { backend, ...bpm }
+    };
+}
+
+export {
+    computeKeyBPM,
+    computeDescriptors,
+    computeTempoCNNPatches,
+    applyTempoCNN,
+    describeKeyBPM,
+    describeDescriptors,
+    keyToNotation,
+    normalizeTempo,
+    normalizeKeyDetection,
+    normalizeDescriptors,
+    TEMPO_BACKENDS,
+    DEFAULT_TEMPO,
+    KEY_PROFILES,
+    KEY_NOTATIONS,
+    DEFAULT_KEY_DETECTION,
+    DEFAULT_DESCRIPTORS,
+    DESCRIPTOR_PARAMS,
+    TEMPOCNN_PARAMS,
+    TEMPOCNN_MODEL_NAME,
+    KEY_EXTRACTOR_PARAMS,
+    PERCIVAL_BPM_PARAMS
+};
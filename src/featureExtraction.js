@@ -4,7 +4,8 @@ importScripts('./lib/essentia-wasm.module.js');
 // using modified version of ES6 essentia WASM, so that it can be loaded with importScripts
 const EssentiaWASM = Module;
 
-const extractor = new EssentiaModel.EssentiaTFInputExtractor(EssentiaWASM, 'musicnn', false);
+// one extractor per feature family (musicnn, vggish), created on first use
+const extractors = {};
 
 function outputFeatures(f) {
     postMessage({
@@ -12,14 +13,20 @@ function outputFeatures(f) {
     });
 }
 
-function computeFeatures(audioData) {
-    const featuresStart = Date.now();
-    
-    const features = extractor.computeFrameWise(audioData, 256);
+function computeFeatures(audioData, families) {
+    // families the configured models need, sent by the main thread from the model manifest (src/modelRegistry.js)
+    const features = {};
 
-    // console.log('computeFeatures: ', features.melSpectrum);
+    families.forEach((family) => {
+        const featuresStart = Date.now();
+        if (!extractors[family.name]) {
+            extractors[family.name] = new EssentiaModel.EssentiaTFInputExtractor(EssentiaWASM, family.name, false);
+        }
 
-    console.info(`Feature extraction took: ${Date.now() - featuresStart}`);
+        features[family.name] = extractors[family.name].computeFrameWise(audioData, family.hopSize);
+
+        console.info(`Feature extraction (${family.name}) took: ${Date.now() - featuresStart}`);
+    });
 
     return features;
 }
@@ -29,7 +36,7 @@ onmessage = function listenToMainThread(msg) {
     if (msg.data.audio) {
         console.log("From FE worker: I've got audio!");
         const audio = new Float32Array(msg.data.audio);
-        const features = computeFeatures(audio);
+        const features = computeFeatures(audio, msg.data.families);
         outputFeatures(features);
     }
 }
\ No newline at end of file
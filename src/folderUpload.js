@@ -0,0 +1,86 @@
+/**
+ * Folder input for the web app: audio files picked with a `webkitdirectory` input or found in dropped
+ * folders, each with its path inside the folder in `webkitRelativePath` so the exports keep the folder
+ * structure (see extractFilePath). Files inside folders are limited to the formats the batch automation
+ * accepts; files picked or dropped on their own are passed through as before.
+ */
+
+// same list as `supportedFormats` in automation/config.json
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.flac', '.ogg', '.m4a', '.aac'];
+
+function isAudioFile (file) {
+    const name = (file?.name || '').toLowerCase();
+    const dot = name.lastIndexOf('.');
+    return dot !== -1 && AUDIO_EXTENSIONS.includes(name.slice(dot));
+}
+
+/**
+ * Audio files of a folder selection, in path order
+ * @param {FileList|Array<File>} files - Files of a `webkitdirectory` input
+ * @returns {Array<File>} Files with a supported extension
+ */
+function filterAudioFiles (files) {
+    return Array.from(files || [])
+        .filter(isAudioFile)
+        .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name));
+}
+
+function entryToFile (entry) {
+    return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
+
+// readEntries returns at most 100 entries per call, keep reading until it returns none
+async function readDirectory (directory) {
+    const reader = directory.createReader();
+    const entries = [];
+    let batch;
+    do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        entries.push(...batch);
+    } while (batch.length > 0);
+    return entries;
+}
+
+async function collectDirectoryFiles (directory) {
+    const files = [];
+    for (const entry of await readDirectory(directory)) {
+        if (entry.isDirectory) {
+            files.push(...await collectDirectoryFiles(entry));
+        } else if (entry.isFile && isAudioFile(entry)) {
+            const file = await entryToFile(entry);
+            // dropped files have an empty webkitRelativePath, fullPath is "/<dropped folder>/.../<name>"
+            Object.defineProperty(file, 'webkitRelativePath', { value: entry.fullPath.replace(/^\//, '') });
+            files.push(file);
+        }
+    }
+    return files;
+}
+
+/**
+ * Files of a drop, walking dropped folders recursively
+ * @param {DataTransfer} dataTransfer - `dataTransfer` of the drop event, read before the handler awaits
+ * @returns {Promise<Array<File>>} Dropped files followed by the audio files of the dropped folders
+ */
+async function getDroppedFiles (dataTransfer) {
+    const items = Array.from(dataTransfer.items || []);
+    if (items.length === 0 || typeof items[0].webkitGetAsEntry !== 'function') {
+        return Array.from(dataTransfer.files);
+    }
+
+    // entries are only available during the drop event, take them all before the first await
+    const entries = items.filter(item => item.kind === 'file').map(item => item.webkitGetAsEntry());
+
+    const files = [];
+    const folderFiles = [];
+    for (const entry of entries) {
+        if (!entry) continue;
+        if (entry.isDirectory) {
+            folderFiles.push(...await collectDirectoryFiles(entry));
+        } else {
+            files.push(await entryToFile(entry));
+        }
+    }
+    return [...files, ...filterAudioFiles(folderFiles)];
+}
+
+export { AUDIO_EXTENSIONS, isAudioFile, filterAudioFiles, getDroppedFiles };
@@ -3,23 +3,23 @@ importScripts('./lib/essentia.js-model.umd.js');
 
 let model;
 let modelName = "";
+// model.json location, sent by the main thread from the model manifest (src/modelRegistry.js)
+let modelURL = "";
+// EssentiaModel class and input patch shape of the model's feature family (FEATURE_EXTRACTORS in src/modelRegistry.js)
+let modelClass = "TensorflowMusiCNN";
+let patchSize = 187;
+let melBandsSize = 96;
+// graph node returned alongside the predictions when this model provides the embeddings (see src/embeddings.js)
+let embeddingLayer = null;
 let modelLoaded = false;
 let modelReady = false;
-
-const modelTagOrder = {
-    'mood_happy': [true, false],
-    'mood_sad': [false, true],
-    'mood_relaxed': [false, true],
-    'mood_aggressive': [true, false],
-    'mood_electronic': [true, false],
-    'mood_acoustic': [true, false],
-    'mood_party': [false, true],
-    'genre_dortmund': 'multi_class',
-    'danceability': [true, false]
-};
+// feature messages received before the model finished warming up
+let pendingMessages = [];
+// predictions run one at a time, in the order tracks were sent
+let predictionQueue = Promise.resolve();
 
 function initModel() {
-    model = new EssentiaModel.TensorflowMusiCNN(tf, getModelURL(modelName));
+    model = new EssentiaModel[modelClass](tf, modelURL);
     
     loadModel(modelName).then((isLoaded) => {
         if (isLoaded) {
@@ -30,14 +30,6 @@ function initModel() {
     });
 }
 
-function getModelURL() {
-    // Handle different model naming conventions
-    if (modelName === 'mood_acoustic' || modelName === 'mood_party') {
-        return `../models/${modelName}-musicnn-mtt-2/model.json`;
-    }
-    return `../models/${modelName}-musicnn-msd-2/model.json`;
-}
-
 async function loadModel() {
     await model.initialize();
     // warm-up: perform dry run to prepare WebGL shader operations
@@ -47,10 +39,10 @@ async function loadModel() {
 
 function warmUp() {
     const fakeFeatures = {
-        melSpectrum: getZeroMatrix(187, 96),
-        frameSize: 187,
-        melBandsSize: 96,
-        patchSize: 187
+        melSpectrum: getZeroMatrix(patchSize, melBandsSize),
+        frameSize: patchSize,
+        melBandsSize: melBandsSize,
+        patchSize: patchSize
     };
 
     const fakeStart = Date.now();
@@ -59,6 +51,9 @@ function warmUp() {
         console.info(`${modelName}: Warm up inference took: ${Date.now() - fakeStart}`);
         modelReady = true;
         if (modelLoaded && modelReady) console.log(`${modelName} loaded and ready.`);
+
+        pendingMessages.forEach((msg) => queuePrediction(msg.trackId, msg.features));
+        pendingMessages = [];
     });
 }
 
@@ -78,74 +73,74 @@ async function initTensorflowWASM() {
 }
 
 
-function outputPredictions(p) {
+function outputPredictions(trackId, p) {
     postMessage({
+        trackId: trackId,
         predictions: p
     });
 }
 
-function twoValuesAverage (arrayOfArrays) {
-    let firstValues = [];
-    let secondValues = [];
+function queuePrediction(trackId, features) {
+    predictionQueue = predictionQueue.then(() => modelPredict(trackId, features));
+}
 
-    arrayOfArrays.forEach((v) => {
-        firstValues.push(v[0]);
-        secondValues.push(v[1]);
+function predictWithEmbeddings(features) {
+    // same as TensorflowMusiCNN/TensorflowVGGish.predict, additionally returning the embedding layer from the same forward pass
+    const featureTensor = model.arrayToTensorAsBatches(features.melSpectrum, [features.frameSize, features.melBandsSize], features.patchSize, true);
+    const modelInputs = model.disambiguateExtraInputs();
+    modelInputs.push(featureTensor);
+    const [output, embedding] = model.model.execute(modelInputs, [model.model.outputs[0].name, embeddingLayer]);
+    featureTensor.dispose();
+
+    return Promise.all([output.array(), embedding.array()]).then(([predictions, embeddings]) => {
+        output.dispose();
+        embedding.dispose();
+        return { predictions, embeddings };
     });
+}
 
-    const firstValuesAvg = firstValues.reduce((acc, val) => acc + val) / firstValues.length;
-    const secondValuesAvg = secondValues.reduce((acc, val) => acc + val) / secondValues.length;
+function modelPredict(trackId, features) {
+    const inferenceStart = Date.now();
+
+    if (embeddingLayer) {
+        return predictWithEmbeddings(features).then(({ predictions, embeddings }) => {
+            console.info(`${modelName}: Inference for track ${trackId} took: ${Date.now() - inferenceStart}`);
+            postMessage({
+                trackId: trackId,
+                predictions: predictions,
+                embeddings: embeddings
+            });
+        }).catch((error) => {
+            console.error(`${modelName}: Inference for track ${trackId} failed`, error);
+            postMessage({
+                trackId: trackId,
+                error: error.message
+            });
+        });
+    }
 
-    return [firstValuesAvg, secondValuesAvg];
+    // model stays loaded for the next track, it is only disposed on shutdown
+    return model.predict(features, true).then((predictions) => {
+        // raw per-patch activations, summarised on the main thread (see predictionUtils.js)
+        console.info(`${modelName}: Inference for track ${trackId} took: ${Date.now() - inferenceStart}`);
+        // output to main thread
+        outputPredictions(trackId, predictions);
+    }).catch((error) => {
+        console.error(`${modelName}: Inference for track ${trackId} failed`, error);
+        postMessage({
+            trackId: trackId,
+            error: error.message
+        });
+    });
 }
 
-function modelPredict(features) {
-    if (modelReady) {
-        const inferenceStart = Date.now();
-
-        model.predict(features, true).then((predictions) => {
-            let results;
-            
-            if (modelName === 'genre_dortmund') {
-                // Handle multi-class genre classification
-                // predictions is an array of prediction arrays for each time segment
-                // Average across all segments to get final genre probabilities
-                const genreLabels = ['alternative', 'blues', 'electronic', 'folkcountry', 'funksoulrnb', 'jazz', 'pop', 'raphiphop', 'rock'];
-                
-                // Average predictions across all time segments
-                const numSegments = predictions.length;
-                const numGenres = predictions[0].length;
-                const avgPredictions = new Array(numGenres).fill(0);
-                
-                for (let i = 0; i < numSegments; i++) {
-                    for (let j = 0; j < numGenres; j++) {
-                        avgPredictions[j] += predictions[i][j];
-                    }
-                }
-                
-                // Normalize by number of segments
-                for (let j = 0; j < numGenres; j++) {
-                    avgPredictions[j] /= numSegments;
-                }
-                
-                // Create genre results object
-                results = {};
-                genreLabels.forEach((label, index) => {
-                    results[label] = avgPredictions[index];
-                });
-                
-            } else {
-                // Handle binary mood classification
-                const summarizedPredictions = twoValuesAverage(predictions);
-                results = summarizedPredictions.filter((_, i) => modelTagOrder[modelName][i])[0];
-            }
-
-            console.info(`${modelName}: Inference took: ${Date.now() - inferenceStart}`);
-            // output to main thread
-            outputPredictions(results);
-            model.dispose();
-        });
+function disposeModel() {
+    if (model) {
+        model.dispose();
+        model = null;
     }
+    modelReady = false;
+    close();
 }
 
 function getZeroMatrix(x, y) {
@@ -161,10 +156,21 @@ onmessage = function listenToMainThread(msg) {
     // listen for audio features
     if (msg.data.name) {
         modelName = msg.data.name;
+        modelURL = msg.data.url;
+        modelClass = msg.data.modelClass || modelClass;
+        patchSize = msg.data.patchSize || patchSize;
+        melBandsSize = msg.data.melBandsSize || melBandsSize;
+        embeddingLayer = msg.data.embeddingLayer || null;
         initTensorflowWASM();
     } else if (msg.data.features) {
-        console.log("From inference worker: I've got features!");
-        // should/can this eventhandler run async functions
-        modelPredict(msg.data.features);
+        console.log(`From inference worker: I've got features for track ${msg.data.trackId}!`);
+        if (modelReady) {
+            queuePrediction(msg.data.trackId, msg.data.features);
+        } else {
+            pendingMessages.push(msg.data);
+        }
+    } else if (msg.data.dispose) {
+        // let queued predictions finish before releasing the model
+        predictionQueue.then(disposeModel);
     }
 };
@@ -0,0 +1,267 @@
+/**
+ * JSON and NDJSON export of analysis results.
+ * Unlike the CSV, records keep their structure: per-label probability objects, the full key data,
+ * tempo candidates and descriptors. JSON is an array of records, NDJSON one record per line.
+ * Shared by the web app ("Download JSON") and the automation (upload --format, merge --format).
+ */
+
+import { keyToNotation } from './essentiaAnalysis.js';
+import { MODEL_MANIFEST } from './modelRegistry.js';
+import { getTopLabels } from './predictionUtils.js';
+import { extractFilePath, validateTrackData } from './csvExport.js';
+
+const EXPORT_FORMATS = ['csv', 'json', 'ndjson'];
+
+// version of the record layout, bumped when fields are renamed or removed
+const RECORD_VERSION = 1;
+
+const EXPORT_MIME_TYPES = {
+    csv: 'text/csv;charset=utf-8;',
+    json: 'application/json;charset=utf-8;',
+    ndjson: 'application/x-ndjson;charset=utf-8;'
+};
+
+function normalizeExportFormat (format) {
+    const normalized = (format === undefined || format === null || format === '') ? 'csv' : String(format).toLowerCase();
+    if (!EXPORT_FORMATS.includes(normalized)) {
+        throw new RangeError(`Unknown export format "${format}", expected one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+    return normalized;
+}
+
+/**
+ * Builds the structured record of one track
+ * @param {Object} track - Track object from analysedTracks array
+ * @param {number} index - Track index for logging
+ * @param {Object} options - { keyNotation, topK, segments, runId }
+ * @returns {Object} Track record
+ */
+function buildTrackRecord(track, index, options = {}) {
+    const { warnings } = validateTrackData(track, index);
+    const essentia = track?.essentia || {};
+    const file = track?.file || {};
+
+    const record = {
+        version: RECORD_VERSION,
+        filename: extractFilePath(file),
+        file: {
+            name: file.name || null,
+            path: file.path || file.webkitRelativePath || null,
+            size: file.size ?? null,
+            type: file.type || null,
+            lastModified: file.lastModified ?? null
+        },
+        predictions: track?.predictions || {},
+        essentia: {
+            bpm: essentia.bpm ?? null,
+            bpmConfidence: essentia.bpmConfidence ?? null,
+            bpmCandidates: essentia.bpmCandidates || null,
+            keyData: essentia.keyData || null,
+            ...(options.keyNotation && options.keyNotation !== 'none' ? {
+                keyNotation: { [options.keyNotation]: keyToNotation(essentia.keyData, options.keyNotation) || null }
+            } : {})
+        },
+        descriptors: track?.descriptors || null,
+        audio: track?.audio || null,
+        tags: track?.tags || null,
+        sampling: track?.sampling || null,
+        analyzedAt: track?.analyzedAt || null,
+        runId: options.runId || null,
+        errors: [...warnings, ...(track?.error ? [track.error] : [])]
+    };
+
+    if (options.topK > 0) {
+        record.topLabels = {};
+        MODEL_MANIFEST.filter(model => model.output !== 'binary').forEach((model) => {
+            record.topLabels[model.name] = getTopLabels(track?.predictions?.[model.name], options.topK);
+        });
+    }
+
+    if (options.segments) {
+        record.segments = track?.segments || [];
+    }
+
+    return record;
+}
+
+/**
+ * Serialises records as a JSON array or as NDJSON
+ * @param {Array<Object>} records - Track records
+ * @param {string} format - `json` or `ndjson`
+ * @returns {string} File content
+ */
+function serializeRecords(records, format) {
+    if (format === 'ndjson') {
+        return records.map(record => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : '');
+    }
+    return JSON.stringify(records, null, 2) + '\n';
+}
+
+/**
+ * Parses a JSON array or NDJSON file back into records
+ * @param {string} content - File content
+ * @param {string} format - `json` or `ndjson`
+ * @returns {Array<Object>} Track records
+ */
+function parseRecords(content, format) {
+    if (format === 'ndjson') {
+        return content.split('\n').filter(line => line.trim()).map((line, i) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid NDJSON on line ${i + 1}: ${error.message}`);
+            }
+        });
+    }
+
+    const records = JSON.parse(content);
+    if (!Array.isArray(records)) {
+        throw new Error('JSON export must be an array of records');
+    }
+    return records;
+}
+
+/**
+ * Generates JSON or NDJSON content from analysedTracks array
+ * @param {Array} analysedTracks - Array of track analysis results
+ * @param {Object} options - { format: 'json'|'ndjson', keyNotation, topK, segments, runId }
+ * @returns {Object} Result object with content, records and statistics
+ */
+function generateRecords(analysedTracks, options = {}) {
+    if (!Array.isArray(analysedTracks)) {
+        return {
+            success: false,
+            error: 'Invalid input data: analysedTracks must be an array',
+            content: '',
+            statistics: {}
+        };
+    }
+
+    const format = options.format === 'ndjson' ? 'ndjson' : 'json';
+    const stats = {
+        totalTracks: analysedTracks.length,
+        processedTracks: 0,
+        skippedTracks: 0,
+        errors: 0
+    };
+    const records = [];
+
+    analysedTracks.forEach((track, index) => {
+        try {
+            if (!track) {
+                stats.skippedTracks++;
+                return;
+            }
+            records.push(buildTrackRecord(track, index, options));
+            stats.processedTracks++;
+        } catch (error) {
+            console.error(`Error processing track ${index}:`, error);
+            stats.errors++;
+            stats.skippedTracks++;
+        }
+    });
+
+    return {
+        success: true,
+        format,
+        content: serializeRecords(records, format),
+        records,
+        statistics: stats
+    };
+}
+
+/**
+ * @param {Array} analysedTracks - Array of track analysis results
+ * @param {Object} options - See generateRecords
+ * @returns {Object} Result object, `content` is a JSON array of track records
+ */
+function generateJSON(analysedTracks, options = {}) {
+    return generateRecords(analysedTracks, { ...options, format: 'json' });
+}
+
+/**
+ * @param {Array} analysedTracks - Array of track analysis results
+ * @param {Object} options - See generateRecords
+ * @returns {Object} Result object, `content` holds one track record per line
+ */
+function generateNDJSON(analysedTracks, options = {}) {
+    return generateRecords(analysedTracks, { ...options, format: 'ndjson' });
+}
+
+/**
+ * Triggers the download of a JSON or NDJSON file (browser only)
+ * @param {string} content - File content
+ * @param {string} filename - Desired filename
+ * @param {string} format - `json` or `ndjson`
+ */
+function downloadRecords(content, filename, format = 'json') {
+    const url = URL.createObjectURL(new Blob([content], { type: EXPORT_MIME_TYPES[format] }));
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+function exportRecords(analysedTracks, filename, options) {
+    try {
+        const result = generateRecords(analysedTracks, options);
+        if (!result.success) {
+            console.error(`${options.format.toUpperCase()} generation failed:`, result.error);
+            return result;
+        }
+
+        downloadRecords(result.content, filename, result.format);
+
+        return {
+            success: true,
+            message: `${result.format.toUpperCase()} export completed successfully`,
+            statistics: result.statistics
+        };
+    } catch (error) {
+        console.error(`${options.format.toUpperCase()} export failed:`, error);
+        return {
+            success: false,
+            error: error.message,
+            statistics: {}
+        };
+    }
+}
+
+/**
+ * Generates and downloads a JSON array of track records
+ * @param {Array} analysedTracks - Array of track analysis results
+ * @param {string} filename - Filename for download
+ * @param {Object} options - See generateRecords
+ * @returns {Object} Export result object
+ */
+function exportJSON(analysedTracks, filename, options = {}) {
+    return exportRecords(analysedTracks, filename, { ...options, format: 'json' });
+}
+
+/**
+ * Generates and downloads NDJSON, one track record per line
+ * @param {Array} analysedTracks - Array of track analysis results
+ * @param {string} filename - Filename for download
+ * @param {Object} options - See generateRecords
+ * @returns {Object} Export result object
+ */
+function exportNDJSON(analysedTracks, filename, options = {}) {
+    return exportRecords(analysedTracks, filename, { ...options, format: 'ndjson' });
+}
+
+export {
+    EXPORT_FORMATS,
+    RECORD_VERSION,
+    normalizeExportFormat,
+    buildTrackRecord,
+    serializeRecords,
+    parseRecords,
+    generateJSON,
+    generateNDJSON,
+    exportJSON,
+    exportNDJSON
+};
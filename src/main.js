@@ -1,22 +1,90 @@
-import { AnalysisResults, toggleUploadDisplayHTML, PlaybackControls } from './viz.js';
-import { preprocess, shortenAudio } from './audioUtils.js';
-import { generateCSV, downloadCSV, exportCSV, CSV_SCHEMA } from './csvExport.js';
+import { AnalysisResults, toggleUploadDisplayHTML, PlaybackControls, ActivationTimeline } from './viz.js';
+import { preprocess, describeAudio, downsampleArray, sampleAudio, getPatchSegments, normalizeSampling, describeSampling } from './audioUtils.js';
+import {
+    computeKeyBPM,
+    computeDescriptors,
+    computeTempoCNNPatches,
+    applyTempoCNN,
+    normalizeTempo,
+    normalizeKeyDetection,
+    normalizeDescriptors,
+    TEMPOCNN_PARAMS
+} from './essentiaAnalysis.js';
+import { summarizePredictions, segmentPredictions, normalizePredictionOutput } from './predictionUtils.js';
+import {
+    MODEL_MANIFEST,
+    getModelNames,
+    getModelURL,
+    getModelMetadataURL,
+    loadModelMetadata,
+    getFeatureExtractor,
+    getFeatureFamilies,
+    getPatchSampleLength
+} from './modelRegistry.js';
+import { normalizeEmbeddings, getEmbeddingLayer, summarizeEmbeddings, exportEmbeddings } from './embeddings.js';
+import { generateCSV, downloadCSV, exportCSV, exportSegmentCSV, getCSVColumns } from './csvExport.js';
+import { generateJSON, generateNDJSON, exportJSON, exportNDJSON, normalizeExportFormat } from './jsonExport.js';
+import { normalizeTags, readTags, readStreamInfo } from './audioTags.js';
+import { TrackHistory, normalizeHistory } from './trackHistory.js';
+import { ResultsTable } from './resultsTable.js';
+import { CollectionDashboard } from './collectionCharts.js';
+import { filterAudioFiles, getDroppedFiles } from './folderUpload.js';
 import './csvExportTest.js';
 
 const AudioContext = window.AudioContext || window.webkitAudioContext;
 const audioCtx = new AudioContext();
-const KEEP_PERCENTAGE = 0.15; // keep only 15% of audio file
+// which parts of each track are analysed, overridable through the URL,
+// e.g. ?sampling=random&patches=10&seed=42 (see audioUtils.js for the strategies)
+const SAMPLING = samplingFromURL(window.location.search);
+// tempo backend, e.g. ?tempo=rhythm2013-multifeature&candidates=true (see essentiaAnalysis.js)
+const TEMPO = tempoFromURL(window.location.search);
+// key profile and notation column, e.g. ?keyProfile=edma&keyNotation=camelot
+const KEY_DETECTION = keyDetectionFromURL(window.location.search);
+// loudness, dynamics and spectral descriptors, enabled with ?descriptors=true
+const DESCRIPTORS = normalizeDescriptors({ enabled: new URLSearchParams(window.location.search).get('descriptors') });
+// penultimate-layer embeddings of one model, enabled with ?embeddings=true
+const EMBEDDINGS = embeddingsFromURL(window.location.search);
+// most probable labels of multi-class/multi-label models, e.g. ?topK=3 (see predictionUtils.js)
+const PREDICTION_OUTPUT = predictionOutputFromURL(window.location.search);
+// file written by the JSON button, ?format=ndjson for one record per line (see jsonExport.js)
+const JSON_FORMAT = jsonFormatFromURL(window.location.search);
+// artist, title, album, year, ISRC and duration columns from the files' tags, enabled with ?tags=true
+const TAGS = normalizeTags({ enabled: new URLSearchParams(window.location.search).get('tags') });
+// analysed tracks kept in IndexedDB across reloads, ?history=false to disable, ?historyAudio=true to keep the audio too
+const HISTORY = normalizeHistory({
+    enabled: new URLSearchParams(window.location.search).get('history'),
+    audio: new URLSearchParams(window.location.search).get('historyAudio')
+});
+const trackHistory = new TrackHistory(HISTORY);
+// columns of the CSV download and the results table
+const CSV_OPTIONS = {
+    tags: TAGS.enabled,
+    tempoCandidates: TEMPO.candidates,
+    keyNotation: KEY_DETECTION.notation,
+    topK: PREDICTION_OUTPUT.topK
+};
 
 let essentia = null;
 let essentiaAnalysis;
+let descriptorAnalysis = null;
 let featureExtractionWorker = null;
 let inferenceWorkers = {};
-const modelNames = ['mood_happy' , 'mood_sad', 'mood_relaxed', 'mood_aggressive', 'mood_electronic', 'mood_acoustic', 'mood_party', 'genre_dortmund', 'danceability'];
-let inferenceResultPromises = [];
-
-const resultsViz = new AnalysisResults(modelNames);
+let tempoWorker = null;
+const modelNames = getModelNames();
+// input feature families of the models, each computed once per track (FEATURE_EXTRACTORS in modelRegistry.js)
+const featureFamilies = getFeatureFamilies(modelNames);
+// per-track model outputs, keyed by track id, until all models have reported
+// { predictions, activations, audioLength, awaitingTempo }
+let pendingPredictions = {};
+let nextTrackId = 0;
+
+// created once the labels of all models are known (see loadModelMetadata)
+let resultsViz = null;
+let resultsTable = null;
+let collectionDashboard = null;
 let wavesurfer;
 let controls;
+let timeline;
 
 const dropInput = document.createElement('input');
 dropInput.setAttribute('type', 'file');
@@ -25,33 +93,58 @@ dropInput.addEventListener('change', () => {
     processFileUpload(dropInput.files);
 })
 
+// folder selection, files keep their path inside the folder in webkitRelativePath
+const folderInput = document.createElement('input');
+folderInput.setAttribute('type', 'file');
+folderInput.setAttribute('webkitdirectory', '');
+folderInput.addEventListener('change', () => {
+    const files = filterAudioFiles(folderInput.files);
+    if (files.length === 0) console.warn('No supported audio files in the selected folder');
+    processFileUpload(files);
+    folderInput.value = "";
+})
+
 const dropArea = document.querySelector('#file-drop-area');
 dropArea.addEventListener('dragover', (e) => { e.preventDefault() });
 dropArea.addEventListener('drop', (e) => {
     e.preventDefault();
-    const files = e.dataTransfer.files;
-    processFileUpload(files);
+    // dropped folders are walked recursively
+    getDroppedFiles(e.dataTransfer)
+        .then(processFileUpload)
+        .catch(error => console.error('Could not read dropped files:', error));
 })
 dropArea.addEventListener('click', () => {
     dropInput.click();
 })
+document.querySelector('#folder-select-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    folderInput.click();
+})
 
 // Add queue variables for batch processing
 let filesQueue = [];
 let isProcessing = false;
+// set once the inference workers, results view and Essentia are ready, files dropped before wait in the queue
+let isReady = false;
 
 let analysedTracks = [];
 let currentAnalysingFile = null;
+let currentTrackId = null;
 
 // CSV Download UI management
 let csvDownloadBtn = null;
+let jsonDownloadBtn = null;
+let segmentsDownloadBtn = null;
+let embeddingsDownloadBtn = null;
+let historyClearBtn = null;
 let csvExportFeedback = null;
 
 /**
  * Generates timestamp-based filename for CSV export
+ * @param {string} prefix - Filename prefix (default: 'music_analysis')
  * @returns {string} Filename with timestamp
  */
-function generateCSVFilename() {
+function generateCSVFilename(prefix = 'music_analysis') {
     const now = new Date();
     const year = now.getFullYear();
     const month = String(now.getMonth() + 1).padStart(2, '0');
@@ -60,7 +153,7 @@ function generateCSVFilename() {
     const minutes = String(now.getMinutes()).padStart(2, '0');
     const seconds = String(now.getSeconds()).padStart(2, '0');
     
-    return `music_analysis_${year}-${month}-${day}_${hours}${minutes}${seconds}.csv`;
+    return `${prefix}_${year}-${month}-${day}_${hours}${minutes}${seconds}.csv`;
 }
 
 /**
@@ -78,6 +171,28 @@ function updateCSVButtonState() {
         csvDownloadBtn.classList.add('disabled');
         csvDownloadBtn.title = 'No analysis results available';
     }
+    
+    if (jsonDownloadBtn) {
+        jsonDownloadBtn.classList.toggle('disabled', !hasData);
+        jsonDownloadBtn.title = hasData
+            ? `Download ${JSON_FORMAT.toUpperCase()} with ${analysedTracks.length} track(s)`
+            : 'No analysis results available';
+    }
+    
+    if (segmentsDownloadBtn) {
+        segmentsDownloadBtn.classList.toggle('disabled', !hasData);
+        segmentsDownloadBtn.title = hasData
+            ? `Download per-segment predictions for ${analysedTracks.length} track(s)`
+            : 'No analysis results available';
+    }
+    
+    if (embeddingsDownloadBtn) {
+        embeddingsDownloadBtn.classList.toggle('disabled', !hasData);
+    }
+    
+    if (historyClearBtn) {
+        historyClearBtn.classList.toggle('disabled', !hasData);
+    }
 }
 
 /**
@@ -142,7 +257,7 @@ function handleCSVExport() {
         const filename = generateCSVFilename();
         
         // Use the existing CSV export functionality
-        const result = exportCSV(analysedTracks, filename);
+        const result = exportCSV(analysedTracks, filename, CSV_OPTIONS);
         
         // Reset button state
         csvDownloadBtn.classList.remove('loading');
@@ -170,13 +285,153 @@ function handleCSVExport() {
     }
 }
 
+/**
+ * Exports the tracks left by the results table's search and filters, in table order
+ * @param {Array} tracks - Filtered tracks
+ */
+function handleFilteredCSVExport(tracks) {
+    if (tracks.length === 0) {
+        showCSVFeedback('error', 'No rows match the current filters', 3000);
+        return;
+    }
+    
+    try {
+        const result = exportCSV(tracks, generateCSVFilename('music_analysis_filtered'), CSV_OPTIONS);
+        
+        if (result.success) {
+            showCSVFeedback('success', 
+                `Filtered CSV exported successfully! (${result.statistics.processedTracks} of ${analysedTracks.length} tracks)`, 
+                4000);
+        } else {
+            showCSVFeedback('error', 
+                `Export failed: ${result.error || 'Unknown error'}`, 
+                5000);
+        }
+    } catch (error) {
+        console.error('Filtered CSV export error:', error);
+        showCSVFeedback('error', `Export failed: ${error.message}`, 5000);
+    }
+}
+
+/**
+ * Refreshes everything showing the analysed tracks after one is added or removed
+ */
+function updateTrackViews() {
+    updateCSVButtonState();
+    if (resultsTable) {
+        resultsTable.render();
+    }
+    if (collectionDashboard) {
+        collectionDashboard.render();
+    }
+}
+
+/**
+ * Handles JSON export button click (one structured record per track, NDJSON with ?format=ndjson)
+ */
+function handleJSONExport() {
+    if (analysedTracks.length === 0) {
+        showCSVFeedback('error', 'No tracks available for export', 3000);
+        return;
+    }
+    
+    const filename = generateCSVFilename().replace(/\.csv$/, `.${JSON_FORMAT}`);
+    const exportRecords = JSON_FORMAT === 'ndjson' ? exportNDJSON : exportJSON;
+    const result = exportRecords(analysedTracks, filename, {
+        keyNotation: KEY_DETECTION.notation,
+        topK: PREDICTION_OUTPUT.topK,
+        segments: true
+    });
+    
+    if (result.success) {
+        showCSVFeedback('success', 
+            `${JSON_FORMAT.toUpperCase()} exported successfully! (${result.statistics.processedTracks} tracks)`, 
+            4000);
+    } else {
+        showCSVFeedback('error', 
+            `Export failed: ${result.error || 'Unknown error'}`, 
+            5000);
+    }
+}
+
+/**
+ * Handles segment CSV export button click (long format: track, segment_start, segment_end, model, value)
+ */
+function handleSegmentCSVExport() {
+    if (analysedTracks.length === 0) {
+        showCSVFeedback('error', 'No tracks available for export', 3000);
+        return;
+    }
+    
+    try {
+        const result = exportSegmentCSV(analysedTracks, generateCSVFilename('music_segments'));
+        
+        if (result.success) {
+            showCSVFeedback('success', 
+                `Segment CSV exported successfully! (${result.statistics.totalRows} rows)`, 
+                4000);
+        } else {
+            showCSVFeedback('error', 
+                `Export failed: ${result.error || 'Unknown error'}`, 
+                5000);
+        }
+    } catch (error) {
+        console.error('Segment CSV export error:', error);
+        showCSVFeedback('error', `Export failed: ${error.message}`, 5000);
+    }
+}
+
+/**
+ * Handles embeddings export button click (NPY vectors and a JSON manifest)
+ */
+function handleEmbeddingsExport() {
+    if (analysedTracks.length === 0) {
+        showCSVFeedback('error', 'No tracks available for export', 3000);
+        return;
+    }
+    
+    const baseName = generateCSVFilename('music_embeddings').replace(/\.csv$/, '');
+    const result = exportEmbeddings(analysedTracks, baseName, { perPatch: EMBEDDINGS.perPatch });
+    
+    if (result.success) {
+        showCSVFeedback('success', 
+            `Embeddings exported successfully! (${result.statistics.tracks} tracks, ${result.statistics.dimensions} dimensions)`, 
+            4000);
+    } else {
+        showCSVFeedback('error', 
+            `Export failed: ${result.error || 'Unknown error'}`, 
+            5000);
+    }
+}
+
 /**
  * Initializes CSV download UI functionality
  */
 function initializeCSVDownloadUI() {
     csvDownloadBtn = document.getElementById('csv-download-btn');
+    jsonDownloadBtn = document.getElementById('json-download-btn');
+    segmentsDownloadBtn = document.getElementById('segments-download-btn');
+    embeddingsDownloadBtn = document.getElementById('embeddings-download-btn');
+    historyClearBtn = document.getElementById('history-clear-btn');
     csvExportFeedback = document.getElementById('csv-export-feedback');
     
+    if (jsonDownloadBtn) {
+        jsonDownloadBtn.addEventListener('click', handleJSONExport);
+    }
+    
+    if (segmentsDownloadBtn) {
+        segmentsDownloadBtn.addEventListener('click', handleSegmentCSVExport);
+    }
+    
+    if (historyClearBtn) {
+        historyClearBtn.addEventListener('click', clearTrackHistory);
+    }
+    
+    if (embeddingsDownloadBtn && EMBEDDINGS.enabled) {
+        embeddingsDownloadBtn.style.display = '';
+        embeddingsDownloadBtn.addEventListener('click', handleEmbeddingsExport);
+    }
+    
     if (csvDownloadBtn) {
         csvDownloadBtn.addEventListener('click', handleCSVExport);
         updateCSVButtonState(); // Initial state
@@ -192,7 +447,7 @@ function processFileUpload(files) {
     }
 
     // start processing if idle
-    if (!isProcessing) {
+    if (isReady && !isProcessing) {
         processNextFile();
     }
 
@@ -209,19 +464,30 @@ function processNextFile() {
     isProcessing = true;
     const file = filesQueue.shift();
     currentAnalysingFile = file;
+    currentTrackId = nextTrackId++;
+    pendingPredictions[currentTrackId] = { predictions: {}, activations: {}, audioLength: 0, awaitingTempo: false };
 
     // Prepare / reuse wavesurfer UI
     if (!wavesurfer) {
         wavesurfer = toggleUploadDisplayHTML('display');
         controls = new PlaybackControls(wavesurfer);
+        timeline = new ActivationTimeline(MODEL_MANIFEST, wavesurfer);
     }
 
     wavesurfer.loadBlob(file);
     if (controls) controls.toggleEnabled(false);
+    timeline.setTrack(null);
 
     // Decode and analyse
+    const trackId = currentTrackId;
     file.arrayBuffer().then((ab) => {
-        decodeFile(ab);
+        // tags are read from the raw bytes, before decodeAudioData detaches the buffer
+        if (TAGS.enabled) {
+            pendingPredictions[trackId].tags = readTags(ab);
+        }
+        // decodeAudioData resamples to the AudioContext rate, the file's own rate comes from its headers
+        pendingPredictions[trackId].streamInfo = readStreamInfo(ab);
+        decodeFile(ab, trackId);
     });
 }
 
@@ -237,7 +503,7 @@ function queueNextFile() {
     }
 }
 
-function decodeFile(arrayBuffer) {
+function decodeFile(arrayBuffer, trackId) {
     audioCtx.resume().then(() => {
         audioCtx.decodeAudioData(arrayBuffer).then(async function handleDecodedAudio(audioBuffer) {
             console.info("Done decoding audio!");
@@ -248,46 +514,44 @@ function decodeFile(arrayBuffer) {
             await audioCtx.suspend();
 
             if (essentia) {
-                essentiaAnalysis = computeKeyBPM(prepocessedAudio);
+                essentiaAnalysis = computeKeyBPM(essentia, prepocessedAudio, { tempo: TEMPO, keyDetection: KEY_DETECTION });
+                if (tempoWorker) {
+                    requestTempoCNN(prepocessedAudio, trackId);
+                }
+                descriptorAnalysis = DESCRIPTORS.enabled ? computeDescriptors(essentia, prepocessedAudio) : null;
+            }
+
+            // needed to map model patches back to timestamps in the track
+            if (pendingPredictions[trackId]) {
+                pendingPredictions[trackId].audioLength = prepocessedAudio.length;
+                pendingPredictions[trackId].audio = describeAudio(audioBuffer, pendingPredictions[trackId].streamInfo);
             }
 
             // reduce amount of audio to analyse
-            let audioData = shortenAudio(prepocessedAudio, KEEP_PERCENTAGE, true); // <-- TRIMMED start/end
+            let audioData = sampleAudio(prepocessedAudio, SAMPLING);
 
             // send for feature extraction
-            createFeatureExtractionWorker();
+            createFeatureExtractionWorker(trackId);
 
             featureExtractionWorker.postMessage({
-                audio: audioData.buffer
+                audio: audioData.buffer,
+                families: featureFamilies
             }, [audioData.buffer]);
             audioData = null;
         })
     })
 }
 
-function computeKeyBPM (audioSignal) {
-    let vectorSignal = essentia.arrayToVector(audioSignal);
-    const keyData = essentia.KeyExtractor(vectorSignal, true, 4096, 4096, 12, 3500, 60, 25, 0.2, 'bgate', 16000, 0.0001, 440, 'cosine', 'hann');
-    const bpm = essentia.PercivalBpmEstimator(vectorSignal, 1024, 2048, 128, 128, 210, 50, 16000).bpm;
-    
-    // const bpm = essentia.RhythmExtractor(vectorSignal, 1024, 1024, 256, 0.1, 208, 40, 1024, 16000, [], 0.24, true, true).bpm;
-    // const bpm = essentia.RhythmExtractor2013(vectorSignal, 208, 'multifeature', 40).bpm;
-
-    return {
-        keyData: keyData,
-        bpm: bpm
-    };
-}
-
-function createFeatureExtractionWorker() {
+function createFeatureExtractionWorker(trackId) {
     featureExtractionWorker = new Worker('./src/featureExtraction.js');
     featureExtractionWorker.onmessage = function listenToFeatureExtractionWorker(msg) {
         // feed to models
         if (msg.data.features) {
             modelNames.forEach((n) => {
-                // send features off to each of the models
+                // send features off to each of the models, tagged with the track they belong to
                 inferenceWorkers[n].postMessage({
-                    features: msg.data.features
+                    trackId: trackId,
+                    features: msg.data.features[getFeatureExtractor(n).name]
                 });
             });
             msg.data.features = null;
@@ -297,56 +561,230 @@ function createFeatureExtractionWorker() {
     };
 }
 
+function createTempoWorker() {
+    // TempoCNN runs in its own worker, the other tempo backends are computed with key in computeKeyBPM
+    tempoWorker = new Worker('./src/tempoInference.js');
+    tempoWorker.postMessage({ init: true });
+    tempoWorker.onmessage = function listenToTempoWorker(msg) {
+        const trackId = msg.data.trackId;
+        const pending = pendingPredictions[trackId];
+        if (!pending) return;
+
+        if (msg.data.activations) {
+            essentiaAnalysis = applyTempoCNN(essentiaAnalysis, msg.data.activations);
+        } else {
+            // bpm stays empty for this track
+            console.error(`TempoCNN failed for track ${trackId}: ${msg.data.error}`);
+        }
+        pending.awaitingTempo = false;
+        collectPredictions(trackId);
+    };
+}
+
+function requestTempoCNN(prepocessedAudio, trackId) {
+    // input patches are computed here with the shared Essentia code, the worker only runs the model
+    const audio = downsampleArray(prepocessedAudio, 16000, TEMPOCNN_PARAMS.sampleRate);
+    const { patches, numPatches } = computeTempoCNNPatches(essentia, audio);
+
+    pendingPredictions[trackId].awaitingTempo = true;
+    tempoWorker.postMessage({
+        trackId: trackId,
+        patches: patches.buffer,
+        numPatches: numPatches,
+        patchSize: TEMPOCNN_PARAMS.patchSize,
+        numberBands: TEMPOCNN_PARAMS.numberBands
+    }, [patches.buffer]);
+}
+
 function createInferenceWorkers() {
     modelNames.forEach((n) => { 
         inferenceWorkers[n] = new Worker('./src/inference.js');
+        const { modelClass, patchSize, melBandsSize } = getFeatureExtractor(n);
         inferenceWorkers[n].postMessage({
-            name: n
+            name: n,
+            url: getModelURL(n),
+            modelClass: modelClass,
+            patchSize: patchSize,
+            melBandsSize: melBandsSize,
+            // the embedding model also returns its penultimate layer activations
+            embeddingLayer: EMBEDDINGS.enabled && n === EMBEDDINGS.model ? getEmbeddingLayer(n).layer : null
         });
         inferenceWorkers[n].onmessage = function listenToWorker(msg) {
+            const trackId = msg.data.trackId;
+            const pending = pendingPredictions[trackId];
+            if (!pending) return;
+
             // listen out for model output
             if (msg.data.predictions) {
-                const preds = msg.data.predictions;
-                // emmit event to PredictionCollector object
-                inferenceResultPromises.push(new Promise((res) => {
-                    res({ [n]: preds });
-                }));
-                collectPredictions();
+                const preds = summarizePredictions(n, msg.data.predictions);
+                pending.predictions[n] = preds;
+                pending.activations[n] = msg.data.predictions;
+                if (msg.data.embeddings) {
+                    pending.embeddings = msg.data.embeddings;
+                }
                 console.log(`${n} predictions: `, preds);
+            } else if (msg.data.error) {
+                // keep the track going with the remaining models
+                pending.predictions[n] = null;
+                console.error(`${n} inference failed for track ${trackId}: ${msg.data.error}`);
+            } else {
+                return;
             }
+            collectPredictions(trackId);
         };
     });
 }
 
-function collectPredictions() {
-    if (inferenceResultPromises.length == modelNames.length) {
-        Promise.all(inferenceResultPromises).then((predictions) => {
-            const allPredictions = {};
-            Object.assign(allPredictions, ...predictions);
-            resultsViz.updateMeters(allPredictions);
-            resultsViz.updateValueBoxes(essentiaAnalysis);
+function collectPredictions(trackId) {
+    const pending = pendingPredictions[trackId];
+    if (Object.keys(pending.predictions).length < modelNames.length) return;
+    if (pending.awaitingTempo) return;
+
+    delete pendingPredictions[trackId];
+
+    const allPredictions = {};
+    Object.entries(pending.predictions)
+        .filter(([, preds]) => preds !== null)
+        .forEach(([n, preds]) => { allPredictions[n] = preds; });
+
+    resultsViz.updateMeters(allPredictions);
+    resultsViz.updateValueBoxes(essentiaAnalysis);
+
+    // store results in history
+    const track = {
+        file: currentAnalysingFile,
+        audio: pending.audio || null,
+        predictions: allPredictions,
+        essentia: essentiaAnalysis,
+        descriptors: descriptorAnalysis,
+        tags: pending.tags || null,
+        embeddings: computeEmbeddings(pending),
+        segments: computeSegments(pending),
+        sampling: describeSampling(SAMPLING),
+        analyzedAt: new Date().toISOString()
+    };
+    analysedTracks.push(track);
+    addTrackToHistory(track);
+    saveTrackToHistory(track);
+    timeline.setTrack(track);
 
-            // store results in history
-            analysedTracks.push({
-                file: currentAnalysingFile,
-                predictions: allPredictions,
-                essentia: essentiaAnalysis
-            });
-            addTrackToHistory(analysedTracks.length - 1, currentAnalysingFile.name);
+    toggleLoader();
+    controls.toggleEnabled(true)
 
-            toggleLoader();
-            controls.toggleEnabled(true)
+    // inference workers keep their models loaded, proceed with next file in queue (if any)
+    queueNextFile();
+}
 
-            // terminate existing inference workers and create fresh ones for next audio to
-            // ensure models are reloaded (workers dispose models after inference)
-            Object.values(inferenceWorkers).forEach(w => w.terminate());
-            inferenceWorkers = {};
-            createInferenceWorkers();
+function samplingFromURL(search) {
+    const params = new URLSearchParams(search);
+    try {
+        return normalizeSampling({
+            strategy: params.get('sampling'),
+            keepRatio: params.get('keep'),
+            trim: params.get('trim'),
+            numPatches: params.get('patches'),
+            seconds: params.get('seconds'),
+            seed: params.get('seed')
+        });
+    } catch (error) {
+        console.error(`${error.message}, using default sampling`);
+        return normalizeSampling();
+    }
+}
 
-            // proceed with next file in queue (if any)
-            inferenceResultPromises = []; // clear array first
-            queueNextFile();
-        })
+function tempoFromURL(search) {
+    const params = new URLSearchParams(search);
+    try {
+        return normalizeTempo({
+            backend: params.get('tempo'),
+            candidates: params.get('candidates')
+        });
+    } catch (error) {
+        console.error(`${error.message}, using default tempo backend`);
+        return normalizeTempo();
+    }
+}
+
+function predictionOutputFromURL(search) {
+    const params = new URLSearchParams(search);
+    try {
+        return normalizePredictionOutput({ topK: params.get('topK') });
+    } catch (error) {
+        console.error(`${error.message}, using default prediction output`);
+        return normalizePredictionOutput();
+    }
+}
+
+function jsonFormatFromURL(search) {
+    try {
+        const format = normalizeExportFormat(new URLSearchParams(search).get('format') || 'json');
+        return format === 'csv' ? 'json' : format;
+    } catch (error) {
+        console.error(`${error.message}, using JSON`);
+        return 'json';
+    }
+}
+
+function keyDetectionFromURL(search) {
+    const params = new URLSearchParams(search);
+    try {
+        return normalizeKeyDetection({
+            profile: params.get('keyProfile'),
+            notation: params.get('keyNotation')
+        });
+    } catch (error) {
+        console.error(`${error.message}, using default key detection`);
+        return normalizeKeyDetection();
+    }
+}
+
+function embeddingsFromURL(search) {
+    const params = new URLSearchParams(search);
+    try {
+        return normalizeEmbeddings({
+            enabled: params.get('embeddings'),
+            model: params.get('embeddingModel'),
+            perPatch: params.get('embeddingPatches')
+        });
+    } catch (error) {
+        console.error(`${error.message}, embeddings disabled`);
+        return normalizeEmbeddings();
+    }
+}
+
+function getFamilyActivations(pending, family) {
+    const activations = {};
+    Object.entries(pending.activations)
+        .filter(([n]) => getFeatureExtractor(n).name === family.name)
+        .forEach(([n, a]) => { activations[n] = a; });
+    return activations;
+}
+
+function getPendingPatchSegments(pending, family) {
+    // position of each patch of a feature family in the original track
+    const numPatches = Math.max(0, ...Object.values(getFamilyActivations(pending, family)).map(a => a.length));
+    return getPatchSegments(pending.audioLength, numPatches, SAMPLING, 16000, getPatchSampleLength(family));
+}
+
+function computeSegments(pending) {
+    // per-patch activations with their position in the original track, patches differ between feature families
+    return featureFamilies
+        .flatMap(family => segmentPredictions(getFamilyActivations(pending, family), getPendingPatchSegments(pending, family)))
+        .sort((a, b) => a.start - b.start);
+}
+
+function computeEmbeddings(pending) {
+    if (!pending.embeddings) return null;
+    const family = getFeatureExtractor(EMBEDDINGS.model);
+    return summarizeEmbeddings(EMBEDDINGS.model, pending.embeddings, getPendingPatchSegments(pending, family), EMBEDDINGS.perPatch);
+}
+
+function disposeInferenceWorkers() {
+    Object.values(inferenceWorkers).forEach(w => w.postMessage({ dispose: true }));
+    inferenceWorkers = {};
+    if (tempoWorker) {
+        tempoWorker.postMessage({ dispose: true });
+        tempoWorker = null;
     }
 }
 
@@ -356,39 +794,147 @@ function toggleLoader() {
     loader.classList.toggle('active')
 }
 
-function addTrackToHistory(index, name) {
+function addTrackToHistory(track) {
     const list = document.querySelector('#track-list');
     if (!list) return;
+    list.appendChild(createTrackListItem(track));
+    
+    // Update CSV button state and results table when new track is added
+    updateTrackViews();
+}
+
+function createTrackListItem(track) {
     const li = document.createElement('li');
-    li.textContent = name;
-    li.dataset.index = index;
     li.style.cursor = 'pointer';
     li.addEventListener('click', () => {
-        loadTrackFromHistory(Number(li.dataset.index));
+        loadTrackFromHistory(track);
     });
-    list.appendChild(li);
-    
-    // Update CSV button state when new track is added
-    updateCSVButtonState();
+
+    const name = document.createElement('span');
+    name.textContent = track.file.name;
+
+    const remove = document.createElement('i');
+    remove.className = 'trash alternate outline icon';
+    remove.title = 'Remove from history';
+    remove.addEventListener('click', (e) => {
+        e.stopPropagation();
+        removeTrackFromHistory(track, li);
+    });
+
+    li.append(name, remove);
+    return li;
 }
 
-function loadTrackFromHistory(index) {
-    const track = analysedTracks[index];
-    if (!track) return;
-    if (wavesurfer) {
+function loadTrackFromHistory(track) {
+    if (!analysedTracks.includes(track)) return;
+    // restored tracks only have their audio with ?historyAudio=true
+    if (track.file instanceof Blob) {
+        if (!wavesurfer) {
+            wavesurfer = toggleUploadDisplayHTML('display');
+            controls = new PlaybackControls(wavesurfer);
+            timeline = new ActivationTimeline(MODEL_MANIFEST, wavesurfer);
+        }
         wavesurfer.loadBlob(track.file);
+    } else if (wavesurfer) {
+        wavesurfer.empty();
     }
     // update UI with stored results
     resultsViz.updateMeters(track.predictions);
     resultsViz.updateValueBoxes(track.essentia);
-    if (controls) controls.toggleEnabled(true);
+    if (controls) controls.toggleEnabled(track.file instanceof Blob);
+    if (timeline) timeline.setTrack(track, track.file instanceof Blob);
+}
+
+function saveTrackToHistory(track) {
+    if (!HISTORY.enabled) return;
+    // removing or clearing waits for this, so a track still being saved is not written back afterwards
+    track.historySaved = trackHistory.save(track).then((historyId) => {
+        track.historyId = historyId;
+        return historyId;
+    }).catch((error) => {
+        console.error('Could not save track to history:', error);
+        showCSVFeedback('error', `Could not save ${track.file.name} to history: ${error.message}`, 5000);
+    });
+}
+
+function removeTrackFromHistory(track, li) {
+    const index = analysedTracks.indexOf(track);
+    if (index !== -1) analysedTracks.splice(index, 1);
+    li.remove();
+    updateTrackViews();
+
+    if (!HISTORY.enabled) return;
+    // restored tracks have their historyId, new ones get it when their save completes
+    Promise.resolve(track.historySaved ?? track.historyId)
+        .then(historyId => (historyId !== undefined ? trackHistory.delete(historyId) : undefined))
+        .catch(error => console.error('Could not remove track from history:', error));
+}
+
+function clearTrackHistory() {
+    if (analysedTracks.length === 0) return;
+    if (!window.confirm(`Remove all ${analysedTracks.length} analysed track(s)? Download the results first if you still need them.`)) return;
+
+    const pendingSaves = analysedTracks.map(track => track.historySaved);
+    analysedTracks.length = 0;
+    document.querySelector('#track-list').innerHTML = '';
+    updateTrackViews();
+
+    if (HISTORY.enabled) {
+        Promise.all(pendingSaves)
+            .then(() => trackHistory.clear())
+            .catch(error => console.error('Could not clear history:', error));
+    }
+}
+
+async function restoreTrackHistory() {
+    if (!HISTORY.enabled) return;
+    try {
+        const tracks = await trackHistory.loadAll();
+        // tracks analysed while the history was loading stay after the restored ones
+        analysedTracks.unshift(...tracks);
+        const list = document.querySelector('#track-list');
+        list.innerHTML = '';
+        list.append(...analysedTracks.map(createTrackListItem));
+        updateTrackViews();
+        if (tracks.length > 0) {
+            showCSVFeedback('info', `Restored ${tracks.length} track(s) from a previous session`, 4000);
+        }
+    } catch (error) {
+        console.error('Could not restore history:', error);
+    }
 }
 
-window.onload = () => {
+function fetchModelMetadata(modelName) {
+    return fetch(getModelMetadataURL(modelName, 'models')).then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+    });
+}
+
+window.onload = async () => {
+    // models listed without labels in the manifest take them from their metadata JSON
+    try {
+        await loadModelMetadata(fetchModelMetadata, modelNames);
+    } catch (error) {
+        console.error(error.message);
+    }
+    resultsViz = new AnalysisResults(MODEL_MANIFEST, PREDICTION_OUTPUT.topK);
+
+    // created once, models stay loaded until the page is closed
     createInferenceWorkers();
+    if (TEMPO.backend === 'tempocnn') {
+        createTempoWorker();
+    }
+    window.addEventListener('pagehide', disposeInferenceWorkers);
     EssentiaWASM().then((wasmModule) => {
         essentia = new wasmModule.EssentiaJS(false);
         essentia.arrayToVector = wasmModule.arrayToVector;
+
+        // start on the files uploaded while loading
+        isReady = true;
+        if (!isProcessing) {
+            processNextFile();
+        }
     });
     
     // Make CSV export functions and data available globally for testing
@@ -396,11 +942,35 @@ window.onload = () => {
         generateCSV: generateCSV,
         downloadCSV: downloadCSV,
         exportCSV: exportCSV,
-        schema: CSV_SCHEMA,
+        exportSegmentCSV: exportSegmentCSV,
+        schema: getCSVColumns(CSV_OPTIONS),
+        generateJSON: generateJSON,
+        generateNDJSON: generateNDJSON,
         getAnalysedTracks: () => analysedTracks
     };
     
     console.log('CSV export functionality initialized. Use window.csvExport to access functions.');
     
     initializeCSVDownloadUI();
+    
+    const resultsTableSection = document.getElementById('results-table-section');
+    if (resultsTableSection) {
+        resultsTable = new ResultsTable(resultsTableSection, analysedTracks, {
+            csvOptions: CSV_OPTIONS,
+            onSelect: loadTrackFromHistory,
+            onExport: handleFilteredCSVExport
+        });
+        resultsTable.render();
+    }
+
+    const dashboardSection = document.getElementById('collection-dashboard-section');
+    if (dashboardSection) {
+        collectionDashboard = new CollectionDashboard(dashboardSection, analysedTracks, {
+            csvOptions: CSV_OPTIONS,
+            onSelect: loadTrackFromHistory
+        });
+        collectionDashboard.render();
+    }
+    
+    await restoreTrackHistory();
 };
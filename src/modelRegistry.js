@@ -0,0 +1,378 @@
+/**
+ * Model manifest: the classifier models run on every track.
+ * Shared by the web app (workers, meters, CSV export) and the Node analysis engine and provenance,
+ * so adding an Essentia model from `models/` only needs an entry here.
+ * Multi-class and multi-label models can leave out `labels`, `csvColumns` and `display.labels`: they are
+ * then read from the model's Essentia metadata JSON (`models/<path>/<path>.json`) by loadModelMetadata.
+ * Binary models can leave out `labels` the same way, but must name their `positiveLabel`.
+ *
+ * Entry fields:
+ *  - name: prediction key on the track object
+ *  - path: model directory under `models/`
+ *  - architecture: input feature family the model expects (`musicnn` or `vggish`, see FEATURE_EXTRACTORS)
+ *  - dataset: training dataset (`msd` Million Song Dataset, `mtt` MagnaTagATune)
+ *  - output: `binary` (probability of `positiveLabel`), `multi_class` (softmax, probability per label)
+ *    or `multi_label` (independent sigmoid per label)
+ *  - labels: model output order
+ *  - positiveLabel: label whose probability a binary model reports (one of `labels`)
+ *  - csvColumns: summary CSV columns, one for binary models, one per label otherwise
+ *    (default `<name>_<label>` when labels come from the metadata)
+ *  - display: icon and meter title in the web interface (`labels` gives per-class titles for multi-class/multi-label models)
+ *  - embedding: graph node exported as the track embedding (see src/embeddings.js) and its size
+ */
+
+import { TEMPOCNN_PARAMS } from './essentiaAnalysis.js';
+
+/**
+ * Input feature families of the Essentia TensorFlow.js models. Features are computed once per track
+ * for each family the configured models use and shared between the models of that family.
+ *  - modelClass: EssentiaModel class running the model
+ *  - inputAlgorithm: Essentia algorithm computing one frame of the input (mel bands)
+ *  - frameSize, hopSize: framing of the 16kHz signal (TempoCNN works at its own sample rate)
+ *  - patchSize, melBandsSize: model input patch (frames x bands)
+ * TempoCNN inputs are not available as an Essentia.js algorithm and are computed by computeTempoCNNPatches
+ * (essentiaAnalysis.js) for the `tempocnn` tempo backend.
+ */
+const FEATURE_EXTRACTORS = {
+    musicnn: {
+        modelClass: 'TensorflowMusiCNN',
+        inputAlgorithm: 'TensorflowInputMusiCNN',
+        sampleRate: 16000,
+        frameSize: 512,
+        hopSize: 256,
+        patchSize: 187,
+        melBandsSize: 96
+    },
+    vggish: {
+        modelClass: 'TensorflowVGGish',
+        inputAlgorithm: 'TensorflowInputVGGish',
+        sampleRate: 16000,
+        frameSize: 400,
+        hopSize: 160,
+        patchSize: 96,
+        melBandsSize: 64
+    },
+    tempocnn: {
+        modelClass: 'EssentiaTensorflowJSModel',
+        inputAlgorithm: null,
+        sampleRate: TEMPOCNN_PARAMS.sampleRate,
+        frameSize: TEMPOCNN_PARAMS.frameSize,
+        hopSize: TEMPOCNN_PARAMS.hopSize,
+        patchSize: TEMPOCNN_PARAMS.patchSize,
+        melBandsSize: TEMPOCNN_PARAMS.numberBands
+    }
+};
+
+// penultimate layer of the Essentia MusiCNN transfer-learning classifiers (dense 200 -> dense_1 100 -> output)
+const MUSICNN_EMBEDDING = { layer: 'model/dense_1/Relu', dimensions: 100 };
+
+const MODEL_MANIFEST = [
+    {
+        name: 'mood_happy',
+        path: 'mood_happy-musicnn-msd-2',
+        architecture: 'musicnn',
+        dataset: 'msd',
+        output: 'binary',
+        labels: ['happy', 'non_happy'],
+        positiveLabel: 'happy',
+        csvColumns: ['mood_happy'],
+        display: { icon: '😁', title: 'Happy' },
+        embedding: MUSICNN_EMBEDDING
+    },
+    {
+        name: 'mood_sad',
+        path: 'mood_sad-musicnn-msd-2',
+        architecture: 'musicnn',
+        dataset: 'msd',
+        output: 'binary',
+        labels: ['non_sad', 'sad'],
+        positiveLabel: 'sad',
+        csvColumns: ['mood_sad'],
+        display: { icon: '😢', title: 'Sad' },
+        embedding: MUSICNN_EMBEDDING
+    },
+    {
+        name: 'mood_relaxed',
+        path: 'mood_relaxed-musicnn-msd-2',
+        architecture: 'musicnn',
+        dataset: 'msd',
+        output: 'binary',
+        labels: ['non_relaxed', 'relaxed'],
+        positiveLabel: 'relaxed',
+        csvColumns: ['mood_relaxed'],
+        display: { icon: '😌', title: 'Relaxed' },
+        embedding: MUSICNN_EMBEDDING
+    },
+    {
+        name: 'mood_aggressive',
+        path: 'mood_aggressive-musicnn-msd-2',
+        architecture: 'musicnn',
+        dataset: 'msd',
+        output: 'binary',
+        labels: ['aggressive', 'not_aggressive'],
+        positiveLabel: 'aggressive',
+        csvColumns: ['mood_aggressive'],
+        display: { icon: '👊', title: 'Aggressiveness' },
+        embedding: MUSICNN_EMBEDDING
+    },
+    {
+        name: 'mood_electronic',
+        path: 'mood_electronic-musicnn-msd-2',
+        architecture: 'musicnn',
+        dataset: 'msd',
+        output: 'binary',
+        labels: ['electronic', 'non_electronic'],
+        positiveLabel: 'electronic',
+        csvColumns: ['mood_electronic'],
+        display: { icon: '🎛️', title: 'Electronic' },
+        embedding: MUSICNN_EMBEDDING
+    },
+    {
+        name: 'mood_acoustic',
+        path: 'mood_acoustic-musicnn-mtt-2',
+        architecture: 'musicnn',
+        dataset: 'mtt',
+        output: 'binary',
+        labels: ['acoustic', 'non_acoustic'],
+        positiveLabel: 'acoustic',
+        csvColumns: ['mood_acoustic'],
+        display: { icon: '🎸', title: 'Acoustic' },
+        embedding: MUSICNN_EMBEDDING
+    },
+    {
+        name: 'mood_party',
+        path: 'mood_party-musicnn-mtt-2',
+        architecture: 'musicnn',
+        dataset: 'mtt',
+        output: 'binary',
+        labels: ['non_party', 'party'],
+        positiveLabel: 'party',
+        csvColumns: ['mood_party'],
+        display: { icon: '🎉', title: 'Party' },
+        embedding: MUSICNN_EMBEDDING
+    },
+    {
+        name: 'genre_dortmund',
+        path: 'genre_dortmund-musicnn-msd-2',
+        architecture: 'musicnn',
+        dataset: 'msd',
+        output: 'multi_class',
+        labels: ['alternative', 'blues', 'electronic', 'folkcountry', 'funksoulrnb', 'jazz', 'pop', 'raphiphop', 'rock'],
+        csvColumns: [
+            'genre_alternative',
+            'genre_blues',
+            'genre_electronic_genre',
+            'genre_folkcountry',
+            'genre_funksoulrnb',
+            'genre_jazz',
+            'genre_pop',
+            'genre_raphiphop',
+            'genre_rock'
+        ],
+        display: {
+            icon: '🎵',
+            title: 'Genre Analysis',
+            labels: ['Alternative', 'Blues', 'Electronic', 'Folk/Country', 'Funk/Soul/R&B', 'Jazz', 'Pop', 'Rap/Hip-hop', 'Rock']
+        },
+        embedding: MUSICNN_EMBEDDING
+    },
+    {
+        name: 'danceability',
+        path: 'danceability-musicnn-msd-2',
+        architecture: 'musicnn',
+        dataset: 'msd',
+        output: 'binary',
+        labels: ['danceable', 'not_danceable'],
+        positiveLabel: 'danceable',
+        csvColumns: ['danceability'],
+        display: { icon: '💃🏻', title: 'Danceability' },
+        embedding: MUSICNN_EMBEDDING
+    }
+];
+
+/**
+ * Looks up a model's manifest entry
+ * @param {string} modelName - Name of the model
+ * @returns {Object} Manifest entry
+ */
+function getModel(modelName) {
+    const model = MODEL_MANIFEST.find(m => m.name === modelName);
+    if (!model) {
+        throw new RangeError(`Unknown model "${modelName}", expected one of: ${getModelNames().join(', ')}`);
+    }
+    return model;
+}
+
+/**
+ * @returns {Array<string>} Names of all models in the manifest, in CSV column order
+ */
+function getModelNames() {
+    return MODEL_MANIFEST.map(m => m.name);
+}
+
+/**
+ * Directory of a model under `models/`
+ * @param {string} modelName - Name of the model
+ * @returns {string} Model directory name
+ */
+function getModelDirectoryName(modelName) {
+    return getModel(modelName).path;
+}
+
+/**
+ * URL of a model's model.json, relative to the workers in `src/`
+ * @param {string} modelName - Name of the model
+ * @param {string} modelsURL - Base URL of the models directory
+ * @returns {string} Model URL
+ */
+function getModelURL(modelName, modelsURL = '../models') {
+    return `${modelsURL}/${getModelDirectoryName(modelName)}/model.json`;
+}
+
+/**
+ * Input feature family of a model
+ * @param {string} modelName - Name of the model
+ * @returns {Object} Family settings from FEATURE_EXTRACTORS, with its `name`
+ */
+function getFeatureExtractor(modelName) {
+    const architecture = getModel(modelName).architecture;
+    const extractor = FEATURE_EXTRACTORS[architecture];
+    if (!extractor || !extractor.inputAlgorithm) {
+        throw new RangeError(`Model "${modelName}" has unsupported architecture "${architecture}", expected one of: musicnn, vggish`);
+    }
+    return { name: architecture, ...extractor };
+}
+
+/**
+ * Feature families needed by a set of models, each listed once
+ * @param {Array<string>} modelNames - Names of the models to run
+ * @returns {Array<Object>} Family settings (see getFeatureExtractor)
+ */
+function getFeatureFamilies(modelNames = getModelNames()) {
+    const families = {};
+    modelNames.forEach((modelName) => {
+        const extractor = getFeatureExtractor(modelName);
+        families[extractor.name] = extractor;
+    });
+    return Object.values(families);
+}
+
+/**
+ * Audio covered by one input patch of a family, in samples at 16kHz
+ * @param {Object} extractor - Family settings (see FEATURE_EXTRACTORS)
+ * @returns {number} Patch length in samples
+ */
+function getPatchSampleLength(extractor) {
+    return Math.round(extractor.patchSize * extractor.hopSize * 16000 / extractor.sampleRate);
+}
+
+/**
+ * Whether a model outputs a probability per label (multi-class or multi-label) rather than a single probability
+ * @param {string} modelName - Name of the model
+ * @returns {boolean}
+ */
+function hasClassOutputs(modelName) {
+    return getModel(modelName).output !== 'binary';
+}
+
+/**
+ * Location of a model's Essentia metadata JSON, next to its model.json
+ * @param {string} modelName - Name of the model
+ * @param {string} modelsURL - Base URL (or directory) of the models
+ * @returns {string} Metadata URL
+ */
+function getModelMetadataURL(modelName, modelsURL = '../models') {
+    const directory = getModelDirectoryName(modelName);
+    return `${modelsURL}/${directory}/${directory}.json`;
+}
+
+/**
+ * Completes a manifest entry from the model's Essentia metadata: labels from `classes`,
+ * and CSV columns and display titles derived from them unless set in the manifest
+ * @param {string} modelName - Name of the model
+ * @param {Object} metadata - Parsed metadata JSON
+ * @returns {Object} Updated manifest entry
+ */
+function applyModelMetadata(modelName, metadata) {
+    const model = getModel(modelName);
+    const classes = metadata?.classes;
+    if (!Array.isArray(classes) || classes.length === 0) {
+        throw new Error(`Metadata of model "${modelName}" has no classes`);
+    }
+
+    // binary models report one probability, which class it is cannot be guessed from the metadata
+    if (model.output === 'binary' && !classes.includes(model.positiveLabel)) {
+        throw new Error(`Binary model "${modelName}" needs a positiveLabel among its classes (${classes.join(', ')})`);
+    }
+
+    model.labels = classes;
+    if (!model.csvColumns) {
+        model.csvColumns = model.output === 'binary'
+            ? [modelName]
+            : classes.map(label => `${modelName}_${label.toLowerCase().replace(/[^a-z0-9]+/g, '_')}`);
+    }
+    model.display = { icon: '🏷️', title: modelName, ...model.display };
+    return model;
+}
+
+/**
+ * Reads the metadata of every manifest entry without labels, see applyModelMetadata.
+ * Must complete before models are summarised or CSV columns are listed.
+ * @param {Function} readMetadata - async (modelName) => parsed metadata JSON (fetch in the browser, fs in Node)
+ * @param {Array<string>} modelNames - Names of the models to run
+ * @returns {Promise<Array<string>>} Names of the models completed from their metadata
+ */
+async function loadModelMetadata(readMetadata, modelNames = getModelNames()) {
+    const missing = modelNames.filter(name => !getModel(name).labels);
+
+    for (const modelName of missing) {
+        let metadata;
+        try {
+            metadata = await readMetadata(modelName);
+        } catch (error) {
+            throw new Error(`Could not read metadata of model "${modelName}" (${getModelMetadataURL(modelName, 'models')}): ${error.message}`);
+        }
+        applyModelMetadata(modelName, metadata);
+    }
+    return missing;
+}
+
+/**
+ * Pairs a model's summarised prediction with its CSV columns
+ * @param {string} modelName - Name of the model
+ * @param {number|Object} prediction - Positive-class probability, or probabilities by label
+ * @returns {Array<Array>} [column, value] pairs, value undefined when missing
+ */
+function getModelOutputs(modelName, prediction) {
+    const model = getModel(modelName);
+
+    if (model.output !== 'binary') {
+        return model.labels.map((label, i) => [model.csvColumns[i], prediction?.[label]]);
+    }
+    return [[model.csvColumns[0], prediction]];
+}
+
+/**
+ * @returns {Array<string>} Summary CSV columns of all models, in manifest order
+ */
+function getModelCSVColumns() {
+    return MODEL_MANIFEST.flatMap(m => m.csvColumns || []);
+}
+
+export {
+    MODEL_MANIFEST,
+    FEATURE_EXTRACTORS,
+    getModel,
+    getModelNames,
+    getModelDirectoryName,
+    getModelURL,
+    getFeatureExtractor,
+    getFeatureFamilies,
+    getPatchSampleLength,
+    hasClassOutputs,
+    getModelMetadataURL,
+    applyModelMetadata,
+    loadModelMetadata,
+    getModelOutputs,
+    getModelCSVColumns
+};
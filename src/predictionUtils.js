@@ -0,0 +1,127 @@
+/**
+ * Summarises raw per-patch model activations into per-track predictions.
+ * Shared by the web app (main thread) and the Node analysis engine.
+ */
+
+import { getModel, MODEL_MANIFEST } from './modelRegistry.js';
+
+/*
+    Output of multi-class and multi-label models:
+    - topK: number of most probable labels listed per model in a `<model>_top` CSV column and in the
+      web interface summary (0 keeps the CSV unchanged, the interface then shows the top label)
+*/
+const DEFAULT_PREDICTION_OUTPUT = {
+    topK: 0
+};
+
+function normalizePredictionOutput (output = {}) {
+    const normalized = { ...DEFAULT_PREDICTION_OUTPUT };
+    Object.entries(output).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') normalized[key] = value;
+    });
+
+    normalized.topK = parseInt(normalized.topK);
+    if (!Number.isInteger(normalized.topK) || normalized.topK < 0) {
+        throw new RangeError(`Invalid topK "${output.topK}", expected a non-negative integer`);
+    }
+
+    return normalized;
+}
+
+/**
+ * Averages activations over all patches
+ * @param {Array<Array<number>>} predictions - Activations, one array per patch
+ * @returns {Array<number>} Mean activation per model output
+ */
+function averageActivations(predictions) {
+    const numOutputs = predictions[0].length;
+    const averages = new Array(numOutputs).fill(0);
+
+    predictions.forEach((patch) => {
+        for (let j = 0; j < numOutputs; j++) {
+            averages[j] += patch[j];
+        }
+    });
+
+    return averages.map(sum => sum / predictions.length);
+}
+
+/**
+ * Averages model activations over all patches
+ * @param {string} modelName - Name of the model that produced the activations (see MODEL_MANIFEST)
+ * @param {Array<Array<number>>} predictions - Activations, one array per patch
+ * @returns {number|Object} Probability of the model's positive class, or probabilities by label for multi-class/multi-label models
+ */
+function summarizePredictions(modelName, predictions) {
+    const model = getModel(modelName);
+    const averages = averageActivations(predictions);
+
+    if (model.output !== 'binary') {
+        const results = {};
+        model.labels.forEach((label, index) => {
+            results[label] = averages[index];
+        });
+        return results;
+    }
+
+    return averages[model.labels.indexOf(model.positiveLabel)];
+}
+
+/**
+ * Most probable labels of a multi-class/multi-label prediction
+ * @param {Object} classValues - Probabilities by label (see summarizePredictions)
+ * @param {number} k - Number of labels to keep
+ * @returns {Array<Object>} `{label, confidence}`, most probable first
+ */
+function getTopLabels(classValues, k) {
+    return Object.entries(classValues || {})
+        .filter(([, confidence]) => typeof confidence === 'number')
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, k)
+        .map(([label, confidence]) => ({ label, confidence }));
+}
+
+/**
+ * @returns {Array<string>} `<model>_top` CSV columns, one per multi-class/multi-label model in manifest order
+ */
+function getTopLabelCSVColumns() {
+    return MODEL_MANIFEST.filter(m => m.output !== 'binary').map(m => `${m.name}_top`);
+}
+
+/**
+ * Pairs per-patch model activations with the patch positions in the original track
+ * @param {Object} activationsByModel - Raw activations per model name, one array per patch
+ * @param {Array<Object|null>} patchSegments - `{start, end}` in seconds per patch (see getPatchSegments), null for padding-only patches
+ * @returns {Array<Object>} Segments `{start, end, predictions}`, predictions in the same shape as the track summary
+ */
+function segmentPredictions(activationsByModel, patchSegments) {
+    const segments = [];
+
+    patchSegments.forEach((segment, i) => {
+        if (!segment) return;
+
+        const predictions = {};
+        Object.entries(activationsByModel).forEach(([modelName, activations]) => {
+            if (activations && activations[i]) {
+                predictions[modelName] = summarizePredictions(modelName, [activations[i]]);
+            }
+        });
+
+        segments.push({
+            start: segment.start,
+            end: segment.end,
+            predictions: predictions
+        });
+    });
+
+    return segments;
+}
+
+export {
+    summarizePredictions,
+    segmentPredictions,
+    getTopLabels,
+    getTopLabelCSVColumns,
+    normalizePredictionOutput,
+    DEFAULT_PREDICTION_OUTPUT
+};
@@ -0,0 +1,227 @@
+import { getCSVColumns, getTrackCSVFields } from './csvExport.js';
+
+/**
+ * Table of all analysed tracks, one column per summary CSV column (same values as the CSV download).
+ * Click a header to sort, search filenames and add numeric range filters (e.g. mood_happy from 0.7,
+ * bpm 120-130); `getFilteredTracks` gives the visible tracks in table order for "export filtered rows".
+ */
+class ResultsTable {
+    /**
+     * @param {HTMLElement} container - Element the table and its controls are created in
+     * @param {Array} tracks - analysedTracks array, read again on every render
+     * @param {Object} options - { csvOptions, onSelect(track), onExport(tracks) }
+     */
+    constructor(container, tracks, options = {}) {
+        this.container = container;
+        this.tracks = tracks;
+        this.csvOptions = options.csvOptions || {};
+        this.onSelect = options.onSelect || (() => {});
+        this.onExport = options.onExport || (() => {});
+
+        this.sort = { column: null, direction: 1 };
+        this.filters = [];
+        this.search = '';
+        this.rows = [];
+
+        this.build();
+    }
+
+    build() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'results-table-toolbar';
+
+        this.searchInput = createInput('text', 'Search filename');
+        this.searchInput.addEventListener('input', () => {
+            this.search = this.searchInput.value.trim().toLowerCase();
+            this.render();
+        });
+
+        this.filterColumn = document.createElement('select');
+        this.filterColumn.className = 'ui dropdown';
+        this.filterMin = createInput('number', 'min');
+        this.filterMax = createInput('number', 'max');
+        this.filterMin.step = this.filterMax.step = 'any';
+
+        const addFilter = document.createElement('button');
+        addFilter.className = 'ui small button';
+        addFilter.textContent = 'Add filter';
+        addFilter.addEventListener('click', () => this.addFilter());
+
+        this.exportButton = document.createElement('button');
+        this.exportButton.className = 'ui small primary button';
+        this.exportButton.innerHTML = '<i class="download icon"></i>Export filtered rows';
+        this.exportButton.addEventListener('click', () => this.onExport(this.getFilteredTracks()));
+
+        this.countLabel = document.createElement('span');
+        this.countLabel.className = 'results-table-count';
+
+        toolbar.append(wrapInput(this.searchInput), this.filterColumn, wrapInput(this.filterMin), wrapInput(this.filterMax), addFilter, this.exportButton, this.countLabel);
+
+        this.filterLabels = document.createElement('div');
+        this.filterLabels.className = 'results-table-filters';
+
+        const scroller = document.createElement('div');
+        scroller.className = 'results-table-scroll';
+        this.table = document.createElement('table');
+        this.table.className = 'ui compact small celled selectable sortable unstackable table';
+        this.thead = this.table.createTHead();
+        this.tbody = this.table.createTBody();
+        scroller.appendChild(this.table);
+
+        this.container.append(toolbar, this.filterLabels, scroller);
+    }
+
+    addFilter() {
+        const column = this.filterColumn.value;
+        const min = this.filterMin.value === '' ? null : Number(this.filterMin.value);
+        const max = this.filterMax.value === '' ? null : Number(this.filterMax.value);
+        if (!column || (min === null && max === null)) return;
+
+        // one range per column, a new one replaces the previous
+        this.filters = [...this.filters.filter(filter => filter.column !== column), { column, min, max }];
+        this.filterMin.value = '';
+        this.filterMax.value = '';
+        this.render();
+    }
+
+    removeFilter(column) {
+        this.filters = this.filters.filter(filter => filter.column !== column);
+        this.render();
+    }
+
+    setSort(column) {
+        this.sort = {
+            column: column,
+            direction: this.sort.column === column ? -this.sort.direction : 1
+        };
+        this.render();
+    }
+
+    /**
+     * Tracks passing the search and filters, in table order
+     * @returns {Array} Track objects
+     */
+    getFilteredTracks() {
+        return this.getVisibleRows().map(row => row.track);
+    }
+
+    getVisibleRows() {
+        const visible = this.rows.filter(row =>
+            (!this.search || row.values.filename.toLowerCase().includes(this.search))
+            && this.filters.every(({ column, min, max }) => {
+                const value = toNumber(row.values[column]);
+                return value !== null && (min === null || value >= min) && (max === null || value <= max);
+            }));
+
+        const { column, direction } = this.sort;
+        if (column) {
+            // empty cells last in both directions
+            visible.sort((a, b) => {
+                const x = a.values[column];
+                const y = b.values[column];
+                if (x === '' || y === '') return (x === '') - (y === '');
+                const nx = toNumber(x);
+                const ny = toNumber(y);
+                const order = nx !== null && ny !== null ? nx - ny : String(x).localeCompare(String(y));
+                return order * direction;
+            });
+        }
+        return visible;
+    }
+
+    render() {
+        this.container.style.display = this.tracks.length > 0 ? '' : 'none';
+
+        this.columns = getCSVColumns(this.csvOptions);
+        this.rows = this.tracks.map((track) => {
+            const fields = getTrackCSVFields(track, this.csvOptions);
+            return {
+                track: track,
+                values: Object.fromEntries(this.columns.map((column, i) => [column, String(fields[i] ?? '')]))
+            };
+        });
+
+        this.renderFilterControls();
+        this.renderHeader();
+
+        const visible = this.getVisibleRows();
+        this.tbody.innerHTML = '';
+        visible.forEach((row) => {
+            const tr = this.tbody.insertRow();
+            tr.addEventListener('click', () => this.onSelect(row.track));
+            this.columns.forEach((column) => {
+                const td = tr.insertCell();
+                td.textContent = row.values[column];
+            });
+        });
+
+        this.countLabel.textContent = `${visible.length} of ${this.rows.length} tracks`;
+        this.exportButton.classList.toggle('disabled', visible.length === 0);
+    }
+
+    renderHeader() {
+        this.thead.innerHTML = '';
+        const tr = this.thead.insertRow();
+        this.columns.forEach((column) => {
+            const th = document.createElement('th');
+            th.textContent = column;
+            if (this.sort.column === column) {
+                th.className = `sorted ${this.sort.direction > 0 ? 'ascending' : 'descending'}`;
+            }
+            th.addEventListener('click', () => this.setSort(column));
+            tr.appendChild(th);
+        });
+    }
+
+    renderFilterControls() {
+        // numeric columns are those whose non-empty cells are all numbers
+        const numericColumns = this.columns.filter(column =>
+            this.rows.some(row => row.values[column] !== '')
+            && this.rows.every(row => row.values[column] === '' || toNumber(row.values[column]) !== null));
+
+        const selected = this.filterColumn.value;
+        this.filterColumn.innerHTML = '';
+        numericColumns.forEach((column) => {
+            const option = document.createElement('option');
+            option.value = option.textContent = column;
+            this.filterColumn.appendChild(option);
+        });
+        if (numericColumns.includes(selected)) this.filterColumn.value = selected;
+
+        this.filterLabels.innerHTML = '';
+        this.filters.forEach(({ column, min, max }) => {
+            const label = document.createElement('span');
+            label.className = 'ui label';
+            label.textContent = min !== null && max !== null ? `${min} ≤ ${column} ≤ ${max}`
+                : (min !== null ? `${column} ≥ ${min}` : `${column} ≤ ${max}`);
+
+            const remove = document.createElement('i');
+            remove.className = 'delete icon';
+            remove.addEventListener('click', () => this.removeFilter(column));
+            label.appendChild(remove);
+            this.filterLabels.appendChild(label);
+        });
+    }
+}
+
+function createInput(type, placeholder) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.placeholder = placeholder;
+    return input;
+}
+
+function wrapInput(input) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'ui small input';
+    wrapper.appendChild(input);
+    return wrapper;
+}
+
+function toNumber(value) {
+    if (value === '' || value === null || value === undefined) return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+export { ResultsTable };
@@ -0,0 +1,109 @@
+importScripts('./lib/tf.min.3.5.0.js');
+importScripts('./lib/essentia.js-model.umd.js');
+
+// TempoCNN is not bundled with the app, see TEMPOCNN_MODEL_NAME in essentiaAnalysis.js
+const MODEL_URL = '../models/deeptemp-k16-3/model.json';
+
+let model;
+let modelReady = false;
+let loadError = null;
+// patches received before the model finished loading
+let pendingMessages = [];
+// predictions run one at a time, in the order tracks were sent
+let predictionQueue = Promise.resolve();
+
+function initModel() {
+    model = new EssentiaModel.EssentiaTensorflowJSModel(tf, MODEL_URL);
+
+    model.initialize().then(() => {
+        console.info('TempoCNN model has been loaded!');
+        modelReady = true;
+    }).catch((error) => {
+        loadError = `TempoCNN model could not be loaded from ${MODEL_URL}: ${error.message}`;
+        console.error(loadError);
+    }).finally(() => {
+        pendingMessages.forEach((msg) => queuePrediction(msg));
+        pendingMessages = [];
+    });
+}
+
+function initTensorflowWASM() {
+    if (tf.getBackend() != 'wasm') {
+        importScripts('./lib/tf-backend-wasm-3.5.0.js');
+        tf.setBackend('wasm');
+        tf.ready().then(() => {
+            console.info('tfjs WASM backend successfully initialized!');
+            initModel();
+        }).catch(() => {
+            console.error(`tfjs WASM could NOT be initialized, defaulting to ${tf.getBackend()}`);
+            return false;
+        });
+    }
+}
+
+function queuePrediction(msg) {
+    predictionQueue = predictionQueue.then(() => modelPredict(msg));
+}
+
+async function modelPredict(msg) {
+    const { trackId, numPatches, patchSize, numberBands } = msg;
+
+    if (!modelReady) {
+        postMessage({ trackId: trackId, error: loadError });
+        return;
+    }
+
+    const inferenceStart = Date.now();
+
+    try {
+        const output = tf.tidy(() => {
+            let input = tf.tensor3d(new Float32Array(msg.patches), [numPatches, patchSize, numberBands]);
+            const inputShape = model.model.inputs[0].shape;
+            // deeptemp models take [batch, bands, frames, 1]
+            if (inputShape[1] === numberBands) {
+                input = input.transpose([0, 2, 1]);
+            }
+            if (inputShape.length === 4) {
+                input = input.expandDims(3);
+            }
+
+            const modelInputs = model.disambiguateExtraInputs();
+            modelInputs.push(input);
+            return model.model.execute(modelInputs);
+        });
+
+        const activations = await output.array();
+        output.dispose();
+
+        console.info(`TempoCNN: Inference for track ${trackId} took: ${Date.now() - inferenceStart}`);
+        // raw per-patch class probabilities, summarised on the main thread (see essentiaAnalysis.js)
+        postMessage({ trackId: trackId, activations: activations });
+    } catch (error) {
+        console.error(`TempoCNN: Inference for track ${trackId} failed`, error);
+        postMessage({ trackId: trackId, error: error.message });
+    }
+}
+
+function disposeModel() {
+    if (model && modelReady) {
+        model.dispose();
+    }
+    model = null;
+    modelReady = false;
+    close();
+}
+
+onmessage = function listenToMainThread(msg) {
+    if (msg.data.init) {
+        initTensorflowWASM();
+    } else if (msg.data.patches) {
+        if (modelReady || loadError) {
+            queuePrediction(msg.data);
+        } else {
+            pendingMessages.push(msg.data);
+        }
+    } else if (msg.data.dispose) {
+        // let queued predictions finish before releasing the model
+        predictionQueue.then(disposeModel);
+    }
+};
@@ -0,0 +1,101 @@
+/**
+ * Analysis history of the web app, kept in IndexedDB so results survive a page reload or a crashed tab.
+ * Each analysed track is stored as it completes (predictions, Essentia data, descriptors, tags, segments,
+ * embeddings and file metadata) and restored into the history sidebar on load. The audio itself is only
+ * stored with `audio: true`, restored tracks without it show their results but no waveform.
+ */
+
+const DB_NAME = 'mir-analysis-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'tracks';
+
+const DEFAULT_HISTORY = {
+    enabled: true,
+    audio: false
+};
+
+function normalizeHistory (history = {}) {
+    const normalized = { ...DEFAULT_HISTORY };
+    Object.entries(history || {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') normalized[key] = value;
+    });
+
+    normalized.enabled = normalized.enabled === true || normalized.enabled === 'true';
+    normalized.audio = normalized.audio === true || normalized.audio === 'true';
+
+    return normalized;
+}
+
+// File properties the exports use, kept instead of the File when the audio is not stored
+function describeFile (file) {
+    return {
+        name: file?.name || '',
+        size: file?.size ?? null,
+        type: file?.type || '',
+        lastModified: file?.lastModified ?? null,
+        webkitRelativePath: file?.webkitRelativePath || ''
+    };
+}
+
+function promisifyRequest (request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+class TrackHistory {
+    constructor(config = {}) {
+        this.config = normalizeHistory(config);
+        this.db = null;
+        if (typeof indexedDB === 'undefined') {
+            this.config.enabled = false;
+        }
+    }
+
+    async open() {
+        if (this.db) return this.db;
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        };
+        this.db = await promisifyRequest(request);
+        return this.db;
+    }
+
+    async _objectStore(mode) {
+        const db = await this.open();
+        return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    }
+
+    /**
+     * Stores an analysed track
+     * @param {Object} track - Track object from analysedTracks array
+     * @returns {Promise<number>} History id of the track
+     */
+    async save(track) {
+        const { historyId, historySaved, ...record } = track;
+        record.file = this.config.audio && track.file instanceof Blob ? track.file : describeFile(track.file);
+        return promisifyRequest((await this._objectStore('readwrite')).add(record));
+    }
+
+    /**
+     * Stored tracks in the order they were analysed, each with its `historyId`
+     * @returns {Promise<Array<Object>>} Track objects
+     */
+    async loadAll() {
+        const records = await promisifyRequest((await this._objectStore('readonly')).getAll());
+        return records.map(({ id, ...track }) => ({ ...track, historyId: id }));
+    }
+
+    async delete(historyId) {
+        await promisifyRequest((await this._objectStore('readwrite')).delete(historyId));
+    }
+
+    async clear() {
+        await promisifyRequest((await this._objectStore('readwrite')).clear());
+    }
+}
+
+export { TrackHistory, DEFAULT_HISTORY, normalizeHistory };
@@ -1,72 +1,131 @@
+import { getTopLabels } from './predictionUtils.js';
+
 class AnalysisResults {
-    constructor(classifierNames) {
+    // topK: number of labels shown in the summary of multi-class/multi-label models (see getTopLabels)
+    constructor(models, topK = 1) {
+        this.topK = Math.max(1, topK);
         this.analysisMeters = {};
         this.bpmBox = document.querySelector('#bpm-value');
         this.keyBox = document.querySelector('#key-value');
-        if (classifierNames instanceof Array) {
-            this.names = classifierNames;
-            classifierNames.forEach((n) => {
-                this.analysisMeters[n] = document.querySelector(`#${n} > .classifier-meter`);
+        if (models instanceof Array) {
+            this.models = models;
+            // binary meters first, then the per-class breakdowns, above the BPM and key boxes
+            const bpmAndKey = document.querySelector('#bpm-and-key');
+            const ordered = [
+                ...models.filter(m => m.output === 'binary'),
+                ...models.filter(m => m.output !== 'binary')
+            ];
+            ordered.forEach((m) => {
+                const classifier = m.output === 'binary' ? this.createMeter(m) : this.createClassBreakdown(m);
+                bpmAndKey.parentNode.insertBefore(classifier, bpmAndKey);
             });
         } else {
-            throw TypeError("List of classifier names provided is not of type Array");
+            throw TypeError("List of models provided is not of type Array");
         }
     }
 
+    createMeter(model) {
+        const classifier = document.createElement('div');
+        classifier.setAttribute('id', model.name);
+        classifier.className = 'classifier';
+
+        const icon = document.createElement('span');
+        icon.textContent = model.display.icon;
+
+        const meter = document.createElement('div');
+        meter.className = 'classifier-meter';
+        meter.dataset.classifier = model.display.title;
+
+        classifier.append(icon, meter);
+        this.analysisMeters[model.name] = meter;
+        return classifier;
+    }
+
+    createClassBreakdown(model) {
+        const classifier = document.createElement('div');
+        classifier.setAttribute('id', model.name);
+        classifier.className = 'classifier';
+
+        const icon = document.createElement('span');
+        icon.textContent = model.display.icon;
+
+        const item = document.createElement('div');
+        item.className = 'prediction-item';
+
+        const title = document.createElement('span');
+        title.className = 'prediction-label';
+        title.textContent = `${model.display.icon} ${model.display.title}:`;
+
+        const breakdown = document.createElement('div');
+        breakdown.className = 'genre-predictions';
+        breakdown.setAttribute('id', `${model.name}-predictions`);
+        breakdown.style.display = 'none';
+        model.labels.forEach((label, i) => {
+            const labelItem = document.createElement('div');
+            labelItem.className = 'genre-item';
+            const value = document.createElement('span');
+            value.setAttribute('id', `${model.name}-${label}`);
+            value.textContent = '-';
+            labelItem.append(`${model.display.labels?.[i] || label}: `, value);
+            breakdown.appendChild(labelItem);
+        });
+
+        const summary = document.createElement('span');
+        summary.className = 'prediction-value';
+        summary.setAttribute('id', `${model.name}-summary`);
+        summary.textContent = '-';
+
+        item.append(title, breakdown, summary);
+        classifier.append(icon, item);
+        return classifier;
+    }
+
     updateMeters(values) {
-        this.names.forEach((n) => {
-            if (n === 'genre_dortmund' && typeof values[n] === 'object') {
-                // Handle multi-class genre predictions
-                this.updateGenrePredictions(values[n]);
+        this.models.forEach((m) => {
+            if (m.output !== 'binary') {
+                // Handle multi-class/multi-label predictions (e.g. genre)
+                if (typeof values[m.name] === 'object') {
+                    this.updateClassPredictions(m, values[m.name]);
+                }
             } else {
-                // Handle binary mood predictions
-                this.analysisMeters[n].style.setProperty('--meter-width', values[n]*100);
+                // Handle binary predictions
+                this.analysisMeters[m.name].style.setProperty('--meter-width', values[m.name]*100);
             }
         });
     }
 
-    updateGenrePredictions(genreValues) {
-        // Update individual genre values
-        const genreLabels = ['alternative', 'blues', 'electronic', 'folkcountry', 'funksoulrnb', 'jazz', 'pop', 'raphiphop', 'rock'];
-        genreLabels.forEach(genre => {
-            const element = document.getElementById(`genre-${genre}`);
-            if (element && genreValues[genre] !== undefined) {
-                element.textContent = (genreValues[genre] * 100).toFixed(1) + '%';
+    updateClassPredictions(model, classValues) {
+        // Update individual class values
+        model.labels.forEach(label => {
+            const element = document.getElementById(`${model.name}-${label}`);
+            if (element && classValues[label] !== undefined) {
+                element.textContent = (classValues[label] * 100).toFixed(1) + '%';
             }
         });
 
-        // Show the detailed genre breakdown
-        const genrePredictions = document.getElementById('genre-predictions');
-        if (genrePredictions) {
-            genrePredictions.style.display = 'block';
+        // Show the detailed breakdown
+        const breakdown = document.getElementById(`${model.name}-predictions`);
+        if (breakdown) {
+            breakdown.style.display = 'block';
         }
 
-        // Update summary with top genre
-        const topGenre = this.getTopGenre(genreValues);
-        const summaryElement = document.getElementById('genre-dortmund-summary');
-        if (summaryElement && topGenre) {
-            summaryElement.textContent = `${topGenre.genre}: ${(topGenre.confidence * 100).toFixed(1)}%`;
+        // Update summary with the top classes
+        const topClasses = getTopLabels(classValues, this.topK);
+        const summaryElement = document.getElementById(`${model.name}-summary`);
+        if (summaryElement && topClasses.length > 0) {
+            summaryElement.textContent = topClasses
+                .map(top => `${this.getLabelTitle(model, top.label)}: ${(top.confidence * 100).toFixed(1)}%`)
+                .join(', ');
         }
     }
 
-    getTopGenre(genreValues) {
-        let topGenre = null;
-        let maxConfidence = 0;
-        
-        for (const [genre, confidence] of Object.entries(genreValues)) {
-            if (confidence > maxConfidence) {
-                maxConfidence = confidence;
-                topGenre = genre;
-            }
-        }
-        
-        return topGenre ? { genre: topGenre, confidence: maxConfidence } : null;
+    getLabelTitle(model, label) {
+        return model.display.labels?.[model.labels.indexOf(label)] || label;
     }
 
     updateValueBoxes(essentiaAnalysis) {
-        const stringBpm = essentiaAnalysis.bpm.toString();
-        const formattedBpm = stringBpm.slice(0, stringBpm.indexOf('.') + 2); // keep 1 decimal places only
-        this.bpmBox.textContent = formattedBpm;
+        // bpm is null when the tempo backend failed (e.g. TempoCNN model missing)
+        this.bpmBox.textContent = essentiaAnalysis.bpm ? essentiaAnalysis.bpm.toFixed(1) : '-'; // keep 1 decimal place only
         this.keyBox.textContent = `${essentiaAnalysis.keyData.key} ${essentiaAnalysis.keyData.scale}`;
     }
 }
@@ -131,4 +190,147 @@ class PlaybackControls {
     }
 }
 
-export { AnalysisResults, toggleUploadDisplayHTML, PlaybackControls };
\ No newline at end of file
+// lane colours, binary models in manifest order, labels of multi-class/multi-label models by their index
+const TIMELINE_COLORS = ['#F7AF39', '#399af7', '#2ca58d', '#d1495b', '#8e6cbf', '#a16607', '#e07a5f', '#1C4B78', '#6c757d'];
+
+/**
+ * Per-patch model activations as coloured lanes under the waveform, one lane per model: binary models shade
+ * each analysed patch by their score, multi-class/multi-label models colour it by the top label. A playhead
+ * follows the wavesurfer position, clicking a lane seeks there and the legend shows or hides models.
+ */
+class ActivationTimeline {
+    constructor(models, wavesurferInstance) {
+        this.models = models;
+        this.wavesurfer = wavesurferInstance;
+        this.hidden = new Set();
+        this.track = null;
+        this.duration = 0;
+
+        const fileSelectArea = document.querySelector('#file-select-area');
+        this.container = document.createElement('div');
+        this.container.setAttribute('id', 'activation-timeline');
+        this.container.style.display = 'none';
+
+        this.legend = document.createElement('div');
+        this.legend.className = 'timeline-legend';
+        this.lanes = document.createElement('div');
+        this.lanes.className = 'timeline-lanes';
+        this.lanes.addEventListener('click', (e) => this.seek(e));
+        this.playhead = document.createElement('div');
+        this.playhead.className = 'timeline-playhead';
+
+        this.container.append(this.lanes, this.legend);
+        fileSelectArea.insertBefore(this.container, document.querySelector('#waveform').nextSibling);
+        fileSelectArea.classList.add('with-timeline');
+
+        // 'audioprocess' fires while playing, 'seek' on clicks and skips
+        ['audioprocess', 'seek'].forEach((event) => {
+            this.wavesurfer.on(event, () => this.updatePlayhead(this.wavesurfer.getCurrentTime()));
+        });
+    }
+
+    /**
+     * Shows the segments of a track, or hides the timeline for null or a track without segments
+     * @param {Object|null} track - Track object from analysedTracks array
+     * @param {boolean} playable - Whether the waveform holds the track's audio (enables seeking)
+     */
+    setTrack(track, playable = true) {
+        this.track = track?.segments?.length ? track : null;
+        this.playable = playable;
+        // segments are positions in the original file, so the lanes span its full duration
+        this.duration = this.track
+            ? (this.track.audio?.duration || Math.max(...this.track.segments.map(s => s.end)))
+            : 0;
+        this.render();
+        this.updatePlayhead(0);
+    }
+
+    render() {
+        this.container.style.display = this.track ? '' : 'none';
+        this.lanes.innerHTML = '';
+        this.legend.innerHTML = '';
+        if (!this.track) return;
+
+        const models = this.models.filter(m => this.track.segments.some(s => s.predictions[m.name] !== undefined));
+        models.forEach((model, i) => {
+            const color = TIMELINE_COLORS[i % TIMELINE_COLORS.length];
+            this.legend.appendChild(this.createLegendItem(model, color));
+            if (!this.hidden.has(model.name)) {
+                this.lanes.appendChild(this.createLane(model, color));
+            }
+        });
+        this.lanes.appendChild(this.playhead);
+    }
+
+    createLegendItem(model, color) {
+        const item = document.createElement('span');
+        item.className = 'timeline-legend-item';
+        item.classList.toggle('disabled', this.hidden.has(model.name));
+        item.title = `Show or hide ${model.display.title}`;
+
+        const swatch = document.createElement('span');
+        swatch.className = 'timeline-swatch';
+        // multi-class lanes use one colour per label
+        swatch.style.background = model.output === 'binary'
+            ? color
+            : `linear-gradient(90deg, ${model.labels.map((label, i) => TIMELINE_COLORS[i % TIMELINE_COLORS.length]).join(', ')})`;
+
+        item.append(swatch, `${model.display.icon} ${model.display.title}`);
+        item.addEventListener('click', () => {
+            if (this.hidden.has(model.name)) {
+                this.hidden.delete(model.name);
+            } else {
+                this.hidden.add(model.name);
+            }
+            this.render();
+        });
+        return item;
+    }
+
+    createLane(model, color) {
+        const lane = document.createElement('div');
+        lane.className = 'timeline-lane';
+        lane.dataset.model = model.display.icon;
+
+        this.track.segments.forEach((segment) => {
+            const value = segment.predictions[model.name];
+            if (value === undefined || value === null) return;
+
+            const cell = document.createElement('div');
+            cell.className = 'timeline-cell';
+            cell.style.left = `${segment.start / this.duration * 100}%`;
+            cell.style.width = `${(segment.end - segment.start) / this.duration * 100}%`;
+
+            const time = `${segment.start.toFixed(1)}-${segment.end.toFixed(1)} s`;
+            if (model.output === 'binary') {
+                cell.style.backgroundColor = color;
+                cell.style.opacity = value;
+                cell.title = `${model.display.title} ${time}: ${(value * 100).toFixed(1)}%`;
+            } else {
+                const [top] = getTopLabels(value, 1);
+                if (!top) return;
+                const index = model.labels.indexOf(top.label);
+                cell.style.backgroundColor = TIMELINE_COLORS[index % TIMELINE_COLORS.length];
+                cell.style.opacity = Math.max(0.3, top.confidence);
+                cell.title = `${model.display.title} ${time}: ${model.display.labels?.[index] || top.label} ${(top.confidence * 100).toFixed(1)}%`;
+            }
+            lane.appendChild(cell);
+        });
+        return lane;
+    }
+
+    updatePlayhead(time) {
+        if (!this.duration) return;
+        this.playhead.style.left = `${Math.min(100, time / this.duration * 100)}%`;
+    }
+
+    seek(event) {
+        if (!this.playable || !this.duration) return;
+        const rect = this.lanes.getBoundingClientRect();
+        const progress = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+        // wavesurfer seeks relative to the loaded audio, which is the whole file
+        this.wavesurfer.seekTo(progress);
+    }
+}
+
+export { AnalysisResults, toggleUploadDisplayHTML, PlaybackControls, ActivationTimeline };
\ No newline at end of file